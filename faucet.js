@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * git-mark-faucet - Serve voucher funds to new gitmark users
+ *
+ * Usage:
+ *   git mark-faucet serve --voucher <file> [--port N]
+ *
+ * Each request pays INIT_AMOUNT to the requesting key from the voucher file;
+ * the file is updated with the change after every payment.
+ */
+
+import fs from 'fs';
+import { parseArgs } from './lib/args.js';
+import { serveFaucet, DEFAULT_FAUCET_PORT, DEFAULT_FAUCET_INTERVAL } from './lib/faucet.js';
+import { INIT_AMOUNT } from './lib/voucher.js';
+import { createLogger, levelFromOptions } from './lib/log.js';
+import { ConfigError } from './lib/errors.js';
+
+const args = process.argv.slice(2);
+const { options, positionals } = parseArgs(args, ['--voucher', '--port', '--host', '--amount', '--interval', '--fee-rate', '--max-fee']);
+const logger = createLogger({ level: levelFromOptions(options) });
+
+// Help
+if (args.includes('--help') || args.includes('-h') || positionals[0] !== 'serve') {
+  logger.print(`
+git-mark-faucet - Serve voucher funds to new gitmark users
+
+Usage:
+  git mark-faucet serve --voucher <file> [options]
+
+Options:
+  -h, --help        Show this help message
+  -q, --quiet       Print errors only (no request log)
+  -v, --verbose     Show debug output on stderr
+  --trace           Also show stack traces
+  --voucher FILE    Voucher file to pay from (updated with the change)
+  --port N          Port to listen on (default: ${DEFAULT_FAUCET_PORT})
+  --host ADDR       Address to bind (default: all interfaces)
+  --amount N        Satoshis per request (default: ${INIT_AMOUNT})
+  --interval N      Seconds before the same pubkey or IP is paid again
+                    (default: ${DEFAULT_FAUCET_INTERVAL})
+  --fee-rate N      Fee rate in sat/vB (default: gitmark.feerate or backend estimate)
+  --max-fee N       Maximum absolute fee in sats (default: gitmark.maxfee or 50000)
+
+API:
+  GET  /            {network, amount, balance, interval}
+  POST /fund        {"pubkey": "<hex or npub>"} -> {network, txid, vout, amount, fee, txoUri}
+
+Examples:
+  git mark-faucet serve --voucher ~/.gitmark/faucet.txt --port ${DEFAULT_FAUCET_PORT}
+
+  # New users then run
+  git mark-init --faucet http://faucet.example:${DEFAULT_FAUCET_PORT}
+`);
+  process.exit(args.includes('--help') || args.includes('-h') ? 0 : 1);
+}
+
+async function main() {
+  const voucherFile = options['--voucher'];
+  if (!voucherFile || !fs.existsSync(voucherFile)) {
+    throw new ConfigError(voucherFile ? `Voucher file not found: ${voucherFile}` : 'Missing --voucher <file>');
+  }
+
+  const { url, faucet } = await serveFaucet({
+    voucherFile,
+    port: options['--port'],
+    host: options['--host'],
+    amount: options['--amount'],
+    interval: options['--interval'],
+    feeRate: options['--fee-rate'],
+    maxFee: options['--max-fee'],
+    log: message => logger.info(`${new Date().toISOString()} ${message}`),
+  });
+
+  const { network, amount, balance } = faucet.info();
+  logger.print(`Faucet listening on ${url}`);
+  logger.print(`Paying ${amount} sats per request on ${network} from ${voucherFile} (${balance} sats)`);
+}
+
+main().catch(error => {
+  logger.error(error);
+  process.exit(1);
+});
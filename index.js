@@ -0,0 +1,39 @@
+/**
+ * gitmark - programmatic API
+ *
+ *   import { mark, init, readChain } from 'gitmark-test';
+ *
+ *   const { txid, txoUri } = await mark({ cwd: '/path/to/repo', message: 'release' });
+ *
+ * Importing this module has no side effects; the git-mark and git-mark-init
+ * CLIs are thin wrappers around it.
+ */
+
+export { mark, markRange, broadcastPending, repair, bump } from './lib/mark.js';
+export { init, initFromChain } from './lib/init.js';
+export { readChain, exportChain } from './lib/txo.js';
+export { SETTINGS, resolveSetting, getSetting, listSettings, setSetting, unsetSetting } from './lib/config.js';
+export { payFromVoucher, splitVoucher, mergeVouchers, mintVoucher, consolidateUtxos } from './lib/vouchertx.js';
+export { serveFaucet, createFaucet, requestFaucet } from './lib/faucet.js';
+export { encryptPrivateKey, decryptPrivateKey } from './lib/keystore.js';
+export { pushNotes, fetchNotes, NOTES_REF } from './lib/notes.js';
+export { installHooks, uninstallHooks, checkPush } from './lib/hooks.js';
+export { verifyChain } from './lib/verify.js';
+export { createProof, verifyProof } from './lib/proof.js';
+export { rebuild, rebuildChain } from './lib/rebuild.js';
+export { markLog, markStatus } from './lib/history.js';
+export { getBackend } from './lib/backend.js';
+export { createEsploraBackend } from './lib/esplora.js';
+export { createMockBackend } from './lib/mockchain.js';
+export { NETWORKS, getNetworkInfo } from './lib/networks.js';
+export {
+  GitmarkError,
+  ConfigError,
+  ChainError,
+  NetworkMismatchError,
+  PendingError,
+  GitError,
+  BuildError,
+  BroadcastError,
+  VoucherError,
+} from './lib/errors.js';
@@ -5,19 +5,30 @@
  *
  * Usage:
  *   git mark-init [voucher-uri]
+ *   git mark-init --faucet <url>
+ *   git mark-init --from-chain [--utxo <txid:vout>] [--consolidate]
  *
  * If voucher-uri is provided, funds will be transferred from the voucher
  * to the newly generated key. Change goes back to the voucher address.
+ * With --faucet, a git mark-faucet service pays the new key instead.
+ * With --from-chain, the chain starts from coins already sent to the
+ * configured key's address.
  */
 
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
-import { generateKeypair, getPublicKey } from './lib/keys.js';
-import { setPrivateKey, setNetwork, isGitRepo, getPrivateKey } from './lib/config.js';
-import { parseVoucher, createVoucher, loadVoucher, saveVoucher, INIT_AMOUNT, MIN_FEE } from './lib/voucher.js';
+import { loadVoucher } from './lib/voucher.js';
+import { parseArgs } from './lib/args.js';
+import { init, initFromChain } from './lib/init.js';
+import { installHooks, uninstallHooks } from './lib/hooks.js';
+import { getStoredPrivateKey } from './lib/config.js';
+import { getNetworkInfo } from './lib/networks.js';
+import { ConfigError, VoucherError } from './lib/errors.js';
+import { createLogger, levelFromOptions } from './lib/log.js';
 
 const args = process.argv.slice(2);
+const { options, positionals } = parseArgs(args, ['--fee-rate', '--max-fee', '--faucet', '--utxo', '--network']);
 
 // Help
 if (args.includes('--help') || args.includes('-h')) {
@@ -30,14 +41,38 @@ Usage:
 Arguments:
   voucher        TXO voucher URI or path to voucher file
                  Format: txo:<chain>:<txid>:<vout>?amount=<sats>&key=<key>
+                 (key as hex or nsec)
                  If a file path is given, the voucher is read from the file
                  and updated with the change output after use.
 
 Options:
   -h, --help     Show this help message
   -v, --version  Show version number
+  -q, --quiet    Print errors only
+  --verbose      Show debug output on stderr
+  --trace        Also show timings and stack traces
+  --json         Print the result as one JSON object on stdout
   --global       Store key in global git config (default: local)
-  --force        Overwrite existing key
+  --force        Overwrite an existing key (with --from-chain: txo.json)
+  --encrypt      Store the key encrypted with a passphrase (NIP-49 ncryptsec);
+                 the passphrase is prompted for or read from GITMARK_PASSPHRASE
+  --faucet URL   Request funds from a git mark-faucet service instead of
+                 spending a voucher
+  --from-chain   Start the chain from coins already sent to the configured
+                 key's address (looked up on the chain backend)
+  --utxo LIST    With --from-chain: the output(s) to use, as txid:vout
+                 (comma-separated; default: all)
+  --consolidate  With --from-chain: merge several outputs into one first
+  --network N    With --from-chain: network to look on (default: gitmark.network)
+  --fee-rate N   Fee rate in sat/vB (default: gitmark.feerate or backend estimate)
+  --max-fee N    Maximum absolute fee in sats (default: gitmark.maxfee or 50000)
+  --install-hooks    Install post-commit (mark each commit) and pre-push
+                     (refuse unmarked branch tips) hooks; existing hooks are chained
+  --uninstall-hooks  Remove the gitmark hooks, restoring chained hooks
+
+Settings (network, backend, fee rate, ...) come from flags, GITMARK_*
+environment variables, then local and global git config; run
+git mark config list to see the effective values.
 
 Examples:
   # Initialize with a voucher URI
@@ -46,11 +81,24 @@ Examples:
   # Initialize from voucher file (file is updated with change)
   git mark-init /path/to/faucet.voucher
 
+  # Initialize from a team faucet (git mark-faucet serve)
+  git mark-init --faucet http://faucet.example:8338
+
+  # Start from coins sent by hand to the address git mark-init printed
+  git mark-init --from-chain
+  git mark-init --from-chain --consolidate
+
   # Just generate a key (no funding)
   git mark-init
 
   # Use global config
   git mark-init --global
+
+  # Encrypt the key (or later: git mark key encrypt)
+  git mark-init --encrypt
+
+  # Mark every commit automatically
+  git mark-init --install-hooks
 `);
   process.exit(0);
 }
@@ -63,18 +111,22 @@ if (args.includes('--version') || args.includes('-v')) {
 }
 
 // Parse flags
-const useGlobal = args.includes('--global');
-const force = args.includes('--force');
+const useGlobal = Boolean(options['--global']);
+const force = Boolean(options['--force']);
+const encrypt = Boolean(options['--encrypt']);
+const installHooksFlag = Boolean(options['--install-hooks']);
+const uninstallHooksFlag = Boolean(options['--uninstall-hooks']);
+const faucet = options['--faucet'];
+const fromChain = Boolean(options['--from-chain']);
+
+// -v is --version here, so verbose needs the long flag
+const logger = createLogger({ level: levelFromOptions(options, { v: false }), json: Boolean(options['--json']) });
 
 // Default faucet location
 const DEFAULT_FAUCET = path.join(os.homedir(), '.gitmark', 'faucet.txt');
 
 // Find voucher argument - can be a URI or a file path
-const voucherArgRaw = args.find(a =>
-  !a.startsWith('-') &&
-  a !== '--global' &&
-  a !== '--force'
-);
+const voucherArgRaw = positionals[0];
 
 // Resolve voucher: if it's a file, read from it
 let voucherArg = null;
@@ -89,158 +141,173 @@ if (voucherArgRaw) {
     voucherFile = voucherArgRaw;
     voucherArg = loadVoucher(voucherFile);
     if (!voucherArg) {
-      console.error(`Error: Could not read voucher from file: ${voucherFile}`);
+      logger.error(new VoucherError(`Could not read voucher from file: ${voucherFile}`));
       process.exit(1);
     }
   } else {
-    console.error(`Error: Invalid voucher. Must be a txo: URI or a file path.`);
+    logger.error(new VoucherError('Invalid voucher. Must be a txo: URI or a file path.'));
     process.exit(1);
   }
-} else if (fs.existsSync(DEFAULT_FAUCET)) {
+} else if (!faucet && !fromChain && fs.existsSync(DEFAULT_FAUCET)) {
   // No voucher provided, but default faucet exists
   voucherFile = DEFAULT_FAUCET;
   voucherArg = loadVoucher(voucherFile);
   if (voucherArg) {
-    console.log(`Using default faucet: ${DEFAULT_FAUCET}`);
+    logger.info(`Using default faucet: ${DEFAULT_FAUCET}`);
   }
 }
 
-async function main() {
-  console.log('=== git-mark-init ===\n');
+/**
+ * Install or remove the gitmark hooks
+ * @returns {Array<Object>} installHooks() or uninstallHooks() results
+ */
+function manageHooks() {
+  if (uninstallHooksFlag) {
+    const removed = uninstallHooks();
+    for (const { hook, removed: done, restored } of removed) {
+      if (!done) logger.print(`${hook}: no gitmark hook installed`);
+      else logger.print(`${hook}: removed${restored ? ', previous hook restored' : ''}`);
+    }
+    return removed;
+  }
+  const installed = installHooks();
+  for (const { hook, file, chained, updated } of installed) {
+    logger.print(`${hook}: ${updated ? 'updated' : 'installed'} ${file}${chained ? ` (runs ${hook}.pre-gitmark first)` : ''}`);
+  }
+  return installed;
+}
 
-  // Check if in git repo (unless using global)
-  if (!useGlobal && !isGitRepo()) {
-    console.error('Error: Not in a git repository. Use --global for global config.');
-    process.exit(1);
+/**
+ * Print the outcome of init() for humans
+ */
+function printResult(result) {
+  if (!result.funded) {
+    logger.print('\nNo voucher provided. Key saved but wallet not funded.');
+    logger.print('To fund manually:');
+    logger.print(`  1. Send ${getNetworkInfo(result.network).name} coins to ${result.address}`);
+    logger.print(`  2. Create .well-known/txo/txo.json with the TXO URI:`);
+    logger.print(`     txo:${result.network}:<txid>:<vout>?amount=<sats>&pubkey=${result.publicKey}`);
+    logger.print('\nOr run again with a voucher:');
+    logger.print(`  git mark-init "txo:${result.network}:<txid>:<vout>?amount=<sats>&key=<key>"`);
+    return;
   }
 
-  // Check for existing key
-  const existingKey = getPrivateKey();
-  if (existingKey && !force) {
-    console.log('Existing key found. Use --force to overwrite.');
-    console.log(`Public key: ${getPublicKey(existingKey)}`);
-    process.exit(0);
+  if (result.faucet) {
+    logger.print(`\nFunded by ${result.faucet}: ${result.amount} sats (fee ${result.fee} sats paid by the faucet)`);
+    logger.print(`Transaction broadcast: ${result.txid}`);
+    logger.print(`Address: ${result.address}`);
+    logger.print(`\nTXO file created: ${result.txoFile}`);
+  } else {
+    logger.print(`\nTransaction:`);
+    logger.print(`  Input:  ${result.voucherAmount} sats (from voucher)`);
+    logger.print(`  Output: ${result.amount} sats (to you, ${result.address})`);
+    if (result.changeAmount > 0) {
+      logger.print(`  Change: ${result.changeAmount} sats (back to voucher)`);
+    }
+    logger.print(`  Fee:    ${result.fee} sats`);
+    logger.print(`Transaction broadcast: ${result.txid}`);
+    logger.print(`\nTXO file created: ${result.txoFile}`);
+
+    if (result.voucherFileUpdated) {
+      logger.print(`\nVoucher file updated: ${voucherFile}`);
+    } else if (result.changeVoucher) {
+      logger.print(`\n--- New faucet voucher (share to replenish) ---`);
+      logger.print(result.changeVoucher);
+    } else if (result.voucherFileSpent) {
+      // No change - voucher is exhausted
+      logger.warn(`Voucher exhausted (no change). Moved ${voucherFile} to ${result.voucherFileSpent}.`);
+    }
   }
 
-  // Generate new keypair
-  console.log('Generating new keypair...');
-  const { privateKey, publicKey } = generateKeypair();
-  console.log(`Public key: ${publicKey}`);
+  logger.print('\n=== Initialization complete! ===');
+  logger.print(`\nYou can now use: git mark "your commit message"`);
+}
+
+/**
+ * Print the outcome of initFromChain() for humans
+ */
+function printFromChain(result) {
+  logger.print(`Address: ${result.address} (${getNetworkInfo(result.network).name})`);
+  if (result.consolidated) {
+    logger.print(`\nConsolidated ${result.utxos.length} UTXOs into ${result.txid}:${result.vout}`);
+    logger.print(`  Output: ${result.amount} sats`);
+    logger.print(`  Fee:    ${result.fee} sats`);
+  } else {
+    logger.print(`\nUsing ${result.txid}:${result.vout} (${result.amount} sats)`);
+  }
+  logger.print(`\nTXO file created: ${result.txoFile}`);
+  logger.print('\n=== Initialization complete! ===');
+  logger.print(`\nYou can now use: git mark "your commit message"`);
+}
 
-  // Save to git config
-  const scope = useGlobal ? 'global' : 'local';
-  setPrivateKey(privateKey, useGlobal);
-  console.log(`Private key saved to ${scope} git config (nostr.privkey)`);
+async function main() {
+  logger.info('=== git-mark-init ===\n');
+
+  let hooks;
+  if (installHooksFlag || uninstallHooksFlag) {
+    hooks = manageHooks();
+    // Hooks can be added to an initialized repository without touching its key
+    if (uninstallHooksFlag || (getStoredPrivateKey() && !fromChain)) {
+      logger.result({ hooks });
+      return;
+    }
+    logger.print('');
+  }
 
-  // If voucher provided, fund the new wallet
-  if (voucherArg) {
-    console.log('\nProcessing voucher...');
-
-    try {
-      const voucher = parseVoucher(voucherArg);
-      console.log(`Chain: ${voucher.chain}`);
-      console.log(`Voucher amount: ${voucher.amount} sats`);
-
-      // Calculate amounts
-      const userAmount = Math.min(INIT_AMOUNT, voucher.amount - MIN_FEE);
-      const changeAmount = voucher.amount - userAmount - MIN_FEE;
-
-      if (userAmount <= 0) {
-        throw new Error(`Voucher amount too low. Need at least ${INIT_AMOUNT + MIN_FEE} sats.`);
-      }
-
-      console.log(`\nTransaction plan:`);
-      console.log(`  Input:  ${voucher.amount} sats (from voucher)`);
-      console.log(`  Output: ${userAmount} sats (to you)`);
-      if (changeAmount > 0) {
-        console.log(`  Change: ${changeAmount} sats (back to voucher)`);
-      }
-      console.log(`  Fee:    ${MIN_FEE} sats`);
-
-      // Build transaction
-      const { buildTx } = await import('btctx');
-      const voucherPubkey = getPublicKey(voucher.privateKey);
-
-      const outputs = [{ pubkey: publicKey, amount: userAmount }];
-
-      // Add change output back to voucher address
-      if (changeAmount > 0) {
-        outputs.push({ pubkey: voucherPubkey, amount: changeAmount });
-      }
-
-      console.log('\nBuilding transaction...');
-      const { hex, txid } = await buildTx({
-        privateKey: voucher.privateKey,
-        publicKey: voucherPubkey,
-        txid: voucher.txid,
-        vout: voucher.vout,
-        inputAmount: voucher.amount,
-        outputs,
-      });
+  if (fromChain) {
+    if (voucherArg || faucet) throw new ConfigError('--from-chain cannot be combined with a voucher or --faucet');
+    const result = await initFromChain({
+      utxos: options['--utxo'],
+      consolidate: Boolean(options['--consolidate']),
+      network: options['--network'],
+      global: useGlobal,
+      force,
+      feeRate: options['--fee-rate'],
+      maxFee: options['--max-fee'],
+      log: logger.info,
+    });
+    logger.result({ initialized: true, ...result, ...(hooks && { hooks }) }, printFromChain);
+    return;
+  }
 
-      // Broadcast
-      console.log('Broadcasting transaction...');
-      const sendtx = (await import('sendtx')).default;
-      const broadcastTxid = await sendtx(hex, voucher.chain);
-      console.log(`Transaction broadcast: ${broadcastTxid}`);
-
-      // Create TXO file
-      const txoDir = '.well-known/txo';
-      const txoFile = path.join(txoDir, 'txo.json');
-
-      fs.mkdirSync(txoDir, { recursive: true });
-
-      const txoUri = `txo:${voucher.chain}:${broadcastTxid}:0?amount=${userAmount}&pubkey=${publicKey}`;
-      const txoData = [txoUri];
-
-      fs.writeFileSync(txoFile, JSON.stringify(txoData, null, 2));
-      console.log(`\nTXO file created: ${txoFile}`);
-
-      // Set network
-      setNetwork(voucher.chain, useGlobal);
-
-      // Update voucher with change output
-      if (changeAmount > 0) {
-        const newVoucher = createVoucher({
-          chain: voucher.chain,
-          txid: broadcastTxid,
-          vout: 1,
-          privateKey: voucher.privateKey,
-          amount: changeAmount,
-        });
-
-        // If loaded from file, save new voucher back to file
-        if (voucherFile) {
-          saveVoucher(newVoucher, voucherFile);
-          console.log(`\nVoucher file updated: ${voucherFile}`);
+  let result;
+  try {
+    result = await init({
+      voucher: voucherArg,
+      voucherFile,
+      faucet,
+      global: useGlobal,
+      force,
+      encrypt,
+      feeRate: options['--fee-rate'],
+      maxFee: options['--max-fee'],
+      log: logger.info,
+    });
+  } catch (error) {
+    if (error.code === 'EKEYEXISTS') {
+      // Not a failure: the repository is already set up
+      logger.result({ initialized: false, ...error.details, ...(hooks && { hooks }) }, ({ encrypted, publicKey, npub }) => {
+        logger.print(error.message);
+        if (encrypted) {
+          logger.print('The key is encrypted.');
         } else {
-          console.log(`\n--- New faucet voucher (share to replenish) ---`);
-          console.log(newVoucher);
+          logger.print(`Public key: ${publicKey}`);
+          logger.print(`npub:       ${npub}`);
         }
-      } else if (voucherFile) {
-        // No change - voucher is exhausted
-        console.log(`\nWarning: Voucher exhausted (no change). File not updated.`);
-      }
-
-      console.log('\n=== Initialization complete! ===');
-      console.log(`\nYou can now use: git mark "your commit message"`);
-
-    } catch (error) {
-      console.error(`\nError processing voucher: ${error.message}`);
-      console.log('\nKey was saved. You can fund manually and create txo.json later.');
-      process.exit(1);
+      });
+      return;
     }
-  } else {
-    console.log('\nNo voucher provided. Key saved but wallet not funded.');
-    console.log('To fund manually:');
-    console.log(`  1. Send testnet4 coins to address derived from pubkey: ${publicKey}`);
-    console.log('  2. Create .well-known/txo/txo.json with the TXO URI');
-    console.log('\nOr run again with a voucher:');
-    console.log('  git mark-init "txo:tbtc4:<txid>:<vout>?amount=<sats>&key=<key>"');
+    throw error;
   }
+
+  logger.result({ initialized: true, ...result, ...(hooks && { hooks }) }, printResult);
 }
 
-main().catch(error => {
-  console.error(`Fatal error: ${error.message}`);
+main().then(() => logger.done(), error => {
+  logger.error(error);
+  if (error.details?.keySaved) {
+    logger.info('Key was saved. Fund its address by hand, then run git mark-init --from-chain.');
+  }
+  logger.done(true);
   process.exit(1);
 });
@@ -0,0 +1,47 @@
+/**
+ * Minimal command line parsing shared by the gitmark CLIs
+ */
+
+/**
+ * Split arguments into options and positionals
+ *
+ * Flags listed in valueFlags take the next argument as their value
+ * (`--fee-rate 5`); any flag also accepts `--name=value`. Other flags are
+ * set to true. Everything after `--` is kept apart in rest, so it can never
+ * be taken for a subcommand.
+ *
+ * @param {string[]} argv - Arguments (usually process.argv.slice(2))
+ * @param {string[]} [valueFlags=[]] - Flags that take a value
+ * @returns {{options: Object<string, string|boolean>, positionals: string[], rest: string[]|null}}
+ *   rest is null if there is no `--`
+ * @throws {Error} if a value flag has no value
+ */
+export function parseArgs(argv, valueFlags = []) {
+  const options = {};
+  const positionals = [];
+  let rest = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      rest = argv.slice(i + 1);
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      options[arg.slice(0, eq)] = arg.slice(eq + 1);
+    } else if (valueFlags.includes(arg)) {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      options[arg] = argv[++i];
+    } else {
+      options[arg] = true;
+    }
+  }
+
+  return { options, positionals, rest };
+}
@@ -0,0 +1,110 @@
+/**
+ * Chain backends for gitmark
+ *
+ * A backend is a plain object implementing:
+ *
+ *   broadcast(hex)     -> Promise<string>   txid of the accepted transaction
+ *   getTx(txid)        -> Promise<{txid, hex, confirmed, blockHeight}|null>
+ *   getUtxos(pubkey)   -> Promise<Array<{txid, vout, amount, confirmed, blockHeight}>>
+ *   getOutspend(txid, vout) -> Promise<{spent, txid, vin}>   who spent an output
+ *   getMerkleProof(txid) -> Promise<{blockHeight, blockHash, header, merkle, pos}|null>
+ *                         block header and merkle branch of a confirmed transaction
+ *   getTipHeight()     -> Promise<number>
+ *   estimateFeeRate()  -> Promise<number>   sat/vB
+ *
+ * Selected with gitmark.backend (default: the network's default backend):
+ *   sendtx  - broadcast with sendtx, read from the network's default Esplora
+ *   esplora - Esplora-compatible HTTP API at gitmark.esplora
+ *   mock    - file-backed offline chain at gitmark.mockchain
+ */
+
+import { getSetting } from './config.js';
+import { getNetworkInfo } from './networks.js';
+import { createEsploraBackend } from './esplora.js';
+import { createMockBackend } from './mockchain.js';
+
+/**
+ * @typedef {Object} ChainBackend
+ * @property {string} name - Backend type
+ * @property {string} network - Network identifier
+ * @property {(hex: string) => Promise<string>} broadcast
+ * @property {(txid: string) => Promise<{txid: string, hex: string, confirmed: boolean, blockHeight: number|null}|null>} getTx
+ * @property {(pubkey: string) => Promise<Array<{txid: string, vout: number, amount: number, confirmed: boolean, blockHeight: number|null}>>} getUtxos
+ * @property {(txid: string, vout: number) => Promise<{spent: boolean, txid: string|null, vin: number|null}>} getOutspend
+ * @property {(txid: string) => Promise<{blockHeight: number, blockHash: string, header: string, merkle: string[], pos: number}|null>} getMerkleProof
+ *   null if the transaction is unknown or unconfirmed
+ * @property {() => Promise<number>} getTipHeight
+ * @property {(target?: number) => Promise<number>} estimateFeeRate - Fee rate in sat/vB
+ */
+
+/**
+ * Create the sendtx backend: broadcasts via sendtx and reads chain data from
+ * the network's default Esplora instance
+ * @param {Object} options
+ * @param {string} options.network - Network identifier
+ * @returns {ChainBackend}
+ */
+export function createSendtxBackend({ network }) {
+  const { esplora } = getNetworkInfo(network);
+  const reader = esplora ? createEsploraBackend({ url: esplora, network }) : null;
+
+  const unsupported = () => {
+    throw new Error(`The sendtx backend cannot read chain data for ${network}. Configure gitmark.esplora.`);
+  };
+
+  return {
+    name: 'sendtx',
+    network,
+
+    async broadcast(hex) {
+      const { default: sendtx } = await import('sendtx');
+      return sendtx(hex, network);
+    },
+
+    getTx: reader ? reader.getTx : unsupported,
+    getUtxos: reader ? reader.getUtxos : unsupported,
+    getOutspend: reader ? reader.getOutspend : unsupported,
+    getMerkleProof: reader ? reader.getMerkleProof : unsupported,
+    getTipHeight: reader ? reader.getTipHeight : unsupported,
+    estimateFeeRate: reader ? reader.estimateFeeRate : unsupported,
+  };
+}
+
+/**
+ * Get the configured chain backend for a network
+ * @param {string} network - Network identifier (tbtc4, btc, ...)
+ * @param {Object} [options]
+ * @param {string} [options.backend] - Backend type, overrides gitmark.backend
+ * @param {string} [options.url] - Esplora URL, overrides gitmark.esplora
+ * @param {string} [options.file] - Mock chain file, overrides gitmark.mockchain
+ * @param {string} [options.cwd] - Repository whose config is read (default: current directory)
+ * @returns {ChainBackend}
+ */
+export function getBackend(network, options = {}) {
+  const info = getNetworkInfo(network);
+  const url = getSetting('esplora', { cwd: options.cwd, flag: options.url });
+  const type = getSetting('backend', { cwd: options.cwd, flag: options.backend }) || (url ? 'esplora' : info.backend);
+
+  switch (type) {
+    case 'sendtx':
+      return createSendtxBackend({ network });
+    case 'esplora':
+      return createEsploraBackend({ url: url || info.esplora, network });
+    case 'mock':
+      return createMockBackend({ file: getSetting('mockchain', { cwd: options.cwd, flag: options.file }), network });
+    default:
+      throw new Error(`Unknown chain backend: ${type}. Expected sendtx, esplora or mock.`);
+  }
+}
+
+/**
+ * Use a backend object as-is, or look one up by type for the network
+ * @param {ChainBackend|string|undefined} backend - Backend object, backend type or nothing
+ * @param {string} network - Network identifier
+ * @param {string} [cwd] - Repository whose config is read (default: current directory)
+ * @returns {ChainBackend}
+ */
+export function resolveBackend(backend, network, cwd) {
+  if (backend && typeof backend === 'object') return backend;
+  return getBackend(network, { backend, cwd });
+}
@@ -0,0 +1,143 @@
+/**
+ * Bech32 / bech32m encoding (BIP-173, BIP-350)
+ *
+ * Used for segwit v1 (Taproot) addresses.
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+/**
+ * Checksum constants for the two encodings
+ */
+export const BECH32 = 1;
+export const BECH32M = 0x2bc830a3;
+
+function polymod(values) {
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= GENERATOR[i];
+    }
+  }
+  return chk >>> 0;
+}
+
+function hrpExpand(hrp) {
+  const out = [];
+  for (let i = 0; i < hrp.length; i++) out.push(hrp.charCodeAt(i) >> 5);
+  out.push(0);
+  for (let i = 0; i < hrp.length; i++) out.push(hrp.charCodeAt(i) & 31);
+  return out;
+}
+
+/**
+ * Regroup bits between word sizes (e.g. 8-bit bytes to 5-bit words)
+ * @param {ArrayLike<number>} data - Input words
+ * @param {number} from - Input word size in bits
+ * @param {number} to - Output word size in bits
+ * @param {boolean} pad - Pad the final output word
+ * @returns {number[]}
+ */
+export function convertBits(data, from, to, pad) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  const maxv = (1 << to) - 1;
+  for (const value of data) {
+    if (value < 0 || value >> from) throw new Error('Invalid data for bit conversion');
+    acc = (acc << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      out.push((acc >> bits) & maxv);
+    }
+  }
+  if (pad) {
+    if (bits > 0) out.push((acc << (to - bits)) & maxv);
+  } else if (bits >= from || ((acc << (to - bits)) & maxv)) {
+    throw new Error('Invalid padding in bech32 data');
+  }
+  return out;
+}
+
+/**
+ * Encode 5-bit words as a bech32 string
+ * @param {string} hrp - Human readable part
+ * @param {number[]} words - 5-bit data words
+ * @param {number} [encoding=BECH32] - BECH32 or BECH32M
+ * @returns {string}
+ */
+export function encode(hrp, words, encoding = BECH32) {
+  const values = hrpExpand(hrp).concat(words, [0, 0, 0, 0, 0, 0]);
+  const mod = polymod(values) ^ encoding;
+  const checksum = [];
+  for (let i = 0; i < 6; i++) checksum.push((mod >>> (5 * (5 - i))) & 31);
+  return hrp + '1' + words.concat(checksum).map(w => CHARSET[w]).join('');
+}
+
+/**
+ * Decode a bech32 string
+ * @param {string} str - Bech32 or bech32m string
+ * @param {number} [limit=90] - Maximum string length
+ * @returns {{hrp: string, words: number[], encoding: number}}
+ * @throws {Error} on invalid characters, mixed case or bad checksum
+ */
+export function decode(str, limit = 90) {
+  if (str.length > limit) throw new Error('Invalid bech32 string: too long');
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) {
+    throw new Error('Invalid bech32 string: mixed case');
+  }
+  const lower = str.toLowerCase();
+  const pos = lower.lastIndexOf('1');
+  if (pos < 1 || pos + 7 > lower.length) {
+    throw new Error('Invalid bech32 string: missing separator or data');
+  }
+  const hrp = lower.slice(0, pos);
+  const words = [];
+  for (const char of lower.slice(pos + 1)) {
+    const value = CHARSET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid bech32 character: ${char}`);
+    words.push(value);
+  }
+  const check = polymod(hrpExpand(hrp).concat(words));
+  if (check !== BECH32 && check !== BECH32M) {
+    throw new Error('Invalid bech32 checksum');
+  }
+  return { hrp, words: words.slice(0, -6), encoding: check };
+}
+
+/**
+ * Encode a segwit address
+ * @param {string} hrp - Network HRP (bc, tb, bcrt)
+ * @param {number} version - Witness version (0-16)
+ * @param {Uint8Array|Buffer} program - Witness program
+ * @returns {string}
+ */
+export function encodeSegwitAddress(hrp, version, program) {
+  const encoding = version === 0 ? BECH32 : BECH32M;
+  return encode(hrp, [version].concat(convertBits(program, 8, 5, true)), encoding);
+}
+
+/**
+ * Decode a segwit address
+ * @param {string} address - Bech32/bech32m address
+ * @returns {{hrp: string, version: number, program: Buffer}}
+ * @throws {Error} if the address is malformed or uses the wrong checksum variant
+ */
+export function decodeSegwitAddress(address) {
+  const { hrp, words, encoding } = decode(address);
+  if (words.length === 0) throw new Error('Invalid segwit address: empty data');
+  const version = words[0];
+  if (version > 16) throw new Error(`Invalid segwit version: ${version}`);
+  if ((version === 0) !== (encoding === BECH32)) {
+    throw new Error('Invalid segwit address: wrong checksum variant for witness version');
+  }
+  const program = Buffer.from(convertBits(words.slice(1), 5, 8, false));
+  if (program.length < 2 || program.length > 40) {
+    throw new Error('Invalid segwit address: bad program length');
+  }
+  return { hrp, version, program };
+}
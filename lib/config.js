@@ -1,79 +1,351 @@
 /**
  * Git config helpers for gitmark
+ *
+ * Every setting gitmark reads is listed in SETTINGS and resolved in layers,
+ * highest precedence first:
+ *
+ *   command line flag > GITMARK_* environment variable > local git config
+ *     > global git config > default
+ *
+ * git is always run with an argument array, never through a shell, so
+ * values are stored exactly as given.
  */
 
-import { execSync } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { git } from './git.js';
+import { isEncryptedKey, encryptPrivateKey, decryptPrivateKey, getPassphrase } from './keystore.js';
+import { parsePrivateKey } from './keys.js';
+import { ConfigError } from './errors.js';
 
 /**
- * Get a gitmark config value
- * @param {string} key - Config key (e.g., 'key', 'network')
- * @param {boolean} [global=false] - Use global config
- * @returns {string|null} Config value or null if not set
+ * Settings by name: git config key, environment variable, command line flag
+ * (if any), default and description. choices and number restrict what
+ * setSetting() accepts; secret values are never printed by git mark config.
+ */
+export const SETTINGS = {
+  privkey: {
+    key: 'nostr.privkey',
+    env: 'GITMARK_PRIVKEY',
+    secret: true,
+    description: 'Private key: hex, nsec or encrypted ncryptsec',
+  },
+  network: {
+    key: 'gitmark.network',
+    env: 'GITMARK_NETWORK',
+    default: 'tbtc4',
+    description: 'Network of new chains (tbtc4, tbtc3, btc, ...)',
+  },
+  backend: {
+    key: 'gitmark.backend',
+    env: 'GITMARK_BACKEND',
+    choices: ['esplora', 'sendtx', 'mock'],
+    description: 'Chain backend (default: esplora if gitmark.esplora is set, else per network)',
+  },
+  esplora: {
+    key: 'gitmark.esplora',
+    env: 'GITMARK_ESPLORA',
+    description: 'Esplora API URL (default: per network)',
+  },
+  mockchain: {
+    key: 'gitmark.mockchain',
+    env: 'GITMARK_MOCKCHAIN',
+    default: path.join(os.homedir(), '.gitmark', 'mockchain.json'),
+    description: 'Mock chain file for the mock backend',
+  },
+  feerate: {
+    key: 'gitmark.feerate',
+    env: 'GITMARK_FEERATE',
+    flag: '--fee-rate',
+    number: true,
+    description: 'Fee rate in sat/vB (default: backend estimate)',
+  },
+  maxfee: {
+    key: 'gitmark.maxfee',
+    env: 'GITMARK_MAXFEE',
+    flag: '--max-fee',
+    number: true,
+    default: '50000',
+    description: 'Maximum absolute fee in sats',
+  },
+  rbf: {
+    key: 'gitmark.rbf',
+    env: 'GITMARK_RBF',
+    choices: ['true', 'false'],
+    default: 'true',
+    description: 'Signal replace-by-fee on mark transactions',
+  },
+  deposits: {
+    key: 'gitmark.deposits',
+    env: 'GITMARK_DEPOSITS',
+    flag: '--deposits',
+    choices: ['current', 'all', 'none'],
+    default: 'current',
+    description: 'UTXOs a mark absorbs: at the current chain address, at any chain address, or none',
+  },
+  storage: {
+    key: 'gitmark.storage',
+    env: 'GITMARK_STORAGE',
+    choices: ['file', 'notes'],
+    default: 'file',
+    description: 'Where mark records are kept: txo.json (published with the tree, the default) or git notes',
+  },
+};
+
+/**
+ * Look up a setting by name (network) or git config key (gitmark.network)
+ * @param {string} name
+ * @returns {{name: string, key: string, env: string, flag?: string, default?: string, description: string}}
+ * @throws {ConfigError} for an unknown setting
+ */
+export function getSettingInfo(name) {
+  const found = Object.hasOwn(SETTINGS, name) ? name : Object.keys(SETTINGS).find(key => SETTINGS[key].key === name);
+  if (!found) {
+    throw new ConfigError(`Unknown setting: ${name}. Expected one of ${Object.keys(SETTINGS).join(', ')}.`);
+  }
+  return { name: found, ...SETTINGS[found] };
+}
+
+/**
+ * Read a git config key from one scope
+ * @returns {string|null}
  */
-export function getConfig(key, global = false) {
+function readGitConfig(key, global, cwd) {
   try {
-    const scope = global ? '--global' : '--local';
-    return execSync(`git config ${scope} gitmark.${key}`, { encoding: 'utf8' }).trim();
+    return git(['config', global ? '--global' : '--local', '--get', key], { cwd }) || null;
   } catch {
     return null;
   }
 }
 
+/**
+ * Resolve a setting through the layers
+ * @param {string} name - Setting name or git config key
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string|number} [options.flag] - Value given on the command line
+ * @returns {{name: string, key: string, value: string|null, source: 'flag'|'env'|'local'|'global'|'default'|null,
+ *   origin: string|null}} origin names the flag, variable or config key the value came from;
+ *   source and origin are null if the setting is unset and has no default
+ * @throws {ConfigError} for an unknown setting
+ */
+export function resolveSetting(name, { cwd, flag } = {}) {
+  const info = getSettingInfo(name);
+  const result = (value, source, origin) => ({ name: info.name, key: info.key, value, source, origin });
+
+  if (flag !== undefined && flag !== null && flag !== '') return result(String(flag), 'flag', info.flag || 'option');
+  if (process.env[info.env]) return result(process.env[info.env], 'env', info.env);
+  const local = readGitConfig(info.key, false, cwd);
+  if (local !== null) return result(local, 'local', info.key);
+  const global = readGitConfig(info.key, true, cwd);
+  if (global !== null) return result(global, 'global', `${info.key} (global)`);
+  if (info.default !== undefined) return result(info.default, 'default', 'default');
+  return result(null, null, null);
+}
+
+/**
+ * Get the effective value of a setting
+ * @param {string} name - Setting name or git config key
+ * @param {Object} [options] - resolveSetting() options
+ * @returns {string|null}
+ */
+export function getSetting(name, options) {
+  return resolveSetting(name, options).value;
+}
+
+/**
+ * Resolve every setting
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {Object<string, string>} [options.flags] - Command line options by flag (--fee-rate: '5')
+ * @returns {Array<ReturnType<typeof resolveSetting> & {description: string, secret: boolean}>}
+ */
+export function listSettings({ cwd, flags = {} } = {}) {
+  return Object.entries(SETTINGS).map(([name, info]) => ({
+    ...resolveSetting(name, { cwd, flag: info.flag && flags[info.flag] }),
+    description: info.description,
+    secret: Boolean(info.secret),
+  }));
+}
+
+/**
+ * Write a setting to git config
+ * @param {string} name - Setting name or git config key
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {boolean} [options.global=false] - Use global config
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @returns {{name: string, key: string, scope: 'local'|'global'}}
+ * @throws {ConfigError} for an unknown setting or a value it does not accept
+ */
+export function setSetting(name, value, { global = false, cwd } = {}) {
+  const info = getSettingInfo(name);
+  value = String(value);
+  if (info.choices && !info.choices.includes(value)) {
+    throw new ConfigError(`Invalid ${info.key}: ${value}. Expected ${info.choices.join(', ')}.`);
+  }
+  if (info.number && !(Number(value) > 0)) {
+    throw new ConfigError(`Invalid ${info.key}: ${value}. Expected a positive number.`);
+  }
+  git(['config', global ? '--global' : '--local', info.key, value], { cwd });
+  return { name: info.name, key: info.key, scope: global ? 'global' : 'local' };
+}
+
+/**
+ * Remove a setting from git config
+ * @param {string} name - Setting name or git config key
+ * @param {Object} [options]
+ * @param {boolean} [options.global=false] - Use global config
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @returns {{name: string, key: string, scope: 'local'|'global', removed: boolean}}
+ * @throws {ConfigError} for an unknown setting
+ */
+export function unsetSetting(name, { global = false, cwd } = {}) {
+  const info = getSettingInfo(name);
+  const removed = readGitConfig(info.key, global, cwd) !== null;
+  if (removed) git(['config', global ? '--global' : '--local', '--unset-all', info.key], { cwd });
+  return { name: info.name, key: info.key, scope: global ? 'global' : 'local', removed };
+}
+
+/**
+ * Get a gitmark config value from one scope
+ * @param {string} key - Config key (e.g., 'key', 'network')
+ * @param {boolean} [global=false] - Use global config
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {string|null} Config value or null if not set
+ */
+export function getConfig(key, global = false, cwd) {
+  return readGitConfig(`gitmark.${key}`, global, cwd);
+}
+
 /**
  * Set a gitmark config value
  * @param {string} key - Config key
  * @param {string} value - Config value
  * @param {boolean} [global=false] - Use global config
+ * @param {string} [cwd] - Repository directory (default: current directory)
  */
-export function setConfig(key, value, global = false) {
-  const scope = global ? '--global' : '--local';
-  execSync(`git config ${scope} gitmark.${key} "${value}"`);
+export function setConfig(key, value, global = false, cwd) {
+  git(['config', global ? '--global' : '--local', `gitmark.${key}`, String(value)], { cwd });
 }
 
 /**
  * Remove a gitmark config value
  * @param {string} key - Config key
  * @param {boolean} [global=false] - Use global config
+ * @param {string} [cwd] - Repository directory (default: current directory)
  */
-export function unsetConfig(key, global = false) {
+export function unsetConfig(key, global = false, cwd) {
   try {
-    const scope = global ? '--global' : '--local';
-    execSync(`git config ${scope} --unset gitmark.${key}`);
+    git(['config', global ? '--global' : '--local', '--unset', `gitmark.${key}`], { cwd });
   } catch {
     // Ignore if not set
   }
 }
 
 /**
- * Get the private key from git config (nostr.privkey)
- * @returns {string|null}
+ * Get the private key as stored: GITMARK_PRIVKEY, else nostr.privkey (local, then global)
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {string|null} Hex key, nsec1..., ncryptsec1... string or null
+ */
+export function getStoredPrivateKey(cwd) {
+  return getSetting('privkey', { cwd });
+}
+
+/**
+ * Get the private key from git config (nostr.privkey) as hex, decoding an
+ * nsec and decrypting an ncryptsec key with the passphrase
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Passphrase (default: GITMARK_PASSPHRASE or a terminal prompt)
+ * @returns {string|null} 64-char hex key
+ * @throws {ConfigError} if the key is a malformed nsec or cannot be decrypted
  */
-export function getPrivateKey() {
-  return getNostrConfig('privkey') || getNostrConfig('privkey', true);
+export function getPrivateKey(cwd, { passphrase } = {}) {
+  const stored = getStoredPrivateKey(cwd);
+  if (!stored) return null;
+  if (isEncryptedKey(stored)) return decryptPrivateKey(stored, getPassphrase({ passphrase }));
+  return toHexKey(stored);
+}
+
+/**
+ * Convert an nsec to hex, reporting a bad key as a configuration error
+ */
+function toHexKey(key) {
+  try {
+    return parsePrivateKey(key);
+  } catch (error) {
+    throw new ConfigError(`nostr.privkey: ${error.message}`, { cause: error });
+  }
 }
 
 /**
  * Set the private key in git config (nostr.privkey)
- * @param {string} key - Private key
+ * @param {string} key - Private key, hex, nsec1... or ncryptsec1...
  * @param {boolean} [global=false] - Use global config
+ * @param {string} [cwd] - Repository directory (default: current directory)
  */
-export function setPrivateKey(key, global = false) {
-  setNostrConfig('privkey', key, global);
+export function setPrivateKey(key, global = false, cwd) {
+  setNostrConfig('privkey', key, global, cwd);
+}
+
+/**
+ * Find the scope nostr.privkey is read from
+ * @returns {boolean|null} true for global, false for local, null if unset
+ */
+function findKeyScope(cwd) {
+  if (getNostrConfig('privkey', false, cwd)) return false;
+  if (getNostrConfig('privkey', true, cwd)) return true;
+  return null;
+}
+
+/**
+ * Encrypt the stored private key in place
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string} [options.passphrase] - New passphrase (default: GITMARK_PASSPHRASE or prompted twice)
+ * @returns {{scope: 'local'|'global', changed: boolean}} changed is false if the key was already encrypted
+ * @throws {ConfigError} if no key is configured
+ */
+export function encryptStoredKey({ cwd, passphrase } = {}) {
+  const global = findKeyScope(cwd);
+  if (global === null) throw new ConfigError('No private key configured (nostr.privkey). Run git mark-init first.');
+  const scope = global ? 'global' : 'local';
+  const stored = getNostrConfig('privkey', global, cwd);
+  if (isEncryptedKey(stored)) return { scope, changed: false };
+
+  setPrivateKey(encryptPrivateKey(toHexKey(stored), getPassphrase({ passphrase, confirm: true })), global, cwd);
+  return { scope, changed: true };
+}
+
+/**
+ * Replace the stored encrypted key with the plaintext key
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string} [options.passphrase] - Passphrase (default: GITMARK_PASSPHRASE or a terminal prompt)
+ * @returns {{scope: 'local'|'global', changed: boolean}} changed is false if the key was not encrypted
+ * @throws {ConfigError} if no key is configured; code EPASSPHRASE if the passphrase is wrong
+ */
+export function decryptStoredKey({ cwd, passphrase } = {}) {
+  const global = findKeyScope(cwd);
+  if (global === null) throw new ConfigError('No private key configured (nostr.privkey). Run git mark-init first.');
+  const scope = global ? 'global' : 'local';
+  const stored = getNostrConfig('privkey', global, cwd);
+  if (!isEncryptedKey(stored)) return { scope, changed: false };
+
+  setPrivateKey(decryptPrivateKey(stored, getPassphrase({ passphrase })), global, cwd);
+  return { scope, changed: true };
 }
 
 /**
  * Get a nostr config value
  * @param {string} key - Config key
  * @param {boolean} [global=false] - Use global config
+ * @param {string} [cwd] - Repository directory (default: current directory)
  * @returns {string|null}
  */
-export function getNostrConfig(key, global = false) {
-  try {
-    const scope = global ? '--global' : '--local';
-    return execSync(`git config ${scope} nostr.${key}`, { encoding: 'utf8' }).trim();
-  } catch {
-    return null;
-  }
+export function getNostrConfig(key, global = false, cwd) {
+  return readGitConfig(`nostr.${key}`, global, cwd);
 }
 
 /**
@@ -81,37 +353,41 @@ export function getNostrConfig(key, global = false) {
  * @param {string} key - Config key
  * @param {string} value - Config value
  * @param {boolean} [global=false] - Use global config
+ * @param {string} [cwd] - Repository directory (default: current directory)
  */
-export function setNostrConfig(key, value, global = false) {
-  const scope = global ? '--global' : '--local';
-  execSync(`git config ${scope} nostr.${key} "${value}"`);
+export function setNostrConfig(key, value, global = false, cwd) {
+  git(['config', global ? '--global' : '--local', `nostr.${key}`, String(value)], { cwd });
 }
 
 /**
- * Get the network from git config
- * @param {string} [defaultNetwork='tbtc4'] - Default network
+ * Get the configured network
+ * @param {string} [defaultNetwork] - Default network (default: the network setting's default)
+ * @param {string} [cwd] - Repository directory (default: current directory)
  * @returns {string}
  */
-export function getNetwork(defaultNetwork = 'tbtc4') {
-  return getConfig('network') || getConfig('network', true) || defaultNetwork;
+export function getNetwork(defaultNetwork, cwd) {
+  const { value, source } = resolveSetting('network', { cwd });
+  return source === 'default' && defaultNetwork ? defaultNetwork : value;
 }
 
 /**
  * Set the network in git config
  * @param {string} network - Network identifier
  * @param {boolean} [global=false] - Use global config
+ * @param {string} [cwd] - Repository directory (default: current directory)
  */
-export function setNetwork(network, global = false) {
-  setConfig('network', network, global);
+export function setNetwork(network, global = false, cwd) {
+  setConfig('network', network, global, cwd);
 }
 
 /**
  * Check if we're in a git repository
+ * @param {string} [cwd] - Directory to check (default: current directory)
  * @returns {boolean}
  */
-export function isGitRepo() {
+export function isGitRepo(cwd) {
   try {
-    execSync('git rev-parse --git-dir', { stdio: 'ignore' });
+    git(['rev-parse', '--git-dir'], { cwd });
     return true;
   } catch {
     return false;
@@ -0,0 +1,97 @@
+/**
+ * Error types thrown by the gitmark API
+ *
+ * Every error has a stable `code` so callers can branch without matching on
+ * messages; the original error, if any, is kept as `cause`.
+ */
+
+/**
+ * Base class for all gitmark errors
+ */
+export class GitmarkError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [options]
+   * @param {string} [options.code='EGITMARK'] - Stable error code
+   * @param {Error} [options.cause] - Underlying error
+   * @param {Object} [options.details] - Extra machine-readable context
+   */
+  constructor(message, { code = 'EGITMARK', cause, details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (details) this.details = details;
+  }
+}
+
+/**
+ * Missing or invalid configuration (private key, network, fee settings)
+ */
+export class ConfigError extends GitmarkError {
+  constructor(message, options = {}) {
+    super(message, { code: 'ECONFIG', ...options });
+  }
+}
+
+/**
+ * Problems with the TXO chain: missing/empty txo.json, keys that do not match
+ */
+export class ChainError extends GitmarkError {
+  constructor(message, options = {}) {
+    super(message, { code: 'ECHAIN', ...options });
+  }
+}
+
+/**
+ * The configured network and the TXO chain's network disagree
+ */
+export class NetworkMismatchError extends GitmarkError {
+  constructor(message, options = {}) {
+    super(message, { code: 'ENETWORK', ...options });
+  }
+}
+
+/**
+ * A built but unbroadcast mark transaction is waiting
+ */
+export class PendingError extends GitmarkError {
+  constructor(message, options = {}) {
+    super(message, { code: 'EPENDING', ...options });
+  }
+}
+
+/**
+ * Git operations failed (not a repository, commit failed, ...)
+ */
+export class GitError extends GitmarkError {
+  constructor(message, options = {}) {
+    super(message, { code: 'EGIT', ...options });
+  }
+}
+
+/**
+ * Building or signing the transaction failed (including fee and dust checks)
+ */
+export class BuildError extends GitmarkError {
+  constructor(message, options = {}) {
+    super(message, { code: 'EBUILD', ...options });
+  }
+}
+
+/**
+ * The chain backend rejected or failed to broadcast the transaction
+ */
+export class BroadcastError extends GitmarkError {
+  constructor(message, options = {}) {
+    super(message, { code: 'EBROADCAST', ...options });
+  }
+}
+
+/**
+ * A voucher could not be read, parsed or spent
+ */
+export class VoucherError extends GitmarkError {
+  constructor(message, options = {}) {
+    super(message, { code: 'EVOUCHER', ...options });
+  }
+}
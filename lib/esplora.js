@@ -0,0 +1,112 @@
+/**
+ * Esplora-compatible HTTP chain backend
+ *
+ * Works against mempool.space, blockstream.info, a self-hosted electrs/esplora
+ * or any local stand-in that serves the same REST API.
+ */
+
+import { getNetworkInfo } from './networks.js';
+import { toTaprootAddress } from './keys.js';
+
+/**
+ * Confirmation target (in blocks) used for fee estimates
+ */
+export const FEE_TARGET_BLOCKS = 6;
+
+/**
+ * Create an Esplora backend
+ * @param {Object} options
+ * @param {string} options.url - API base URL (e.g. https://mempool.space/testnet4/api)
+ * @param {string} options.network - Network identifier (tbtc4, btc, ...)
+ * @returns {import('./backend.js').ChainBackend}
+ */
+export function createEsploraBackend({ url, network }) {
+  if (!url) throw new Error(`No Esplora URL configured for network ${network}. Set gitmark.esplora.`);
+  const base = url.replace(/\/+$/, '');
+  // Unsupported networks fail here rather than on the first address lookup
+  getNetworkInfo(network);
+
+  async function request(path, init) {
+    const res = await fetch(`${base}${path}`, init);
+    const body = await res.text();
+    if (!res.ok) {
+      const error = new Error(`Esplora ${init?.method || 'GET'} ${path} failed (${res.status}): ${body.trim()}`);
+      error.status = res.status;
+      throw error;
+    }
+    return body;
+  }
+
+  return {
+    name: 'esplora',
+    network,
+
+    async broadcast(hex) {
+      return (await request('/tx', { method: 'POST', body: hex })).trim();
+    },
+
+    async getTx(txid) {
+      try {
+        const hex = (await request(`/tx/${txid}/hex`)).trim();
+        const status = JSON.parse(await request(`/tx/${txid}/status`));
+        return {
+          txid,
+          hex,
+          confirmed: Boolean(status.confirmed),
+          blockHeight: status.block_height ?? null,
+        };
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+
+    async getUtxos(pubkey) {
+      const address = toTaprootAddress(pubkey, network);
+      const utxos = JSON.parse(await request(`/address/${address}/utxo`));
+      return utxos.map(u => ({
+        txid: u.txid,
+        vout: u.vout,
+        amount: u.value,
+        confirmed: Boolean(u.status?.confirmed),
+        blockHeight: u.status?.block_height ?? null,
+      }));
+    },
+
+    async getOutspend(txid, vout) {
+      const outspend = JSON.parse(await request(`/tx/${txid}/outspend/${vout}`));
+      return {
+        spent: Boolean(outspend.spent),
+        txid: outspend.txid ?? null,
+        vin: outspend.vin ?? null,
+      };
+    },
+
+    async getMerkleProof(txid) {
+      let proof;
+      try {
+        proof = JSON.parse(await request(`/tx/${txid}/merkle-proof`));
+      } catch (error) {
+        // 404: unknown transaction; 400: not confirmed yet
+        if (error.status === 404 || error.status === 400) return null;
+        throw error;
+      }
+      const blockHash = (await request(`/block-height/${proof.block_height}`)).trim();
+      const header = (await request(`/block/${blockHash}/header`)).trim();
+      return { blockHeight: proof.block_height, blockHash, header, merkle: proof.merkle, pos: proof.pos };
+    },
+
+    async getTipHeight() {
+      return parseInt(await request('/blocks/tip/height'), 10);
+    },
+
+    async estimateFeeRate(target = FEE_TARGET_BLOCKS) {
+      const estimates = JSON.parse(await request('/fee-estimates'));
+      if (estimates[target] !== undefined) return estimates[target];
+      // Use the closest faster target available
+      const targets = Object.keys(estimates).map(Number).filter(t => t <= target).sort((a, b) => b - a);
+      if (targets.length === 0) throw new Error(`No fee estimate for ${target} blocks`);
+      return estimates[targets[0]];
+    },
+  };
+}
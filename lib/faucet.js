@@ -0,0 +1,302 @@
+/**
+ * Faucet: hand out voucher funds over HTTP
+ *
+ * git mark-faucet serve runs serveFaucet(): a small HTTP service that
+ * pays INIT_AMOUNT from a voucher file to each new key, with the change going
+ * back to the voucher (the same transaction git mark-init builds from a
+ * voucher). git mark-init --faucet <url> calls requestFaucet().
+ *
+ *   GET  /      -> {network, amount, balance, interval}
+ *   POST /fund  {"pubkey": "<hex or npub>"}
+ *               -> {network, txid, vout, amount, fee, txoUri}
+ *
+ * Payments run one at a time and the voucher file is re-read and rewritten
+ * for each, so two requests can never spend the same outpoint. A payment
+ * that uses the voucher up moves the file to <file>.spent, so a restarted
+ * faucet does not offer the spent voucher again. Each pubkey
+ * and each client IP is served once per interval; the limits live in memory
+ * and reset when the server restarts.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import { Point } from '@noble/secp256k1';
+import { parsePublicKey } from './keys.js';
+import { parseVoucher, loadVoucher, assertSpendableVoucher, INIT_AMOUNT } from './voucher.js';
+import { payFromVoucher } from './vouchertx.js';
+import { parseTxoEntry } from './txo.js';
+import { ConfigError, VoucherError, BroadcastError } from './errors.js';
+
+/**
+ * Port the faucet listens on by default
+ */
+export const DEFAULT_FAUCET_PORT = 8338;
+
+/**
+ * Seconds before the same pubkey or IP is paid again
+ */
+export const DEFAULT_FAUCET_INTERVAL = 24 * 60 * 60;
+
+// Request bodies are a single pubkey
+const MAX_BODY = 1024;
+
+/**
+ * Error answered with an HTTP status
+ */
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Accept an x-only public key as hex or npub and check it is on the curve
+ * @returns {string} 64-char lowercase hex
+ */
+function parseFaucetPubkey(value) {
+  if (typeof value !== 'string') throw new HttpError(400, 'Missing pubkey');
+  let pubkey;
+  try {
+    pubkey = parsePublicKey(value.trim());
+    Point.fromHex(`02${pubkey}`);
+  } catch (error) {
+    throw new HttpError(400, `Invalid pubkey: ${error.message}`);
+  }
+  return pubkey;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      // Keep draining so the 413 response still reaches the client
+      if (body.length <= MAX_BODY) body += chunk;
+    });
+    req.on('end', () => (body.length > MAX_BODY ? reject(new HttpError(413, 'Request body too large')) : resolve(body)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the faucet request handler
+ *
+ * @param {Object} options
+ * @param {string} options.voucherFile - Voucher file to pay from; rewritten with the change after each payment,
+ *   moved to <file>.spent once no change is left
+ * @param {number|string} [options.amount=INIT_AMOUNT] - Satoshis per request
+ * @param {number|string} [options.interval=DEFAULT_FAUCET_INTERVAL] - Seconds between payments to one pubkey or IP
+ * @param {string} [options.cwd] - Repository whose config is read (backend, fee settings)
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @param {number|string} [options.feeRate] - Fee rate in sat/vB
+ * @param {number|string} [options.maxFee] - Maximum absolute fee in sats
+ * @param {(message: string) => void} [options.log] - One line per request
+ * @returns {{handle: (req: http.IncomingMessage, res: http.ServerResponse) => Promise<void>,
+ *   fund: (pubkey: string, ip?: string) => Promise<Object>, info: () => Object}}
+ * @throws {ConfigError} if the options are invalid
+ * @throws {VoucherError} if the voucher file cannot be read or spent
+ */
+export function createFaucet(options) {
+  const { voucherFile, cwd = process.cwd(), log = () => {} } = options;
+  const amount = Number(options.amount ?? INIT_AMOUNT);
+  const interval = Number(options.interval ?? DEFAULT_FAUCET_INTERVAL);
+  if (!voucherFile) throw new ConfigError('No voucher file given');
+  if (!Number.isInteger(amount) || amount < 1) throw new ConfigError(`Invalid amount: ${options.amount}. Expected satoshis.`);
+  if (!Number.isFinite(interval) || interval < 0) throw new ConfigError(`Invalid interval: ${options.interval}. Expected seconds.`);
+
+  // Fail at startup rather than on the first request
+  assertSpendableVoucher(readVoucher());
+
+  let queue = Promise.resolve();
+  let exhausted = false;
+  const lastPaid = new Map();
+
+  function readVoucher() {
+    const uri = loadVoucher(voucherFile);
+    // payFromVoucher() moves a used-up voucher aside
+    if (!uri && fs.existsSync(`${voucherFile}.spent`)) throw new VoucherError(`Faucet voucher ${voucherFile} is spent; give a funded one`);
+    if (!uri) throw new VoucherError(`Could not read voucher from file: ${voucherFile}`);
+    return parseVoucher(uri);
+  }
+
+  function info() {
+    const voucher = exhausted ? null : readVoucher();
+    return {
+      network: voucher?.chain ?? null,
+      amount,
+      balance: voucher?.total ?? 0,
+      interval,
+    };
+  }
+
+  /**
+   * Claim the rate limit slots of a request, or refuse it
+   * @returns {() => void} Releases the slots if the payment fails
+   */
+  function claim(keys) {
+    const now = Date.now();
+    for (const key of keys) {
+      const last = lastPaid.get(key);
+      if (last !== undefined && now - last < interval * 1000) {
+        const retryAfter = Math.ceil((last + interval * 1000 - now) / 1000);
+        throw new HttpError(429, `Already funded ${key.split(':')[0]} recently; try again in ${retryAfter}s`, {
+          'Retry-After': String(retryAfter),
+        });
+      }
+    }
+    for (const key of keys) lastPaid.set(key, now);
+    return () => keys.forEach(key => lastPaid.delete(key));
+  }
+
+  async function pay(pubkey) {
+    if (exhausted) throw new HttpError(503, 'Faucet is empty');
+    const voucher = readVoucher();
+    const paid = await payFromVoucher({ ...options, cwd, voucher, publicKey: pubkey, amount, voucherFile });
+    if (!paid.changeVoucher) exhausted = true;
+    return {
+      network: voucher.chain,
+      txid: paid.txid,
+      vout: 0,
+      amount: paid.amount,
+      fee: paid.fee,
+      txoUri: `txo:${voucher.chain}:${paid.txid}:0?amount=${paid.amount}&pubkey=${pubkey}`,
+    };
+  }
+
+  /**
+   * Pay a pubkey, subject to the rate limits
+   * @param {string} value - x-only public key, hex or npub
+   * @param {string} [ip] - Client address
+   */
+  async function fund(value, ip) {
+    const pubkey = parseFaucetPubkey(value);
+    const release = claim(ip ? [`pubkey:${pubkey}`, `ip:${ip}`] : [`pubkey:${pubkey}`]);
+    // One payment at a time: each spends the change output of the previous one
+    const result = queue.then(() => pay(pubkey));
+    queue = result.catch(() => {});
+    try {
+      return await result;
+    } catch (error) {
+      release();
+      throw error;
+    }
+  }
+
+  async function handle(req, res) {
+    const ip = req.socket.remoteAddress;
+    let status = 200;
+    let body;
+    let headers = {};
+    try {
+      const { pathname } = new URL(req.url, 'http://faucet');
+      if (pathname === '/' && req.method === 'GET') {
+        body = info();
+      } else if (pathname === '/fund' && req.method === 'POST') {
+        let request;
+        try {
+          request = JSON.parse(await readBody(req));
+        } catch (error) {
+          if (error instanceof HttpError) throw error;
+          throw new HttpError(400, 'Expected a JSON body: {"pubkey": "<hex or npub>"}');
+        }
+        body = await fund(request?.pubkey, ip);
+        log(`${ip} ${body.txoUri}`);
+      } else if (pathname === '/' || pathname === '/fund') {
+        throw new HttpError(405, `${req.method} not allowed on ${pathname}`);
+      } else {
+        throw new HttpError(404, `Not found: ${pathname}`);
+      }
+    } catch (error) {
+      if (error instanceof HttpError) {
+        status = error.status;
+        headers = error.headers;
+      } else {
+        status = error instanceof BroadcastError ? 502 : error instanceof VoucherError ? 503 : 500;
+      }
+      body = { error: error.message, ...(error.code && { code: error.code }) };
+      log(`${ip} ${req.method} ${req.url} ${status} ${error.message}`);
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body) + '\n');
+  }
+
+  return { handle, fund, info };
+}
+
+/**
+ * Start the faucet HTTP server
+ *
+ * @param {Object} options - createFaucet() options, plus:
+ * @param {number|string} [options.port=DEFAULT_FAUCET_PORT] - Port to listen on (0 picks a free one)
+ * @param {string} [options.host] - Address to bind (default: all interfaces)
+ * @returns {Promise<{server: http.Server, url: string, faucet: Object}>}
+ * @throws {GitmarkError} if the faucet cannot be created or the port is unavailable
+ */
+export async function serveFaucet(options) {
+  const port = Number(options.port ?? DEFAULT_FAUCET_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new ConfigError(`Invalid port: ${options.port}`);
+
+  const faucet = createFaucet(options);
+  const server = http.createServer((req, res) => faucet.handle(req, res));
+  await new Promise((resolve, reject) => {
+    server.once('error', error => reject(new ConfigError(`Cannot listen on port ${port}: ${error.message}`, { cause: error })));
+    server.listen(port, options.host, resolve);
+  });
+  const address = server.address();
+  const host = !options.host || options.host === '0.0.0.0' || options.host === '::' ? 'localhost' : options.host;
+  return { server, url: `http://${host}:${address.port}`, faucet };
+}
+
+/**
+ * Ask a faucet to fund a key
+ *
+ * @param {string} url - Faucet base URL
+ * @param {string} publicKey - x-only public key to fund
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{network: string, txid: string, vout: number, amount: number, fee: number, txoUri: string}>}
+ * @throws {VoucherError} if the faucet refuses (details.status, and details.retryAfter when rate limited)
+ *   or answers with an entry that does not pay publicKey
+ */
+export async function requestFaucet(url, publicKey, { signal } = {}) {
+  const endpoint = `${url.replace(/\/+$/, '')}/fund`;
+  let res;
+  let body;
+  try {
+    res = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pubkey: publicKey }),
+      signal,
+    });
+    body = await res.text();
+  } catch (error) {
+    throw new VoucherError(`Faucet request to ${endpoint} failed: ${error.message}`, { cause: error });
+  }
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    throw new VoucherError(`Faucet at ${endpoint} answered ${res.status} with a non-JSON body`);
+  }
+  if (!res.ok) {
+    const retryAfter = res.headers.get('retry-after');
+    throw new VoucherError(`Faucet refused (${res.status}): ${data.error || body.trim()}`, {
+      details: { status: res.status, ...(retryAfter && { retryAfter: Number(retryAfter) }) },
+    });
+  }
+
+  let entry;
+  try {
+    entry = parseTxoEntry(data.txoUri);
+  } catch (error) {
+    throw new VoucherError(`Faucet answered with an invalid TXO entry: ${data.txoUri}`, { cause: error });
+  }
+  if (entry.pubkey !== publicKey || entry.vout !== 0 || entry.txid !== data.txid) {
+    throw new VoucherError(`Faucet answered with an entry that does not pay ${publicKey}: ${data.txoUri}`);
+  }
+  return { network: entry.network, txid: entry.txid, vout: entry.vout, amount: entry.amount, fee: data.fee ?? null, txoUri: data.txoUri };
+}
@@ -0,0 +1,184 @@
+/**
+ * Fee calculation for gitmark transactions
+ *
+ * Fees are vsize * sat/vB. The rate comes from the feerate setting
+ * (--fee-rate, GITMARK_FEERATE or gitmark.feerate) or else the chain
+ * backend's estimate; the absolute fee is capped by the maxfee setting.
+ * Without either, test networks fall back to DEFAULT_FEE_RATE and mainnet
+ * refuses, since 1 sat/vB may never confirm there.
+ *
+ * Mark transactions signal replace-by-fee (BIP-125) unless gitmark.rbf is
+ * false, so `git mark bump` can replace them.
+ */
+
+import { resolveSetting, getSetting, SETTINGS } from './config.js';
+import { parseTx } from './tx.js';
+import { ConfigError } from './errors.js';
+
+/**
+ * Dust limit for P2TR outputs in satoshis
+ */
+export const DUST_LIMIT = 330;
+
+/**
+ * Fallback fee rate (sat/vB) when nothing is configured and the backend
+ * cannot estimate (test networks only)
+ */
+export const DEFAULT_FEE_RATE = 1;
+
+/**
+ * Default maximum absolute fee in satoshis
+ */
+export const DEFAULT_MAX_FEE = Number(SETTINGS.maxfee.default);
+
+/**
+ * Input sequence that signals replace-by-fee (BIP-125)
+ */
+export const RBF_SEQUENCE = 0xfffffffd;
+
+/**
+ * Minimum fee rate (sat/vB) a replacement must add on top of the fee it replaces
+ */
+export const INCREMENTAL_RELAY_FEE = 1;
+
+function parsePositive(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new ConfigError(`Invalid ${name}: ${value}. Expected a positive number.`);
+  }
+  return number;
+}
+
+/**
+ * Resolve the fee rate to use
+ * @param {Object} [options]
+ * @param {string|number} [options.feeRate] - Explicit rate (--fee-rate)
+ * @param {import('./backend.js').ChainBackend} [options.backend] - Backend to ask for an estimate
+ * @param {string} [options.network] - Network the transaction is for (default: the backend's)
+ * @param {string} [options.cwd] - Repository whose config is read (default: current directory)
+ * @param {(message: string) => void} [options.log] - Told when the default rate is used
+ * @returns {Promise<{rate: number, source: string}>}
+ * @throws {ConfigError} on mainnet when nothing is configured and there is no estimate
+ */
+export async function resolveFeeRate({ feeRate, backend, network = backend?.network, cwd, log = () => {} } = {}) {
+  const configured = resolveSetting('feerate', { cwd, flag: feeRate });
+  if (configured.value !== null) {
+    return { rate: parsePositive(configured.value, configured.origin), source: configured.origin };
+  }
+
+  let reason = 'no backend to estimate it';
+  if (backend?.estimateFeeRate) {
+    try {
+      const rate = await backend.estimateFeeRate();
+      if (rate > 0) return { rate, source: `${backend.name} estimate` };
+      reason = `the ${backend.name} backend returned ${rate}`;
+    } catch (error) {
+      reason = `the ${backend.name} backend could not estimate it: ${error.message}`;
+    }
+  }
+
+  if (network === 'btc') {
+    throw new ConfigError(`No fee rate: ${reason}. Pass --fee-rate or set gitmark.feerate.`);
+  }
+  log(`No fee rate estimate (${reason}); using the default ${DEFAULT_FEE_RATE} sat/vB`);
+  return { rate: DEFAULT_FEE_RATE, source: 'default' };
+}
+
+/**
+ * Resolve the maximum absolute fee
+ * @param {string|number} [maxFee] - Explicit cap (--max-fee)
+ * @param {string} [cwd] - Repository whose config is read (default: current directory)
+ * @returns {number} Maximum fee in satoshis
+ */
+export function resolveMaxFee(maxFee, cwd) {
+  const { value, origin } = resolveSetting('maxfee', { cwd, flag: maxFee });
+  return parsePositive(value, origin);
+}
+
+/**
+ * Whether new transactions should signal replace-by-fee
+ * @param {string} [cwd] - Repository whose config is read (default: current directory)
+ * @returns {boolean} false only if the rbf setting is false
+ */
+export function isRbfEnabled(cwd) {
+  return getSetting('rbf', { cwd }) !== 'false';
+}
+
+/**
+ * Check whether a parsed transaction signals replace-by-fee
+ * @param {{inputs: Array<{sequence: number}>}} tx - Transaction from parseTx()
+ * @returns {boolean}
+ */
+export function signalsRbf(tx) {
+  return tx.inputs.some(input => input.sequence < 0xfffffffe);
+}
+
+/**
+ * Calculate the fee for a transaction size
+ * @param {number} vsize - Virtual size in vbytes
+ * @param {number} feeRate - Rate in sat/vB
+ * @returns {number} Fee in satoshis
+ */
+export function calculateFee(vsize, feeRate) {
+  return Math.ceil(vsize * feeRate);
+}
+
+/**
+ * Estimate the virtual size of a Taproot key-path transaction
+ * @param {number} inputCount - Number of P2TR key-path inputs
+ * @param {number} outputCount - Number of P2TR outputs
+ * @returns {number} Virtual size in vbytes
+ */
+export function estimateVsize(inputCount, outputCount) {
+  return Math.ceil(10.5 + 57.5 * inputCount + 43 * outputCount);
+}
+
+/**
+ * Refuse amounts below the dust limit
+ * @param {number} amount - Output amount in satoshis
+ * @param {number} [dustLimit=DUST_LIMIT]
+ * @throws {Error} if the amount is below the dust limit
+ */
+export function assertAboveDust(amount, dustLimit = DUST_LIMIT) {
+  if (amount < dustLimit) {
+    throw new Error(`Output of ${amount} sats would be below the dust limit (${dustLimit} sats)`);
+  }
+}
+
+/**
+ * Build a transaction whose fee matches its virtual size
+ *
+ * Calls build() once with a fee of 0 to measure the transaction, then again
+ * with the real fee. Taproot key-path signatures have a fixed size, so the
+ * second build is no larger than the first (smaller if change too small to
+ * keep is dropped). The draft pays every output in full, so dust checks in
+ * build() only bite at the real fee.
+ *
+ * With parent, the fee is set so parent and child together pay feeRate
+ * (child-pays-for-parent).
+ *
+ * @param {Object} options
+ * @param {(fee: number) => Promise<{hex: string, txid: string}>} options.build - Builds the tx paying the given fee
+ * @param {number} options.feeRate - Rate in sat/vB
+ * @param {number} options.maxFee - Maximum absolute fee in satoshis
+ * @param {number} [options.dustLimit=DUST_LIMIT]
+ * @param {number} [options.minFee=0] - Lower bound for the fee (e.g. what a replacement must pay)
+ * @param {{fee: number, vsize: number}} [options.parent] - Unconfirmed parent the fee also pays for
+ * @returns {Promise<{hex: string, txid: string, fee: number, vsize: number, feeRate: number}>}
+ * @throws {Error} if the fee exceeds maxFee or any output is dust
+ */
+export async function buildWithFeeRate({ build, feeRate, maxFee, dustLimit = DUST_LIMIT, minFee = 0, parent }) {
+  const draft = parseTx((await build(0)).hex);
+  let fee = calculateFee(draft.vsize, feeRate);
+  if (parent) fee = Math.max(fee, calculateFee(draft.vsize + parent.vsize, feeRate) - parent.fee);
+  fee = Math.max(fee, minFee);
+  if (fee > maxFee) {
+    throw new Error(`Fee of ${fee} sats (${feeRate} sat/vB x ${draft.vsize} vB) exceeds the maximum of ${maxFee} sats. Raise it with --max-fee or gitmark.maxfee.`);
+  }
+
+  const built = await build(fee);
+  const tx = parseTx(built.hex);
+  for (const output of tx.outputs) assertAboveDust(output.amount, dustLimit);
+
+  return { ...built, fee, vsize: tx.vsize, feeRate };
+}
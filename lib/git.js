@@ -0,0 +1,161 @@
+/**
+ * Git history helpers for gitmark
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Run a git command and return its trimmed stdout
+ * @param {string[]} args - Arguments passed to git
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {string} [options.input] - Text written to git's stdin
+ * @returns {string}
+ */
+export function git(args, { cwd, env, input } = {}) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    input,
+    stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+    env: env ? { ...process.env, ...env } : process.env,
+  }).trim();
+}
+
+/**
+ * Resolve a revision to a full commit hash
+ * @param {string} rev - Any revision git understands (hash, branch, HEAD~2, ...)
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {string|null} Full commit hash or null if it does not resolve to a commit
+ */
+export function resolveCommit(rev, cwd) {
+  try {
+    return git(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`], { cwd });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a commit object exists in the local repository
+ * @param {string} hash - Commit hash
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {boolean}
+ */
+export function commitExists(hash, cwd) {
+  try {
+    git(['cat-file', '-e', `${hash}^{commit}`], { cwd });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether one commit is an ancestor of (or equal to) another
+ * @param {string} ancestor - Candidate ancestor commit
+ * @param {string} descendant - Candidate descendant commit
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {boolean}
+ */
+export function isAncestor(ancestor, descendant, cwd) {
+  try {
+    git(['merge-base', '--is-ancestor', ancestor, descendant], { cwd });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Preview the commit `git add . && git commit -m <message>` would create,
+ * without touching the index, HEAD or any ref
+ *
+ * The tree and commit objects are written unreferenced, so the hash is real,
+ * but the actual commit gets a different one because its timestamp differs.
+ * Like `git commit`, it fails when nothing changed.
+ *
+ * @param {string} message - Commit message
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {{hash: string, message: string, tree: string, parent: string|null, files: string[]}}
+ *   files are `git diff --name-status` lines
+ * @throws {Error} if there is nothing to commit
+ */
+export function previewCommit(message, cwd) {
+  const tmpIndex = path.join(os.tmpdir(), `gitmark-index-${process.pid}-${Date.now()}`);
+  const index = gitPath('index', cwd);
+  if (fs.existsSync(index)) fs.copyFileSync(index, tmpIndex);
+
+  try {
+    const options = { cwd, env: { GIT_INDEX_FILE: tmpIndex } };
+    git(['add', '.'], options);
+    const tree = git(['write-tree'], options);
+    const parent = resolveCommit('HEAD', cwd);
+    const files = parent
+      ? git(['diff', '--cached', '--name-status', parent], options)
+      : git(['ls-files'], options).split('\n').filter(Boolean).map(file => `A\t${file}`).join('\n');
+    if (!files) throw new Error('nothing to commit, working tree clean');
+    const hash = git(['commit-tree', tree, ...(parent ? ['-p', parent] : []), '-m', message], { cwd });
+    return { hash, message, tree, parent, files: files.split('\n') };
+  } finally {
+    fs.rmSync(tmpIndex, { force: true });
+  }
+}
+
+/**
+ * Resolve a path inside the git directory (e.g. 'gitmark/pending.json')
+ * @param {string} name - Path relative to the git directory
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {string} Absolute path
+ */
+export function gitPath(name, cwd) {
+  return path.resolve(cwd || '.', git(['rev-parse', '--git-path', name], { cwd }));
+}
+
+/**
+ * Stage everything and commit it
+ *
+ * GITMARK_COMMITTING is set for the commit so the post-commit hook leaves
+ * marking to the caller.
+ *
+ * @param {string} message - Commit message
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {string} Hash of the new commit
+ */
+export function commitAll(message, cwd) {
+  git(['add', '.'], { cwd });
+  git(['commit', '-m', message], { cwd, env: { GITMARK_COMMITTING: '1' } });
+  return git(['rev-parse', 'HEAD'], { cwd });
+}
+
+/**
+ * Undo a commit at HEAD, keeping its changes staged (`git reset --soft`)
+ * @param {string} commit - Commit expected at HEAD
+ * @param {string|null} parent - Commit to move HEAD back to; null for a root commit
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {boolean} false if HEAD is no longer at commit and nothing was changed
+ */
+export function uncommit(commit, parent, cwd) {
+  if (resolveCommit('HEAD', cwd) !== commit) return false;
+  if (parent) {
+    git(['reset', '--soft', parent], { cwd });
+  } else {
+    git(['update-ref', '-d', 'HEAD'], { cwd });
+  }
+  return true;
+}
+
+/**
+ * List the commits of a range along first parents, oldest first
+ * @param {string} range - Revision range (e.g. 'v1.0..main')
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {string[]} Commit hashes
+ */
+export function listCommits(range, cwd) {
+  const out = git(['rev-list', '--reverse', '--first-parent', range, '--'], { cwd });
+  return out ? out.split('\n') : [];
+}
@@ -0,0 +1,182 @@
+/**
+ * Mark history and chain status
+ *
+ * markLog() joins every chain entry with its git commit; markStatus() asks
+ * the chain backend about the latest mark; markAddress() works out where the
+ * funds are and where the next mark moves them. All return plain data for
+ * the CLI to print or emit as JSON.
+ */
+
+import { readChain } from './txo.js';
+import { toNpub, toTaprootAddress, deriveMarkPublicKey } from './keys.js';
+import { git, commitExists, resolveCommit } from './git.js';
+import { verifyChain } from './verify.js';
+import { resolveBackend } from './backend.js';
+import { loadPending } from './pending.js';
+import { loadJournal } from './journal.js';
+import { ChainError, GitError } from './errors.js';
+
+/**
+ * Git details of a marked commit
+ * @returns {{short: string, subject: string, author: string, date: string}|null} null if the commit is not local
+ */
+function describeCommit(commit, cwd) {
+  if (!commitExists(commit, cwd)) return null;
+  const [short, subject, author, date] = git(['log', '-1', '--format=%h%x00%s%x00%an%x00%aI', commit], { cwd }).split('\0');
+  return { short, subject, author, date };
+}
+
+/**
+ * List the chain entries joined with their commits
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @returns {{network: string|null, source: string, entries: Array<{index: number, uri: string, txid: string,
+ *   vout: number, amount: number, pubkey: string, address: string|null, commit: string|null,
+ *   short: string|null, subject: string|null, author: string|null, date: string|null}>}}
+ *   Entry 0 is the funding output and has no commit; git fields are null for commits not in the local repository
+ * @throws {ChainError} if the chain cannot be read
+ */
+export function markLog({ cwd = process.cwd() } = {}) {
+  const chain = readChain({ cwd });
+
+  const entries = chain.entries.map((entry, index) => {
+    const info = entry.commit ? describeCommit(entry.commit, cwd) : null;
+    return {
+      index,
+      uri: entry.uri,
+      txid: entry.txid,
+      vout: entry.vout,
+      amount: entry.amount,
+      pubkey: entry.pubkey || null,
+      address: entry.pubkey ? toTaprootAddress(entry.pubkey, entry.network) : null,
+      commit: entry.commit || null,
+      short: info?.short ?? null,
+      subject: info?.subject ?? null,
+      author: info?.author ?? null,
+      date: info?.date ?? null,
+    };
+  });
+
+  return { network: chain.network, source: chain.source, entries };
+}
+
+/**
+ * Query the chain backend about the latest mark
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @returns {Promise<{network: string|null, backend: string|null, rootPubkey: string|null, npub: string|null,
+ *   marks: number, latest: Object|null,
+ *   state: 'confirmed'|'mempool'|'unknown'|null, confirmations: number, blockHeight: number|null,
+ *   tipHeight: number|null, spent: boolean|null, balance: number|null, utxos: number,
+ *   pending: Object|null, interrupted: Object|null}>}
+ *   rootPubkey is the funding key (the repository's nostr identity) as hex, npub the same as NIP-19;
+ *   state is null for an empty chain; 'unknown' means the backend does not know the transaction
+ * @throws {ChainError} if the chain cannot be read
+ */
+export async function markStatus(options = {}) {
+  const { cwd = process.cwd() } = options;
+  const { network, entries } = markLog({ cwd });
+  const latest = entries.length ? entries[entries.length - 1] : null;
+  const rootPubkey = entries.length ? entries[0].pubkey : null;
+
+  const pending = loadPending(cwd);
+  const journal = loadJournal(cwd);
+  const status = {
+    network,
+    backend: null,
+    rootPubkey,
+    npub: rootPubkey ? toNpub(rootPubkey) : null,
+    marks: entries.filter(entry => entry.commit).length,
+    latest,
+    state: null,
+    confirmations: 0,
+    blockHeight: null,
+    tipHeight: null,
+    spent: null,
+    balance: null,
+    utxos: 0,
+    pending: pending ? { txid: pending.txid, commit: pending.commit, createdAt: pending.createdAt } : null,
+    interrupted: journal ? { phase: journal.phase, commit: journal.commit || null, txid: journal.txid || null } : null,
+  };
+  if (!latest) return status;
+
+  const backend = resolveBackend(options.backend, network, cwd);
+  status.backend = backend.name;
+
+  const [tx, tipHeight, outspend, utxos] = await Promise.all([
+    backend.getTx(latest.txid),
+    backend.getTipHeight(),
+    backend.getOutspend(latest.txid, latest.vout),
+    latest.pubkey ? backend.getUtxos(latest.pubkey) : [],
+  ]);
+
+  status.tipHeight = tipHeight;
+  status.spent = outspend.spent;
+  if (!tx) {
+    status.state = 'unknown';
+  } else if (tx.confirmed) {
+    status.state = 'confirmed';
+    status.blockHeight = tx.blockHeight;
+    status.confirmations = tipHeight - tx.blockHeight + 1;
+  } else {
+    status.state = 'mempool';
+  }
+
+  status.utxos = utxos.length;
+  status.balance = utxos.reduce((sum, utxo) => sum + utxo.amount, 0);
+  return status;
+}
+
+/**
+ * Work out the address holding the chain's funds and the one the next mark
+ * moves them to
+ *
+ * The next key is derived from the root public key alone (as verifyChain()
+ * does), so no private key or passphrase is needed.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string} [options.commit='HEAD'] - Commit the next mark would mark
+ * @returns {{network: string, current: {index: number, txid: string, vout: number, amount: number, pubkey: string, address: string},
+ *   next: {commit: string, pubkey: string, address: string}|null}}
+ *   next is null when HEAD is the last marked commit: the next address then depends on a commit not yet made
+ * @throws {ChainError} if the chain is empty or does not verify, or commit is already marked
+ * @throws {GitError} if commit does not resolve
+ */
+export function markAddress({ cwd = process.cwd(), commit: rev } = {}) {
+  const chain = readChain({ cwd });
+  if (!chain.latest) throw new ChainError(`No TXO entries found in ${chain.source}`);
+  const { latest } = chain;
+  const result = {
+    network: chain.network,
+    current: {
+      index: chain.entries.length - 1,
+      txid: latest.txid,
+      vout: latest.vout,
+      amount: latest.amount,
+      pubkey: latest.pubkey,
+      address: toTaprootAddress(latest.pubkey, latest.network),
+    },
+    next: null,
+  };
+
+  const commit = resolveCommit(rev || 'HEAD', cwd);
+  if (!commit) throw new GitError(`Not a commit: ${rev || 'HEAD'}`);
+  if (chain.commits.includes(commit)) {
+    if (!rev && commit === chain.commits[chain.commits.length - 1]) return result;
+    throw new ChainError(`Commit ${commit} is already marked`);
+  }
+
+  const verified = verifyChain(chain.entries.map(entry => entry.uri), { checkGit: false });
+  if (!verified.valid) {
+    throw new ChainError(`Cannot derive the next key: entry ${verified.error.index} ${verified.error.reason}`);
+  }
+  // Legacy chains were derived from the odd-Y root
+  const basePub = verified.scheme === 'legacy' ? `03${verified.rootPubkey}` : verified.rootPubkey;
+  const pubkey = deriveMarkPublicKey(basePub, [...chain.commits, commit]);
+  result.next = { commit, pubkey, address: toTaprootAddress(pubkey, chain.network) };
+  return result;
+}
@@ -0,0 +1,156 @@
+/**
+ * Git hooks for automatic marking
+ *
+ *   post-commit - marks each new commit with `git mark --commit HEAD`
+ *   pre-push    - refuses to push a branch whose tip is not in txo.json
+ *
+ * A hook that is already installed is kept as <hook>.pre-gitmark and run
+ * first, with the same arguments and input, so gitmark chains with existing
+ * hooks instead of replacing them. Uninstalling puts it back.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { gitPath } from './git.js';
+import { readChain } from './txo.js';
+import { isGitRepo } from './config.js';
+import { GitError } from './errors.js';
+
+/**
+ * Hooks installed by installHooks()
+ */
+export const GITMARK_HOOKS = ['post-commit', 'pre-push'];
+
+/**
+ * Line identifying a hook script written by gitmark
+ */
+export const HOOK_MARKER = '# gitmark hook: installed by git mark-init --install-hooks';
+
+/**
+ * Suffix for a previously installed hook that the gitmark hook chains to
+ */
+export const CHAINED_SUFFIX = '.pre-gitmark';
+
+/**
+ * Environment variable that lets a push of unmarked branches through
+ */
+export const ALLOW_UNMARKED_ENV = 'GITMARK_ALLOW_UNMARKED';
+
+const HOOK_SCRIPTS = {
+  'post-commit': `#!/bin/sh
+${HOOK_MARKER}
+# Remove with: git mark-init --uninstall-hooks
+prev="$0${CHAINED_SUFFIX}"
+if [ -x "$prev" ]; then
+  "$prev" "$@" || exit $?
+fi
+
+# Commits made by git mark itself are marked by it
+[ -n "$GITMARK_COMMITTING" ] && exit 0
+
+git mark --commit HEAD || echo "gitmark: HEAD was not marked; run 'git mark --commit HEAD' to mark it" >&2
+exit 0
+`,
+  'pre-push': `#!/bin/sh
+${HOOK_MARKER}
+# Remove with: git mark-init --uninstall-hooks
+# Push unmarked branches anyway with ${ALLOW_UNMARKED_ENV}=1 git push (or git push --no-verify)
+input=$(cat)
+prev="$0${CHAINED_SUFFIX}"
+if [ -x "$prev" ]; then
+  printf '%s\\n' "$input" | "$prev" "$@" || exit $?
+fi
+
+printf '%s\\n' "$input" | git mark pre-push "$@"
+`,
+};
+
+/**
+ * Check whether a hook file was written by gitmark
+ * @param {string} file - Hook path
+ * @returns {boolean}
+ */
+function isGitmarkHook(file) {
+  return fs.existsSync(file) && fs.readFileSync(file, 'utf8').includes(HOOK_MARKER);
+}
+
+/**
+ * Install the gitmark hooks
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @returns {Array<{hook: string, file: string, chained: boolean, updated: boolean}>}
+ *   chained: an existing hook is run first; updated: a gitmark hook was already there
+ * @throws {GitError} if not in a repository or an existing hook cannot be moved aside
+ */
+export function installHooks({ cwd = process.cwd() } = {}) {
+  if (!isGitRepo(cwd)) throw new GitError(`Not a git repository: ${cwd}`);
+  const dir = gitPath('hooks', cwd);
+  if (fs.existsSync(dir) && !fs.statSync(dir).isDirectory()) {
+    throw new GitError(`Hooks path ${dir} is not a directory (check core.hooksPath)`);
+  }
+  fs.mkdirSync(dir, { recursive: true });
+
+  return GITMARK_HOOKS.map(hook => {
+    const file = path.join(dir, hook);
+    const chainedFile = file + CHAINED_SUFFIX;
+    const updated = isGitmarkHook(file);
+
+    if (!updated && fs.existsSync(file)) {
+      if (fs.existsSync(chainedFile)) {
+        throw new GitError(`Cannot install ${hook} hook: both ${file} and ${chainedFile} exist`);
+      }
+      fs.renameSync(file, chainedFile);
+    }
+
+    fs.writeFileSync(file, HOOK_SCRIPTS[hook], { mode: 0o755 });
+    fs.chmodSync(file, 0o755);
+    return { hook, file, chained: fs.existsSync(chainedFile), updated };
+  });
+}
+
+/**
+ * Remove the gitmark hooks, restoring any hooks they chained to
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @returns {Array<{hook: string, file: string, removed: boolean, restored: boolean}>}
+ *   A hook that was not written by gitmark is left alone (removed: false)
+ */
+export function uninstallHooks({ cwd = process.cwd() } = {}) {
+  if (!isGitRepo(cwd)) throw new GitError(`Not a git repository: ${cwd}`);
+  const dir = gitPath('hooks', cwd);
+
+  return GITMARK_HOOKS.map(hook => {
+    const file = path.join(dir, hook);
+    const chainedFile = file + CHAINED_SUFFIX;
+    if (!isGitmarkHook(file)) return { hook, file, removed: false, restored: false };
+
+    fs.rmSync(file);
+    const restored = fs.existsSync(chainedFile);
+    if (restored) fs.renameSync(chainedFile, file);
+    return { hook, file, removed: true, restored };
+  });
+}
+
+/**
+ * Check the refs of a push against the TXO chain
+ *
+ * @param {string} input - pre-push hook input: "<local ref> <local sha> <remote ref> <remote sha>" lines
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @returns {{ok: boolean, unmarked: Array<{ref: string, commit: string}>}}
+ *   Only branches are checked; deletions and tags pass
+ * @throws {ChainError} if txo.json is missing or malformed
+ */
+export function checkPush(input, { cwd = process.cwd() } = {}) {
+  const marked = new Set(readChain({ cwd }).commits);
+  const unmarked = [];
+
+  for (const line of input.split('\n')) {
+    const [ref, commit] = line.trim().split(/\s+/);
+    if (!ref || !commit || !ref.startsWith('refs/heads/')) continue;
+    if (/^0+$/.test(commit)) continue;
+    if (!marked.has(commit)) unmarked.push({ ref, commit });
+  }
+
+  return { ok: unmarked.length === 0, unmarked };
+}
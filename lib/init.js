@@ -0,0 +1,289 @@
+/**
+ * Programmatic initialization API
+ *
+ * init() generates the repository key and, given a voucher, funds it and
+ * writes the first txo.json entry. initFromChain() starts the chain from
+ * outputs already sent to the key's address. Nothing here prints or exits;
+ * failures are thrown as GitmarkError subclasses.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { generateKeypair, getPublicKey, parsePrivateKey, isValidPrivateKey, toNpub, toTaprootAddress } from './keys.js';
+import { setPrivateKey, setNetwork, isGitRepo, getStoredPrivateKey, getPrivateKey } from './config.js';
+import { isEncryptedKey, encryptPrivateKey, getPassphrase } from './keystore.js';
+import { parseVoucher, loadVoucher, assertSpendableVoucher } from './voucher.js';
+import { payFromVoucher, consolidateUtxos } from './vouchertx.js';
+import { requestFaucet } from './faucet.js';
+import { getNetworkInfo, resolveNetwork } from './networks.js';
+import { writeTxoFile, TXO_FILE } from './txo.js';
+import { resolveBackend } from './backend.js';
+import { GitmarkError, ConfigError, GitError, VoucherError, ChainError } from './errors.js';
+
+/**
+ * Spend a voucher: pay INIT_AMOUNT to the new key, change back to the voucher
+ * @returns {Promise<Object>} Funding details merged into the init() result
+ */
+async function fundFromVoucher({ cwd, publicKey, voucherUri, voucherFile, useGlobal, backend, feeRate, maxFee, log }) {
+  const voucher = parseVoucher(voucherUri);
+  assertSpendableVoucher(voucher);
+  log(`Chain: ${voucher.chain} (${getNetworkInfo(voucher.chain).name})`);
+  log(`Voucher amount: ${voucher.amount} sats`);
+
+  const paid = await payFromVoucher({ voucher, publicKey, voucherFile, cwd, backend, feeRate, maxFee, log });
+
+  const txoUri = `txo:${voucher.chain}:${paid.txid}:0?amount=${paid.amount}&pubkey=${publicKey}`;
+  const txoFile = path.join(cwd, TXO_FILE);
+  writeTxoFile([txoUri], txoFile, cwd);
+
+  setNetwork(voucher.chain, useGlobal, cwd);
+
+  return {
+    funded: true,
+    network: voucher.chain,
+    txoUri,
+    txoFile,
+    voucherAmount: voucher.amount,
+    ...paid,
+  };
+}
+
+/**
+ * Ask a faucet service (git mark-faucet serve) to fund the new key
+ * @returns {Promise<Object>} Funding details merged into the init() result
+ */
+async function fundFromFaucet({ cwd, publicKey, faucet, useGlobal, signal, log }) {
+  log(`Requesting funds from ${faucet}...`);
+  const funded = await requestFaucet(faucet, publicKey, { signal });
+
+  const txoFile = path.join(cwd, TXO_FILE);
+  writeTxoFile([funded.txoUri], txoFile, cwd);
+  setNetwork(funded.network, useGlobal, cwd);
+
+  return {
+    funded: true,
+    network: funded.network,
+    txid: funded.txid,
+    txoUri: funded.txoUri,
+    txoFile,
+    amount: funded.amount,
+    fee: funded.fee,
+    faucet,
+  };
+}
+
+/**
+ * Initialize gitmark for a repository
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string} [options.voucher] - Voucher URI to fund the new key from
+ * @param {string} [options.voucherFile] - Voucher file; read if no URI is given, updated with the change
+ * @param {string} [options.faucet] - Faucet URL to request funds from instead of spending a voucher
+ * @param {boolean} [options.global=false] - Store the key in global git config
+ * @param {boolean} [options.force=false] - Overwrite an existing key
+ * @param {boolean} [options.encrypt=false] - Store the key encrypted (NIP-49 ncryptsec)
+ * @param {string} [options.passphrase] - Passphrase for encrypt (default: GITMARK_PASSPHRASE or prompted twice)
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @param {number|string} [options.feeRate] - Fee rate in sat/vB
+ * @param {number|string} [options.maxFee] - Maximum absolute fee in sats
+ * @param {AbortSignal} [options.signal] - Checked before the key is written
+ * @param {(message: string) => void} [options.log] - Progress messages
+ * @returns {Promise<{publicKey: string, npub: string, scope: string, encrypted: boolean, funded: boolean, network: string, address: string, txid?: string,
+ *   txoUri?: string, txoFile?: string, amount?: number, changeAmount?: number, fee?: number,
+ *   changeVoucher?: string|null, voucherFileUpdated?: boolean, voucherFileSpent?: string|null, faucet?: string}>}
+ *   address is the key's Taproot address on network: the funded chain's, else the network setting's
+ * @throws {GitmarkError} code EKEYEXISTS if a key exists and force is not set (details.publicKey
+ *   and details.npub are null if that key is encrypted); errors
+ *   after the key was saved carry details.keySaved and details.publicKey
+ */
+export async function init(options = {}) {
+  const {
+    cwd = process.cwd(),
+    voucher: voucherOption,
+    voucherFile,
+    faucet,
+    global: useGlobal = false,
+    force = false,
+    encrypt = false,
+    signal,
+    log = () => {},
+  } = options;
+
+  if (!useGlobal && !isGitRepo(cwd)) {
+    throw new GitError('Not in a git repository. Use --global for global config.');
+  }
+
+  // Check for existing key
+  const existingKey = getStoredPrivateKey(cwd);
+  if (existingKey && !force) {
+    const encrypted = isEncryptedKey(existingKey);
+    const existingPublicKey = encrypted ? null : getPublicKey(parsePrivateKey(existingKey));
+    throw new ConfigError('Existing key found. Use --force to overwrite.', {
+      code: 'EKEYEXISTS',
+      details: { publicKey: existingPublicKey, npub: existingPublicKey && toNpub(existingPublicKey), encrypted },
+    });
+  }
+
+  if (faucet && (voucherOption || voucherFile)) {
+    throw new ConfigError('Use either a voucher or a faucet, not both');
+  }
+
+  // Ask before anything is written
+  const passphrase = encrypt ? getPassphrase({ passphrase: options.passphrase, confirm: true }) : null;
+
+  const voucherUri = voucherOption || (voucherFile ? loadVoucher(voucherFile) : null);
+  if (voucherFile && !voucherUri) {
+    throw new VoucherError(`Could not read voucher from file: ${voucherFile}`);
+  }
+
+  // Without funding the address is shown on the network new chains use
+  const network = voucherUri || faucet ? null : resolveNetwork(null, { cwd });
+
+  signal?.throwIfAborted();
+
+  // Generate new keypair and save to git config
+  const { privateKey, publicKey } = generateKeypair();
+  const scope = useGlobal ? 'global' : 'local';
+  setPrivateKey(encrypt ? encryptPrivateKey(privateKey, passphrase) : privateKey, useGlobal, cwd);
+  log(`Public key: ${publicKey}`);
+  log(`npub:       ${toNpub(publicKey)}`);
+  log(`Private key saved${encrypt ? ' encrypted' : ''} to ${scope} git config (nostr.privkey)`);
+
+  const result = { publicKey, npub: toNpub(publicKey), scope, encrypted: encrypt, funded: false };
+  if (!voucherUri && !faucet) return { ...result, network, address: toTaprootAddress(publicKey, network) };
+
+  try {
+    const funding = faucet
+      ? await fundFromFaucet({ cwd, publicKey, faucet, useGlobal, signal, log })
+      : await fundFromVoucher({ ...options, cwd, publicKey, voucherUri, voucherFile, useGlobal, log });
+    return { ...result, ...funding, address: toTaprootAddress(publicKey, funding.network) };
+  } catch (error) {
+    const wrapped = error instanceof GitmarkError ? error : new VoucherError(error.message, { cause: error });
+    wrapped.details = { ...wrapped.details, keySaved: true, publicKey };
+    throw wrapped;
+  }
+}
+
+/**
+ * Parse a comma-separated list of txid:vout outpoints
+ * @returns {Array<{txid: string, vout: number}>}
+ */
+function parseOutpoints(value) {
+  const outpoints = String(value).split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const match = /^([0-9a-fA-F]{64}):(\d+)$/.exec(item);
+    if (!match) throw new ConfigError(`Invalid outpoint: ${item}. Expected <txid>:<vout>.`);
+    return { txid: match[1].toLowerCase(), vout: Number(match[2]) };
+  });
+  const keys = outpoints.map(({ txid, vout }) => `${txid}:${vout}`);
+  const duplicate = keys.find((key, i) => keys.indexOf(key) !== i);
+  if (duplicate) throw new ConfigError(`Outpoint ${duplicate} is listed twice`);
+  return outpoints;
+}
+
+/**
+ * Start the chain from outputs already paid to the configured key
+ *
+ * For keys funded by hand: the backend is asked for the UTXOs at the key's
+ * Taproot address. A single UTXO (or the one picked with utxos) becomes the
+ * first txo.json entry as it is; several are first consolidated into one
+ * output to the same key, which needs consolidate. gitmark.network is set to
+ * the network the outputs were found on.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string|string[]} [options.utxos] - Outpoints to use (txid:vout, comma-separated or an array); default all
+ * @param {boolean} [options.consolidate=false] - Merge several UTXOs into one output first
+ * @param {boolean} [options.global=false] - Set the network in global git config
+ * @param {boolean} [options.force=false] - Overwrite an existing txo.json
+ * @param {string} [options.network] - Network to look on (default: the network setting)
+ * @param {string} [options.privateKey] - Base private key, hex or nsec (default: nostr.privkey)
+ * @param {string} [options.passphrase] - Passphrase if nostr.privkey is encrypted (default: GITMARK_PASSPHRASE or prompted)
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @param {number|string} [options.feeRate] - Fee rate in sat/vB (consolidation)
+ * @param {number|string} [options.maxFee] - Maximum absolute fee in sats (consolidation)
+ * @param {(message: string) => void} [options.log] - Progress messages
+ * @returns {Promise<{publicKey: string, npub: string, network: string, address: string, funded: boolean,
+ *   utxos: Array<{txid: string, vout: number, amount: number, confirmed: boolean}>, consolidated: boolean,
+ *   txid: string, vout: number, amount: number, fee: number, txoUri: string, txoFile: string}>}
+ *   utxos are the outputs used; fee is 0 unless they were consolidated
+ * @throws {ConfigError} if no key is configured, or several UTXOs are found and none was picked
+ *   (details.utxos lists them)
+ * @throws {ChainError} if txo.json exists, the address holds nothing or a picked outpoint is not there
+ * @throws {GitmarkError} if consolidation fails
+ */
+export async function initFromChain(options = {}) {
+  const { cwd = process.cwd(), consolidate = false, global: useGlobal = false, force = false, log = () => {} } = options;
+
+  if (!useGlobal && !isGitRepo(cwd)) {
+    throw new GitError('Not in a git repository. Use --global for global config.');
+  }
+  const txoFile = path.join(cwd, TXO_FILE);
+  if (fs.existsSync(txoFile) && !force) {
+    throw new ChainError(`${TXO_FILE} already exists. Use --force to start a new chain.`);
+  }
+  const picked = options.utxos ? parseOutpoints([].concat(options.utxos).join(',')) : null;
+
+  let privateKey = options.privateKey || getPrivateKey(cwd, { passphrase: options.passphrase });
+  if (!privateKey) throw new ConfigError('No private key configured (nostr.privkey). Run git mark-init first.');
+  try {
+    privateKey = parsePrivateKey(privateKey);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+  if (!isValidPrivateKey(privateKey)) throw new ConfigError('Invalid private key format. Expected 64-character hex string or nsec.');
+  const publicKey = getPublicKey(privateKey);
+
+  const network = resolveNetwork(null, { cwd, network: options.network });
+  const address = toTaprootAddress(publicKey, network);
+  const backend = resolveBackend(options.backend, network, cwd);
+  log(`Looking up ${address} (${getNetworkInfo(network).name}, ${backend.name} backend)...`);
+
+  const found = (await backend.getUtxos(publicKey)).sort((a, b) => b.amount - a.amount);
+  if (!found.length) throw new ChainError(`No UTXOs found at ${address}. Send funds there first.`);
+
+  let utxos = found;
+  if (picked) {
+    utxos = picked.map(({ txid, vout }) => {
+      const utxo = found.find(other => other.txid === txid && other.vout === vout);
+      if (!utxo) throw new ChainError(`Outpoint ${txid}:${vout} is not an unspent output at ${address}`);
+      return utxo;
+    });
+  }
+  if (utxos.length > 1 && !consolidate) {
+    const list = utxos.map(utxo => `  ${utxo.txid}:${utxo.vout}  ${utxo.amount} sats${utxo.confirmed ? '' : ' (unconfirmed)'}`);
+    throw new ConfigError(
+      `Found ${utxos.length} UTXOs at ${address}; pick one with --utxo <txid>:<vout> or merge them with --consolidate:\n${list.join('\n')}`,
+      { details: { utxos } }
+    );
+  }
+  for (const utxo of utxos) {
+    if (!utxo.confirmed) log(`Note: ${utxo.txid}:${utxo.vout} is not confirmed yet`);
+  }
+
+  let output;
+  if (utxos.length === 1) {
+    const [{ txid, vout, amount }] = utxos;
+    output = { txid, vout, amount, fee: 0 };
+  } else {
+    log(`Consolidating ${utxos.length} UTXOs (${utxos.reduce((sum, utxo) => sum + utxo.amount, 0)} sats)...`);
+    output = await consolidateUtxos({ ...options, cwd, privateKey, utxos, network, backend, log });
+  }
+
+  const txoUri = `txo:${network}:${output.txid}:${output.vout}?amount=${output.amount}&pubkey=${publicKey}`;
+  writeTxoFile([txoUri], txoFile, cwd);
+  setNetwork(network, useGlobal, cwd);
+
+  return {
+    publicKey,
+    npub: toNpub(publicKey),
+    network,
+    address,
+    funded: true,
+    utxos: utxos.map(({ txid, vout, amount, confirmed }) => ({ txid, vout, amount, confirmed })),
+    consolidated: utxos.length > 1,
+    ...output,
+    txoUri,
+    txoFile,
+  };
+}
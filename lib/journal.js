@@ -0,0 +1,84 @@
+/**
+ * Mark operation journal
+ *
+ * A mark commits, builds, broadcasts and records in that order, and only the
+ * last step makes it visible in txo.json. Before each irreversible step the
+ * operation is written to .git/gitmark/journal.json so an interrupted mark
+ * (crash, kill, broadcast timeout) can be finished or rolled back by
+ * `git mark --resume` / `git mark repair`.
+ *
+ * Phases, in order:
+ *   committing - about to run `git commit` (records the previous HEAD)
+ *   committed  - commit exists, transaction not built yet
+ *   built      - signed transaction saved, about to broadcast
+ *   broadcast  - backend accepted the transaction, txo.json not written yet
+ *
+ * The journal is removed once the TXO URI is in txo.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { gitPath } from './git.js';
+
+/**
+ * Journal phases in the order a mark passes through them
+ */
+export const JOURNAL_PHASES = ['committing', 'committed', 'built', 'broadcast'];
+
+/**
+ * Path of the journal inside the git directory
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {string}
+ */
+export function getJournalPath(cwd) {
+  return gitPath('gitmark/journal.json', cwd);
+}
+
+/**
+ * Load the journal of an interrupted mark
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {Object|null} Journal record or null if no mark is in progress
+ */
+export function loadJournal(cwd) {
+  const file = getJournalPath(cwd);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write the journal, replacing any previous record
+ *
+ * The file is written to a temporary name, synced and renamed so a crash
+ * leaves either the old or the new record, never a truncated one.
+ *
+ * @param {Object} record
+ * @param {string} record.phase - One of JOURNAL_PHASES
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {Object} The record as written
+ */
+export function writeJournal(record, cwd) {
+  if (!JOURNAL_PHASES.includes(record.phase)) {
+    throw new Error(`Unknown journal phase: ${record.phase}`);
+  }
+  const file = getJournalPath(cwd);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const written = { ...record, updatedAt: new Date().toISOString() };
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(written, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+  return written;
+}
+
+/**
+ * Remove the journal once the mark is recorded (or rolled back)
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ */
+export function clearJournal(cwd) {
+  fs.rmSync(getJournalPath(cwd), { force: true });
+}
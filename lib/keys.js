@@ -1,9 +1,14 @@
 /**
  * Key generation and derivation utilities
+ *
+ * Keys are 64-char hex internally. Nostr NIP-19 bech32 keys (nsec/npub) are
+ * accepted at the edges and converted with parsePrivateKey()/parsePublicKey().
  */
 
-import { getPublicKey as nobleGetPublicKey } from '@noble/secp256k1';
+import { getPublicKey as nobleGetPublicKey, Point, CURVE } from '@noble/secp256k1';
 import crypto from 'crypto';
+import { encode, decode, convertBits, encodeSegwitAddress, BECH32 } from './bech32.js';
+import { getNetworkInfo } from './networks.js';
 
 /**
  * Generate a new random private key
@@ -52,3 +57,188 @@ export function isValidPrivateKey(key) {
 export function isValidPublicKey(key) {
   return /^[0-9a-fA-F]{64}$/.test(key);
 }
+
+/**
+ * NIP-19 prefixes for private and public keys
+ */
+export const NSEC_PREFIX = 'nsec';
+export const NPUB_PREFIX = 'npub';
+
+function encodeNip19(prefix, hex) {
+  return encode(prefix, convertBits(Buffer.from(hex, 'hex'), 8, 5, true), BECH32);
+}
+
+function decodeNip19(value, prefix) {
+  let decoded;
+  try {
+    decoded = decode(value);
+  } catch (error) {
+    throw new Error(`Invalid ${prefix} key (${error.message})`);
+  }
+  if (decoded.hrp !== prefix) throw new Error(`Invalid ${prefix} key: prefix is ${decoded.hrp}, expected ${prefix}`);
+  if (decoded.encoding !== BECH32) throw new Error(`Invalid ${prefix} key: bech32m checksum, expected bech32`);
+  const bytes = convertBits(decoded.words, 5, 8, false);
+  if (bytes.length !== 32) throw new Error(`Invalid ${prefix} key: ${bytes.length} bytes, expected 32`);
+  return Buffer.from(bytes).toString('hex');
+}
+
+/**
+ * Encode a private key as a NIP-19 nsec
+ * @param {string} privateKey - 64-char hex private key
+ * @returns {string} nsec1...
+ */
+export function toNsec(privateKey) {
+  if (!isValidPrivateKey(privateKey)) throw new Error('Invalid private key format. Expected 64-character hex string.');
+  return encodeNip19(NSEC_PREFIX, privateKey);
+}
+
+/**
+ * Encode an x-only public key as a NIP-19 npub
+ * @param {string} publicKey - 64-char hex x-only public key
+ * @returns {string} npub1...
+ */
+export function toNpub(publicKey) {
+  if (!isValidPublicKey(publicKey)) throw new Error('Invalid public key format. Expected 64-character hex string.');
+  return encodeNip19(NPUB_PREFIX, publicKey);
+}
+
+/**
+ * Encode an x-only public key as a Taproot (P2TR) address
+ *
+ * The key is the output key itself (OP_1 <key>, as btctx builds mark
+ * outputs), not an internal key tweaked again as in BIP-86, so the address
+ * is the one the next mark can spend from.
+ *
+ * @param {string} publicKey - 64-char hex x-only public key
+ * @param {string} network - Network identifier (btc, tbtc4, regtest, ...)
+ * @returns {string} bech32m address (bc1p..., tb1p..., bcrt1p...)
+ * @throws {Error} if the key is malformed
+ * @throws {ConfigError} if the network is not supported
+ */
+export function toTaprootAddress(publicKey, network) {
+  if (!isValidPublicKey(publicKey)) throw new Error('Invalid public key format. Expected 64-character hex string.');
+  const { hrp } = getNetworkInfo(network);
+  return encodeSegwitAddress(hrp, 1, Buffer.from(publicKey, 'hex'));
+}
+
+/**
+ * Accept a private key as hex or nsec
+ * @param {string} key - 64-char hex or nsec1... key
+ * @returns {string} 64-char lowercase hex private key
+ * @throws {Error} if given an npub or a malformed nsec (bad checksum, wrong length)
+ */
+export function parsePrivateKey(key) {
+  if (/^npub1/i.test(key)) throw new Error('Expected a private key (nsec or hex), got an npub public key');
+  if (/^nsec1/i.test(key)) return decodeNip19(key, NSEC_PREFIX);
+  return key.toLowerCase();
+}
+
+/**
+ * Accept an x-only public key as hex or npub
+ * @param {string} key - 64-char hex or npub1... key
+ * @returns {string} 64-char lowercase hex public key
+ * @throws {Error} if given an nsec or a malformed npub
+ */
+export function parsePublicKey(key) {
+  if (/^nsec1/i.test(key)) throw new Error('Expected a public key (npub or hex), got an nsec private key');
+  if (/^npub1/i.test(key)) return decodeNip19(key, NPUB_PREFIX);
+  return key.toLowerCase();
+}
+
+/**
+ * Derivation schemes for mark keys
+ *
+ * taproot - the base key is first normalized to an even-Y point (BIP-340), so
+ *           the chain can be derived from the x-only root pubkey alone
+ * legacy  - the base key is used as-is; matches chains created before the
+ *           even-Y normalization (identical whenever the root has even Y)
+ */
+export const DERIVATION_SCHEMES = ['taproot', 'legacy'];
+
+/**
+ * Sum commit hashes as a scalar mod the curve order
+ * @param {string[]} commits - Commit hashes (hex)
+ * @returns {bigint}
+ */
+export function sumCommits(commits) {
+  let sum = 0n;
+  for (const commit of commits) {
+    if (!/^[0-9a-fA-F]+$/.test(commit)) throw new Error(`Invalid commit hash: ${commit}`);
+    sum = (sum + BigInt(`0x${commit}`)) % CURVE.n;
+  }
+  return sum;
+}
+
+/**
+ * Derive the private key that controls the chain after the given commits
+ *
+ * key = base + sum(commits) mod n, where base is negated first under the
+ * taproot scheme if its public key has odd Y.
+ *
+ * @param {string} base - 64-char hex base private key
+ * @param {string[]} commits - Marked commit hashes, in chain order
+ * @param {Object} [options]
+ * @param {'taproot'|'legacy'} [options.scheme='taproot'] - Derivation scheme
+ * @returns {string} 64-char hex private key
+ * @throws {Error} if the base key is invalid or the derived key is zero
+ */
+export function deriveMarkPrivateKey(base, commits, { scheme = 'taproot' } = {}) {
+  if (!isValidPrivateKey(base)) {
+    throw new Error('Invalid private key format. Expected 64-character hex string.');
+  }
+  if (!DERIVATION_SCHEMES.includes(scheme)) {
+    throw new Error(`Unknown derivation scheme: ${scheme}`);
+  }
+
+  let d = BigInt(`0x${base}`);
+  if (d === 0n || d >= CURVE.n) throw new Error('Invalid private key: out of range');
+
+  if (scheme === 'taproot' && Point.BASE.multiply(d).y % 2n === 1n) {
+    d = CURVE.n - d;
+  }
+
+  const key = (d + sumCommits(commits)) % CURVE.n;
+  if (key === 0n) throw new Error('Derived private key is zero');
+  return key.toString(16).padStart(64, '0');
+}
+
+/**
+ * Derive the x-only public key that controls the chain after the given commits
+ *
+ * An x-only base key is lifted to its even-Y point (taproot scheme). To follow
+ * a legacy chain whose root has odd Y, pass the 33-byte compressed key
+ * ('03' + x) instead.
+ *
+ * @param {string} basePub - 64-char hex x-only or 66-char hex compressed public key
+ * @param {string[]} commits - Marked commit hashes, in chain order
+ * @returns {string} 64-char hex x-only public key
+ * @throws {Error} if the base key is not on the curve or the result is infinity
+ */
+export function deriveMarkPublicKey(basePub, commits) {
+  const compressed = basePub.length === 64 ? `02${basePub}` : basePub;
+  if (!/^0[23][0-9a-fA-F]{64}$/.test(compressed)) {
+    throw new Error('Invalid public key format. Expected 64-char x-only or 66-char compressed hex.');
+  }
+
+  const tweak = sumCommits(commits);
+  let point = Point.fromHex(compressed);
+  if (tweak !== 0n) point = point.add(Point.BASE.multiply(tweak));
+  if (point.equals(Point.ZERO)) throw new Error('Derived public key is the point at infinity');
+  return point.toHex(true).slice(2);
+}
+
+/**
+ * Work out which scheme a chain was derived with
+ * @param {string} base - 64-char hex base private key
+ * @param {string[]} commits - Commit hashes marked so far
+ * @param {string} expectedPubkey - x-only pubkey recorded for the current chain output
+ * @returns {'taproot'|'legacy'|null} Matching scheme (taproot preferred), or null if neither matches
+ */
+export function detectDerivationScheme(base, commits, expectedPubkey) {
+  for (const scheme of DERIVATION_SCHEMES) {
+    if (getPublicKey(deriveMarkPrivateKey(base, commits, { scheme })) === expectedPubkey.toLowerCase()) {
+      return scheme;
+    }
+  }
+  return null;
+}
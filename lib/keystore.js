@@ -0,0 +1,234 @@
+/**
+ * Encrypted private keys (NIP-49 ncryptsec)
+ *
+ * An encrypted key is stored in nostr.privkey as a bech32 `ncryptsec1...`
+ * string: scrypt derives a symmetric key from the passphrase and
+ * XChaCha20-Poly1305 encrypts the 32-byte private key. The passphrase comes
+ * from the caller, GITMARK_PASSPHRASE (for CI) or a prompt on the terminal.
+ *
+ * Layout of the decoded payload (91 bytes):
+ *   version (0x02) | log_n | salt (16) | nonce (24) | key security (1) | ciphertext + tag (48)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { spawnSync } from 'child_process';
+import { encode, decode, convertBits, BECH32 } from './bech32.js';
+import { ConfigError } from './errors.js';
+
+/**
+ * Bech32 prefix of an encrypted private key
+ */
+export const NCRYPTSEC_PREFIX = 'ncryptsec';
+
+/**
+ * Default scrypt cost (N = 2^16, about 64 MiB and well under a second)
+ */
+export const DEFAULT_LOG_N = 16;
+
+/**
+ * Highest scrypt cost accepted (N = 2^22, about 4 GiB). log_n is read from
+ * the encrypted key itself, so a larger value would let a crafted key make
+ * decryption allocate without bound.
+ */
+export const MAX_LOG_N = 22;
+
+/**
+ * Environment variable read for the passphrase before prompting
+ */
+export const PASSPHRASE_ENV = 'GITMARK_PASSPHRASE';
+
+/**
+ * NIP-49 key security byte: 0x00 known to have leaked, 0x01 not leaked,
+ * 0x02 not tracked
+ */
+const KEY_SECURITY_UNKNOWN = 0x02;
+
+const VERSION = 0x02;
+const PAYLOAD_LENGTH = 91;
+
+// ncryptsec strings are longer than the 90 characters BIP-173 allows
+const BECH32_LIMIT = 200;
+
+function rotl(v, n) {
+  return (v << n) | (v >>> (32 - n));
+}
+
+/**
+ * HChaCha20: derive the XChaCha20 subkey from a key and the first 16 nonce bytes
+ * @param {Buffer} key - 32 bytes
+ * @param {Buffer} nonce - 16 bytes
+ * @returns {Buffer} 32-byte subkey
+ */
+function hchacha20(key, nonce) {
+  const s = new Uint32Array(16);
+  s.set([0x61707865, 0x3320646e, 0x79622d32, 0x6b206574]);
+  for (let i = 0; i < 8; i++) s[4 + i] = key.readUInt32LE(4 * i);
+  for (let i = 0; i < 4; i++) s[12 + i] = nonce.readUInt32LE(4 * i);
+
+  const quarter = (a, b, c, d) => {
+    s[a] += s[b]; s[d] = rotl(s[d] ^ s[a], 16);
+    s[c] += s[d]; s[b] = rotl(s[b] ^ s[c], 12);
+    s[a] += s[b]; s[d] = rotl(s[d] ^ s[a], 8);
+    s[c] += s[d]; s[b] = rotl(s[b] ^ s[c], 7);
+  };
+  for (let round = 0; round < 10; round++) {
+    quarter(0, 4, 8, 12); quarter(1, 5, 9, 13); quarter(2, 6, 10, 14); quarter(3, 7, 11, 15);
+    quarter(0, 5, 10, 15); quarter(1, 6, 11, 12); quarter(2, 7, 8, 13); quarter(3, 4, 9, 14);
+  }
+
+  const out = Buffer.alloc(32);
+  [0, 1, 2, 3, 12, 13, 14, 15].forEach((word, i) => out.writeUInt32LE(s[word], 4 * i));
+  return out;
+}
+
+/**
+ * XChaCha20-Poly1305 cipher or decipher built on Node's ChaCha20-Poly1305
+ */
+function xchacha20poly1305(create, key, nonce) {
+  const subkey = hchacha20(key, nonce.subarray(0, 16));
+  const iv = Buffer.concat([Buffer.alloc(4), nonce.subarray(16)]);
+  return create('chacha20-poly1305', subkey, iv, { authTagLength: 16 });
+}
+
+function isValidLogN(logN) {
+  return Number.isInteger(logN) && logN >= 1 && logN <= MAX_LOG_N;
+}
+
+function scryptKey(passphrase, salt, logN) {
+  const N = 2 ** logN;
+  return crypto.scryptSync(Buffer.from(passphrase.normalize('NFKC'), 'utf8'), salt, 32, {
+    N,
+    r: 8,
+    p: 1,
+    maxmem: 256 * N * 8,
+  });
+}
+
+/**
+ * Check whether a stored key is encrypted
+ * @param {string|null} value - nostr.privkey value
+ * @returns {boolean}
+ */
+export function isEncryptedKey(value) {
+  return typeof value === 'string' && value.toLowerCase().startsWith(`${NCRYPTSEC_PREFIX}1`);
+}
+
+/**
+ * Encrypt a private key with a passphrase
+ * @param {string} privateKey - 64-char hex private key
+ * @param {string} passphrase
+ * @param {Object} [options]
+ * @param {number} [options.logN=DEFAULT_LOG_N] - scrypt cost exponent
+ * @returns {string} ncryptsec1... string
+ * @throws {ConfigError} if the key, passphrase or logN is invalid
+ */
+export function encryptPrivateKey(privateKey, passphrase, { logN = DEFAULT_LOG_N } = {}) {
+  if (!/^[0-9a-fA-F]{64}$/.test(privateKey || '')) {
+    throw new ConfigError('Invalid private key format. Expected 64-character hex string.');
+  }
+  if (!passphrase) throw new ConfigError('Passphrase must not be empty');
+  if (!isValidLogN(logN)) throw new ConfigError(`Invalid scrypt cost log_n ${logN}: expected 1 to ${MAX_LOG_N}`);
+
+  const salt = crypto.randomBytes(16);
+  const nonce = crypto.randomBytes(24);
+  const aad = Buffer.from([KEY_SECURITY_UNKNOWN]);
+  const cipher = xchacha20poly1305(crypto.createCipheriv, scryptKey(passphrase, salt, logN), nonce);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(privateKey, 'hex')), cipher.final(), cipher.getAuthTag()]);
+
+  const payload = Buffer.concat([Buffer.from([VERSION, logN]), salt, nonce, aad, ciphertext]);
+  return encode(NCRYPTSEC_PREFIX, convertBits(payload, 8, 5, true), BECH32);
+}
+
+/**
+ * Decrypt an ncryptsec private key
+ * @param {string} ncryptsec - ncryptsec1... string
+ * @param {string} passphrase
+ * @returns {string} 64-char hex private key
+ * @throws {ConfigError} if the string is malformed; code EPASSPHRASE if the passphrase is wrong
+ */
+export function decryptPrivateKey(ncryptsec, passphrase) {
+  let payload;
+  try {
+    const { hrp, words, encoding } = decode(ncryptsec, BECH32_LIMIT);
+    if (hrp !== NCRYPTSEC_PREFIX || encoding !== BECH32) throw new Error(`expected bech32 prefix ${NCRYPTSEC_PREFIX}`);
+    payload = Buffer.from(convertBits(words, 5, 8, false));
+  } catch (error) {
+    throw new ConfigError(`Invalid encrypted key: ${error.message}`, { cause: error });
+  }
+  if (payload.length !== PAYLOAD_LENGTH || payload[0] !== VERSION) {
+    throw new ConfigError('Invalid encrypted key: unsupported version or length');
+  }
+
+  const logN = payload[1];
+  if (!isValidLogN(logN)) {
+    throw new ConfigError(`Invalid encrypted key: scrypt cost log_n ${logN} is outside 1 to ${MAX_LOG_N}`);
+  }
+  const salt = payload.subarray(2, 18);
+  const nonce = payload.subarray(18, 42);
+  const aad = payload.subarray(42, 43);
+  const ciphertext = payload.subarray(43, 75);
+  const tag = payload.subarray(75);
+
+  try {
+    const decipher = xchacha20poly1305(crypto.createDecipheriv, scryptKey(passphrase, salt, logN), nonce);
+    decipher.setAAD(aad);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('hex');
+  } catch (error) {
+    throw new ConfigError('Wrong passphrase for the encrypted private key', { code: 'EPASSPHRASE', cause: error });
+  }
+}
+
+/**
+ * Read a line from the terminal without echoing it
+ * @param {string} prompt
+ * @returns {string|null} null if there is no terminal
+ */
+function promptHidden(prompt) {
+  let fd;
+  try {
+    fd = fs.openSync('/dev/tty', 'r+');
+  } catch {
+    return null;
+  }
+  const stty = setting => spawnSync('stty', [setting], { stdio: [fd, 'ignore', 'ignore'] });
+  try {
+    fs.writeSync(fd, prompt);
+    stty('-echo');
+    const bytes = [];
+    const byte = Buffer.alloc(1);
+    while (fs.readSync(fd, byte, 0, 1, null) === 1 && byte[0] !== 0x0a) {
+      if (byte[0] !== 0x0d) bytes.push(byte[0]);
+    }
+    return Buffer.from(bytes).toString('utf8');
+  } finally {
+    stty('echo');
+    fs.writeSync(fd, '\n');
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Get the passphrase for the key: explicit, GITMARK_PASSPHRASE, or prompted
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Explicit passphrase
+ * @param {boolean} [options.confirm=false] - Prompt twice (when setting a new passphrase)
+ * @returns {string}
+ * @throws {ConfigError} if no passphrase is available or the two entries differ
+ */
+export function getPassphrase({ passphrase, confirm = false } = {}) {
+  if (passphrase) return passphrase;
+  if (process.env[PASSPHRASE_ENV]) return process.env[PASSPHRASE_ENV];
+
+  const entered = promptHidden('Passphrase for the gitmark key: ');
+  if (entered === null) {
+    throw new ConfigError(`The private key is encrypted and there is no terminal to ask for the passphrase. Set ${PASSPHRASE_ENV}.`);
+  }
+  if (!entered) throw new ConfigError('Passphrase must not be empty');
+  if (confirm && promptHidden('Repeat passphrase: ') !== entered) {
+    throw new ConfigError('Passphrases do not match');
+  }
+  return entered;
+}
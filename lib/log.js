@@ -0,0 +1,153 @@
+/**
+ * Logging for the gitmark CLIs
+ *
+ * Results (a TXO URI, a status table, the --json object) go to stdout and
+ * nothing else does, so scripts can parse them. Everything else is a
+ * diagnostic on stderr, filtered by level:
+ *
+ *   quiet   - errors only
+ *   info    - progress and warnings (default)
+ *   verbose - debug detail
+ *   trace   - step timings and stack traces as well
+ *
+ * Diagnostics are redacted: nsec and ncryptsec keys, voucher key= parameters
+ * and hex keys labelled as private are replaced with [REDACTED].
+ */
+
+import { GitmarkError } from './errors.js';
+
+/**
+ * Log levels, least output first
+ */
+export const LEVELS = ['quiet', 'info', 'verbose', 'trace'];
+
+const REDACTED = '[REDACTED]';
+
+const KEY_PATTERNS = [
+  // NIP-19 / NIP-49 private keys
+  /\b(?:nsec|ncryptsec)1[02-9ac-hj-np-z]{20,}\b/gi,
+  // Voucher URIs carry the spending key as key=
+  /(?<=[?&]key=)[^&\s"']+/gi,
+  // Hex keys next to a label saying they are private
+  /(?<=\b(?:priv(?:ate)?[ _-]?key|privkey|secret)["']?\s*[:=]?\s*["']?)[0-9a-f]{64}\b/gi,
+];
+
+/**
+ * Replace anything shaped like a private key
+ * @param {string} text
+ * @param {Iterable<string>} [secrets] - Exact values to hide as well
+ * @returns {string}
+ */
+export function redact(text, secrets = []) {
+  let out = String(text);
+  for (const secret of secrets) {
+    if (secret) out = out.split(secret).join(REDACTED);
+  }
+  for (const pattern of KEY_PATTERNS) out = out.replace(pattern, REDACTED);
+  return out;
+}
+
+/**
+ * Pick the level from command line options
+ * @param {Object<string, string|boolean>} options - parseArgs() options
+ * @param {Object} [aliases]
+ * @param {boolean} [aliases.v=true] - Whether -v means --verbose
+ * @returns {'quiet'|'info'|'verbose'|'trace'}
+ */
+export function levelFromOptions(options, { v = true } = {}) {
+  if (options['--trace']) return 'trace';
+  if (options['--verbose'] || (v && options['-v'])) return 'verbose';
+  if (options['--quiet'] || options['-q']) return 'quiet';
+  return 'info';
+}
+
+/**
+ * Format a duration for timing lines
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  if (ms < 1) return `${(ms * 1000).toFixed(2)}μs`;
+  if (ms < 1000) return `${ms.toFixed(2)}ms`;
+  return `${(ms / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Create a logger
+ *
+ * @param {Object} [options]
+ * @param {'quiet'|'info'|'verbose'|'trace'} [options.level='info']
+ * @param {boolean} [options.json=false] - Results are printed as one JSON object
+ * @param {string} [options.prefix=''] - Prefix for diagnostic lines (e.g. 'gitmark: ')
+ * @param {{write: (text: string) => void}} [options.stdout=process.stdout]
+ * @param {{write: (text: string) => void}} [options.stderr=process.stderr]
+ * @returns {Object} Logger with result/print (stdout) and info/warn/debug/trace/timing/error (stderr)
+ */
+export function createLogger({ level = 'info', json = false, prefix = '', stdout = process.stdout, stderr = process.stderr } = {}) {
+  if (!LEVELS.includes(level)) throw new Error(`Unknown log level: ${level}. Expected ${LEVELS.join(', ')}.`);
+  const rank = LEVELS.indexOf(level);
+  const secrets = new Set();
+  const start = performance.now();
+
+  const diagnostic = (minimum, text) => {
+    if (rank < LEVELS.indexOf(minimum)) return;
+    for (const line of redact(text, secrets).split('\n')) stderr.write(`${prefix}${line}\n`);
+  };
+
+  return {
+    level,
+    json,
+
+    /** Hide an exact value (a key just loaded or generated) in diagnostics */
+    secret(value) {
+      if (value) secrets.add(value);
+    },
+
+    /** Print a line of the human-readable result; nothing in --json mode */
+    print(...lines) {
+      if (!json) for (const line of lines) stdout.write(`${line}\n`);
+    },
+
+    /**
+     * Print the result: the JSON object in --json mode, else via printText
+     * @param {Object} value
+     * @param {(value: Object) => void} [printText]
+     */
+    result(value, printText) {
+      if (json) stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+      else printText?.(value);
+    },
+
+    info: text => diagnostic('info', text),
+    warn: text => diagnostic('info', `Warning: ${text}`),
+    debug: text => diagnostic('verbose', text),
+    trace: text => diagnostic('trace', text),
+
+    /** Step timing callback for the API's onTiming option */
+    timing(name, ms, error) {
+      diagnostic('trace', `timing: ${name} ${error ? 'failed after' : 'took'} ${formatDuration(ms)}`);
+    },
+
+    /** Report the total run time (trace only) */
+    done(failed = false) {
+      diagnostic('trace', `timing: total ${failed ? 'until failure ' : ''}${formatDuration(performance.now() - start)}`);
+    },
+
+    /**
+     * Report an error on stderr (and as {"error": ...} in --json mode); stacks
+     * are shown for unexpected errors, and for all errors with --trace
+     * @param {Error} error
+     */
+    error(error) {
+      const message = redact(error.message, secrets);
+      for (const line of `Error: ${message}`.split('\n')) stderr.write(`${prefix}${line}\n`);
+      if (rank >= LEVELS.indexOf('trace') || (!(error instanceof GitmarkError) && rank >= LEVELS.indexOf('verbose'))) {
+        diagnostic('quiet', error.stack);
+        if (error.cause?.stack) diagnostic('quiet', `Caused by: ${error.cause.stack}`);
+      }
+      if (json) {
+        stdout.write(`${JSON.stringify({ error: { message, code: error.code ?? null } }, null, 2)}\n`);
+      }
+    },
+  };
+}
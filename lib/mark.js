@@ -0,0 +1,1032 @@
+/**
+ * Programmatic marking API
+ *
+ * mark() commits the working tree, moves the chain output to the key derived
+ * from the new commit and records the new TXO URI in txo.json. Nothing here
+ * prints or exits; failures are thrown as GitmarkError subclasses.
+ *
+ * Each step after the commit is journaled (see journal.js) so repair() can
+ * finish or roll back a mark that was interrupted. bump() raises the fee of a
+ * mark that is stuck unconfirmed.
+ *
+ * Besides the chain output a mark spends any deposits found at the chain's
+ * addresses and the outputs of a top-up voucher, folding them into the new
+ * chain output.
+ */
+
+import { readChain, appendTxoEntry, replaceLastTxoEntry } from './txo.js';
+import { resolveNetwork, getNetworkInfo } from './networks.js';
+import { getPrivateKey, isGitRepo, resolveSetting, SETTINGS } from './config.js';
+import { getPublicKey, isValidPrivateKey, parsePrivateKey, deriveMarkPrivateKey, detectDerivationScheme, toTaprootAddress } from './keys.js';
+import { resolveBackend } from './backend.js';
+import {
+  resolveFeeRate,
+  resolveMaxFee,
+  buildWithFeeRate,
+  estimateVsize,
+  calculateFee,
+  assertAboveDust,
+  isRbfEnabled,
+  signalsRbf,
+  RBF_SEQUENCE,
+  INCREMENTAL_RELAY_FEE,
+} from './fee.js';
+import { parseTx, p2trPubkey } from './tx.js';
+import { git, commitAll, previewCommit, resolveCommit, isAncestor, listCommits, uncommit } from './git.js';
+import { loadPending, savePending, clearPending } from './pending.js';
+import { loadJournal, writeJournal, clearJournal } from './journal.js';
+import { parseVoucher, resolveVoucher, assertSpendableVoucher, retireVoucher } from './voucher.js';
+import {
+  GitmarkError,
+  ConfigError,
+  ChainError,
+  PendingError,
+  GitError,
+  BuildError,
+  BroadcastError,
+  VoucherError,
+} from './errors.js';
+
+/**
+ * Wrap async steps so callers can time them
+ * @param {(name: string, ms: number, error?: Error) => void} [onTiming]
+ * @returns {(name: string, fn: Function) => Promise<*>}
+ */
+function createStepper(onTiming) {
+  return async (name, fn) => {
+    const start = performance.now();
+    try {
+      const result = await fn();
+      onTiming?.(name, performance.now() - start);
+      return result;
+    } catch (error) {
+      onTiming?.(name, performance.now() - start, error);
+      throw error;
+    }
+  };
+}
+
+/**
+ * Format the TXO URI recorded for a mark
+ * @param {Object} mark
+ * @returns {string}
+ */
+function formatMarkUri({ network, txid, amount, pubkey, commit }) {
+  return `txo:${network}:${txid}:0?amount=${amount}&pubkey=${pubkey}&commit=${commit}`;
+}
+
+/**
+ * Refuse to build on a chain output that is already spent, e.g. swept by
+ * `git mark voucher mint`, before anything is committed
+ *
+ * A backend that cannot look up spends (sendtx without Esplora, an unreachable
+ * server) is not an error: broadcast will still reject a double spend.
+ *
+ * @param {import('./backend.js').ChainBackend} backend
+ * @param {{txid: string, vout: number}} output - Latest chain output
+ * @param {(message: string) => void} debug
+ * @throws {ChainError} if the output is spent
+ */
+async function assertUnspent(backend, { txid, vout }, debug) {
+  let outspend;
+  try {
+    outspend = await backend.getOutspend(txid, vout);
+  } catch (error) {
+    debug(`Cannot check whether ${txid}:${vout} is spent: ${error.message}`);
+    return;
+  }
+  if (outspend.spent) {
+    throw new ChainError(
+      `Chain output ${txid}:${vout} is already spent by ${outspend.txid}. Run \`git mark rebuild\` to catch the chain up, or \`git mark-init\` to start a new chain if it was swept by \`git mark voucher mint\`.`
+    );
+  }
+}
+
+/**
+ * Load everything needed to sign the next mark: network, keys, backend and fee
+ * @returns {Promise<Object>} Mark context used by markPubkey() and buildMarkTx()
+ */
+async function prepareMark({ cwd, chain, network: requestedNetwork, privateKey, passphrase, backend: backendOption, feeRate, maxFee, step, debug, warn = debug }) {
+  if (!chain.latest) throw new ChainError(`No TXO entries found in ${chain.file}`);
+  const network = resolveNetwork(chain.network, { network: requestedNetwork, cwd });
+  const { dustLimit } = getNetworkInfo(network);
+  debug(`Network ${network}, ${chain.entries.length} TXO entries`);
+
+  let basePrivateKey = privateKey || getPrivateKey(cwd, { passphrase });
+  if (!basePrivateKey) throw new ConfigError('No private key configured (nostr.privkey). Run git mark-init first.');
+  try {
+    basePrivateKey = parsePrivateKey(basePrivateKey);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+  if (!isValidPrivateKey(basePrivateKey)) {
+    throw new ConfigError('Invalid private key format. Expected 64-character hex string or nsec.');
+  }
+
+  const { txid, vout, amount, pubkey: lastPubkey } = chain.latest;
+  const commits = chain.commits;
+
+  // Chains created before even-Y normalization are still derived the legacy way
+  const scheme = lastPubkey ? detectDerivationScheme(basePrivateKey, commits, lastPubkey) : 'taproot';
+  if (!scheme) {
+    throw new ChainError(`Last TXO pubkey ${lastPubkey} is not derived from the configured private key`);
+  }
+  const signingKey = deriveMarkPrivateKey(basePrivateKey, commits, { scheme });
+  const signingPubkey = getPublicKey(signingKey);
+  debug(`Derivation scheme ${scheme}, signing pubkey ${signingPubkey}`);
+
+  const backend = resolveBackend(backendOption, network, cwd);
+  await step('check chain output', () => assertUnspent(backend, { txid, vout }, debug));
+  const { rate, source } = await step('resolve fee rate', () => resolveFeeRate({ feeRate, backend, network, cwd, log: warn }));
+  const maxFeeSats = resolveMaxFee(maxFee, cwd);
+  debug(`Fee rate ${rate} sat/vB (${source}), max fee ${maxFeeSats} sats`);
+
+  return {
+    network,
+    dustLimit,
+    rbf: isRbfEnabled(cwd),
+    basePrivateKey,
+    commits,
+    scheme,
+    signingKey,
+    signingPubkey,
+    input: { txid, vout, amount },
+    backend,
+    rate,
+    source,
+    maxFeeSats,
+  };
+}
+
+/**
+ * Public key the chain output moves to when commit is marked
+ * @param {Object} ctx - Mark context from prepareMark()
+ * @param {string} commit - Commit being marked
+ * @returns {string}
+ */
+function markPubkey(ctx, commit) {
+  return getPublicKey(deriveMarkPrivateKey(ctx.basePrivateKey, [...ctx.commits, commit], { scheme: ctx.scheme }));
+}
+
+/**
+ * Find the inputs a mark spends besides the chain output
+ *
+ * Deposits are UTXOs at the current chain address (deposits 'current') or at
+ * any address the chain has used (deposits 'all'), each spendable with the key
+ * derived for that point of the chain. Deposits worth less than the fee of
+ * spending them are left alone. A top-up voucher contributes all its outputs.
+ *
+ * @param {Object} ctx - Mark context from prepareMark()
+ * @param {Object} options
+ * @param {string} [options.deposits] - 'current', 'all' or 'none' (default: gitmark.deposits)
+ * @param {string} [options.topup] - Voucher URI or file to spend into the chain
+ * @returns {Promise<{inputs: Array<{txid: string, vout: number, amount: number, privateKey: string,
+ *   source: 'deposit'|'topup', pubkey: string}>, topupFile: string|null}>}
+ * @throws {ConfigError} for an unknown deposits mode
+ * @throws {VoucherError} if the top-up voucher cannot be spent on this chain
+ */
+async function findExtraInputs(ctx, { cwd, deposits, topup, step, debug }) {
+  const mode = resolveSetting('deposits', { cwd, flag: deposits }).value;
+  if (!SETTINGS.deposits.choices.includes(mode)) {
+    throw new ConfigError(`Invalid deposits mode: ${mode}. Expected ${SETTINGS.deposits.choices.join(', ')}.`);
+  }
+  const { input } = ctx;
+  const seen = new Set([`${input.txid}:${input.vout}`]);
+  const inputs = [];
+
+  if (mode !== 'none') {
+    // Keys for the current address, then (for 'all') every earlier one
+    const keys = [ctx.signingKey];
+    if (mode === 'all') {
+      for (let count = ctx.commits.length - 1; count >= 0; count--) {
+        keys.push(deriveMarkPrivateKey(ctx.basePrivateKey, ctx.commits.slice(0, count), { scheme: ctx.scheme }));
+      }
+    }
+    const inputCost = calculateFee(estimateVsize(2, 1) - estimateVsize(1, 1), ctx.rate);
+    for (const privateKey of new Set(keys)) {
+      const pubkey = getPublicKey(privateKey);
+      let utxos;
+      try {
+        utxos = await step('find deposits', () => ctx.backend.getUtxos(pubkey));
+      } catch (error) {
+        debug(`Could not look up deposits at ${toTaprootAddress(pubkey, ctx.network)}: ${error.message}`);
+        continue;
+      }
+      for (const { txid, vout, amount } of utxos) {
+        const outpoint = `${txid}:${vout}`;
+        if (seen.has(outpoint)) continue;
+        seen.add(outpoint);
+        if (amount <= inputCost) {
+          debug(`Leaving deposit ${outpoint} (${amount} sats): spending it costs ${inputCost} sats`);
+          continue;
+        }
+        debug(`Absorbing deposit ${outpoint} (${amount} sats) at ${toTaprootAddress(pubkey, ctx.network)}`);
+        inputs.push({ txid, vout, amount, privateKey, source: 'deposit', pubkey });
+      }
+    }
+  }
+
+  let topupFile = null;
+  if (topup) {
+    const { uri, file } = resolveVoucher(topup);
+    const voucher = parseVoucher(uri);
+    assertSpendableVoucher(voucher, { multiple: true });
+    if (voucher.chain !== ctx.network) {
+      throw new VoucherError(`Top-up voucher is on ${voucher.chain} but the chain is on ${ctx.network}`);
+    }
+    for (const { txid, vout, amount } of voucher.utxos) {
+      const outpoint = `${txid}:${vout}`;
+      if (seen.has(outpoint)) throw new VoucherError(`Top-up voucher output ${outpoint} is already an input of this mark`);
+      seen.add(outpoint);
+      inputs.push({ txid, vout, amount, privateKey: voucher.privateKey, source: 'topup', pubkey: voucher.pubkey });
+    }
+    debug(`Topping up with ${voucher.total} sats from ${file || 'the voucher'}`);
+    topupFile = file;
+  }
+
+  return { inputs, topupFile };
+}
+
+/**
+ * Recover the keys of the extra inputs saved in a journal
+ *
+ * Deposit keys are derived again from the chain; the top-up key is read back
+ * from the voucher the mark was given.
+ *
+ * @param {Object} ctx - Mark context from prepareMark()
+ * @param {Object} journal - Journal record with extraInputs and topup
+ * @returns {Array<Object>} Extra inputs as findExtraInputs() returns them
+ * @throws {ChainError} if a key cannot be recovered
+ */
+function restoreExtraInputs(ctx, journal) {
+  const saved = journal.extraInputs ?? [];
+  if (!saved.length) return [];
+  const keys = new Map();
+  for (let count = ctx.commits.length; count >= 0; count--) {
+    const privateKey = deriveMarkPrivateKey(ctx.basePrivateKey, ctx.commits.slice(0, count), { scheme: ctx.scheme });
+    keys.set(getPublicKey(privateKey), privateKey);
+  }
+  if (journal.topup) {
+    const voucher = parseVoucher(resolveVoucher(journal.topup).uri);
+    keys.set(voucher.pubkey, voucher.privateKey);
+  }
+  return saved.map(extra => {
+    const privateKey = keys.get(extra.pubkey);
+    if (!privateKey) throw new ChainError(`Cannot recover the key of ${extra.source} input ${extra.txid}:${extra.vout}`);
+    return { ...extra, privateKey };
+  });
+}
+
+/**
+ * Build and sign the transaction that marks commit
+ * @param {Object} ctx - Mark context from prepareMark()
+ * @param {string} commit - Commit being marked
+ * @param {Function} step - Step timer from createStepper()
+ * @returns {Promise<{pubkey: string, amount: number, fee: number, vsize: number, txid: string, hex: string, txoUri: string}>}
+ */
+async function buildMarkTx(ctx, commit, step) {
+  const { input, dustLimit } = ctx;
+  const extras = ctx.extraInputs ?? [];
+  const total = input.amount + extras.reduce((sum, extra) => sum + extra.amount, 0);
+  const pubkey = markPubkey(ctx, commit);
+  // Replaceable so `git mark bump` can raise the fee
+  const sequence = ctx.rbf ? RBF_SEQUENCE : 0xffffffff;
+
+  let built;
+  try {
+    const { buildTx } = await import('btctx');
+    built = await step('build transaction', () => buildWithFeeRate({
+      feeRate: ctx.rate,
+      maxFee: ctx.maxFeeSats,
+      dustLimit,
+      build: fee => {
+        assertAboveDust(total - fee, dustLimit);
+        if (!extras.length) {
+          return buildTx({
+            privateKey: ctx.signingKey,
+            publicKey: ctx.signingPubkey,
+            txid: input.txid,
+            vout: input.vout,
+            inputAmount: input.amount,
+            outputs: [{ pubkey, amount: total - fee }],
+            sequence,
+          });
+        }
+        // The chain output first, then the extra inputs, each signed with its own key
+        const inputs = [{ ...input, privateKey: ctx.signingKey }, ...extras];
+        return buildTx({
+          inputs: inputs.map(({ txid, vout, amount, privateKey }) => ({
+            privateKey,
+            publicKey: getPublicKey(privateKey),
+            txid,
+            vout,
+            amount,
+            sequence,
+          })),
+          outputs: [{ pubkey, amount: total - fee }],
+        });
+      },
+    }));
+  } catch (error) {
+    if (error instanceof GitmarkError) throw error;
+    throw new BuildError(`Failed to build transaction: ${error.message}`, { cause: error, details: { commit } });
+  }
+
+  const amount = total - built.fee;
+  return {
+    pubkey,
+    amount,
+    fee: built.fee,
+    vsize: built.vsize,
+    txid: built.txid,
+    hex: built.hex,
+    txoUri: formatMarkUri({ network: ctx.network, txid: built.txid, amount, pubkey, commit }),
+  };
+}
+
+/**
+ * Look a transaction up on the backend, treating lookup failures as "unknown"
+ * @returns {Promise<Object|null>}
+ */
+async function findTx(backend, txid) {
+  try {
+    return await backend.getTx(txid);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Broadcast a journaled transaction and record its TXO URI
+ *
+ * Expects the journal at phase 'built'. The journal is advanced to 'broadcast'
+ * as soon as the backend accepts the transaction and removed once txo.json
+ * holds the URI. A top-up voucher file the transaction spent is retired.
+ *
+ * @param {Object} journal - Journal record with txid, hex, commit and txoUri
+ * @param {import('./backend.js').ChainBackend} backend
+ * @param {string} cwd - Repository directory
+ * @param {Function} step - Step timer from createStepper()
+ * @returns {Promise<string>} txid
+ */
+async function sendJournaled(journal, backend, cwd, step) {
+  let txid;
+  try {
+    txid = await step('broadcast transaction', () => backend.broadcast(journal.hex));
+  } catch (error) {
+    throw new BroadcastError(
+      `Broadcast via ${backend.name} backend failed: ${error.message}. Run \`git mark --resume\` to retry; it checks whether the transaction was sent.`,
+      { cause: error, details: { commit: journal.commit, txid: journal.txid, hex: journal.hex } }
+    );
+  }
+  if (txid !== journal.txid) {
+    throw new BroadcastError(`Backend returned txid ${txid}, expected ${journal.txid}`);
+  }
+
+  recordJournaled(journal, cwd);
+  return txid;
+}
+
+/**
+ * Record a journaled transaction the backend has accepted
+ * @param {Object} journal - Journal record with txoUri and topupFile
+ * @param {string} cwd - Repository directory
+ */
+function recordJournaled(journal, cwd) {
+  writeJournal({ ...journal, phase: 'broadcast' }, cwd);
+  appendTxoEntry(journal.txoUri, { cwd });
+  if (journal.topupFile) retireVoucher(journal.topupFile);
+  clearJournal(cwd);
+}
+
+/**
+ * Refuse to start a new mark while another one is pending or interrupted
+ * @param {string} cwd - Repository directory
+ */
+function assertNoMarkInProgress(cwd) {
+  // A saved, unsent transaction already spends the chain output
+  const pending = loadPending(cwd);
+  if (pending) {
+    throw new PendingError(
+      `Transaction ${pending.txid} for commit ${pending.commit} is pending. Run \`git mark broadcast\` to send it before marking again.`,
+      { details: { pending } }
+    );
+  }
+
+  const journal = loadJournal(cwd);
+  if (journal) {
+    const what = journal.commit ? `commit ${journal.commit}` : `message "${journal.message}"`;
+    throw new PendingError(
+      `A previous mark of ${what} was interrupted (${journal.phase}). Run \`git mark --resume\` to finish it or \`git mark repair --abort\` to roll it back.`,
+      { code: 'EINTERRUPTED', details: { journal } }
+    );
+  }
+}
+
+/**
+ * Check that commits can be appended to the chain in the given order
+ *
+ * Mirrors what verifyChain() checks: every marked commit descends from the
+ * previously marked one and is part of HEAD's history.
+ *
+ * @param {string[]} targets - Commits to mark, oldest first
+ * @param {string[]} marked - Commits already in the chain
+ * @param {string} cwd - Repository directory
+ * @throws {ChainError}
+ */
+function assertMarkable(targets, marked, cwd) {
+  let last = marked.length ? marked[marked.length - 1] : null;
+  const seen = new Set(marked);
+  for (const commit of targets) {
+    if (seen.has(commit)) throw new ChainError(`Commit ${commit} is already marked`);
+    if (last && !isAncestor(last, commit, cwd)) {
+      throw new ChainError(`Commit ${commit} does not descend from the last marked commit ${last}`);
+    }
+    if (!isAncestor(commit, 'HEAD', cwd)) {
+      throw new ChainError(`Commit ${commit} is not in the history of HEAD`);
+    }
+    seen.add(commit);
+    last = commit;
+  }
+}
+
+/**
+ * Mark one commit and advance ctx so the next mark spends its output
+ *
+ * @param {Object} ctx - Mark context from prepareMark()
+ * @param {string|null} existing - Existing commit to mark, or null to commit the working tree
+ * @param {Object} options - mark() options plus step
+ * @returns {Promise<Object>} One mark result (see mark())
+ */
+async function markOne(ctx, existing, { cwd, message, dryRun, noBroadcast, step, debug }) {
+  const { network, input, dustLimit, rate, source, maxFeeSats } = ctx;
+  const extras = ctx.extraInputs ?? [];
+  const total = input.amount + extras.reduce((sum, extra) => sum + extra.amount, 0);
+  if (existing) message = git(['log', '-1', '--format=%s', existing], { cwd });
+
+  const result = {
+    message,
+    network,
+    scheme: ctx.scheme,
+    signingPubkey: ctx.signingPubkey,
+    input: { ...input },
+    extraInputs: extras.map(({ txid, vout, amount, source: from }) => ({ txid, vout, amount, source: from })),
+    topupFile: extras.some(extra => extra.source === 'topup') ? ctx.topupFile : null,
+    inputAmount: total,
+    feeRate: rate,
+    feeRateSource: source,
+    dryRun,
+    broadcast: false,
+  };
+
+  let final;
+  if (dryRun) {
+    let commit = existing;
+    let preview = null;
+    if (!existing) {
+      try {
+        preview = await step('preview commit', () => previewCommit(message, cwd));
+      } catch (error) {
+        const detail = error.stderr?.toString().trim() || error.message;
+        throw new GitError(`git commit failed: ${detail}`, { cause: error });
+      }
+      commit = preview.hash;
+    }
+    const pubkey = markPubkey(ctx, commit);
+    debug(`Commit ${commit}${preview ? ' (preview)' : ''}, destination pubkey ${pubkey}`);
+
+    // No transaction is built in a dry run, so the size is estimated
+    const vsize = estimateVsize(1 + extras.length, 1);
+    const fee = calculateFee(vsize, rate);
+    if (fee > maxFeeSats) throw new BuildError(`Fee of ${fee} sats exceeds the maximum of ${maxFeeSats} sats`);
+    try {
+      assertAboveDust(total - fee, dustLimit);
+    } catch (error) {
+      throw new BuildError(error.message, { cause: error });
+    }
+    final = {
+      ...result, commit, pubkey, preview, fee, vsize, amount: total - fee, txid: null, txoUri: null, hex: null,
+    };
+  } else {
+    // From here on every irreversible step is journaled first. Extra inputs
+    // are saved without their keys; repair() recovers those from the chain
+    // and from the top-up voucher (a file, or the URI as given).
+    const saved = extras.length
+      ? { extraInputs: extras.map(({ txid, vout, amount, source: from, pubkey }) => ({ txid, vout, amount, source: from, pubkey })) }
+      : {};
+    if (extras.some(extra => extra.source === 'topup')) {
+      Object.assign(saved, { topup: ctx.topup, topupFile: result.topupFile });
+    }
+    let journal;
+    let commit = existing;
+    if (existing) {
+      journal = writeJournal({ phase: 'committed', message, commit, existingCommit: true, network, input, ...saved }, cwd);
+    } else {
+      const head = resolveCommit('HEAD', cwd);
+      journal = writeJournal({ phase: 'committing', message, head, network, input, ...saved }, cwd);
+      try {
+        commit = await step('git commit', () => commitAll(message, cwd));
+      } catch (error) {
+        if (resolveCommit('HEAD', cwd) === head) clearJournal(cwd);
+        const detail = error.stdout?.toString().trim() || error.stderr?.toString().trim() || error.message;
+        throw new GitError(`git commit failed: ${detail}`, { cause: error });
+      }
+      journal = writeJournal({ ...journal, phase: 'committed', commit }, cwd);
+    }
+    debug(`Commit ${commit}`);
+
+    let built;
+    try {
+      built = await buildMarkTx(ctx, commit, step);
+    } catch (error) {
+      const undo = existing ? 'discard it' : 'undo the commit';
+      throw new BuildError(
+        `${error.message}. Commit ${commit} is not marked: run \`git mark --resume\` to retry or \`git mark repair --abort\` to ${undo}.`,
+        { cause: error, details: { commit } }
+      );
+    }
+    const { pubkey, amount, fee, vsize, txoUri } = built;
+    Object.assign(result, { commit, pubkey, fee, vsize, amount, hex: built.hex });
+    debug(`Destination pubkey ${pubkey}`);
+    debug(`Built ${built.txid}: ${vsize} vB, fee ${fee} sats`);
+
+    if (noBroadcast) {
+      const pendingFile = savePending({ network, txid: built.txid, hex: built.hex, commit, txoUri, topupFile: result.topupFile }, cwd);
+      clearJournal(cwd);
+      final = { ...result, txid: built.txid, txoUri, pendingFile };
+    } else {
+      journal = writeJournal({ ...journal, phase: 'built', txid: built.txid, hex: built.hex, txoUri, amount, fee }, cwd);
+      const txid = await sendJournaled(journal, ctx.backend, cwd, step);
+      debug(`Broadcast ${txid} via ${ctx.backend.name} backend`);
+      final = { ...result, txid, txoUri, broadcast: true, topupSpentFile: result.topupFile && `${result.topupFile}.spent` };
+    }
+  }
+
+  // Where the funds now sit (bech32m of the destination key)
+  final.address = toTaprootAddress(final.pubkey, network);
+
+  // The next mark in this run spends the output just created, which holds the extra inputs too
+  ctx.extraInputs = [];
+  ctx.commits = [...ctx.commits, final.commit];
+  ctx.signingKey = deriveMarkPrivateKey(ctx.basePrivateKey, ctx.commits, { scheme: ctx.scheme });
+  ctx.signingPubkey = final.pubkey;
+  ctx.input = { txid: final.txid, vout: 0, amount: final.amount };
+  return final;
+}
+
+/**
+ * Shared driver for mark() and markRange()
+ * @param {Object} options - mark() options
+ * @param {Array<string|null>} revs - Revisions to mark in order; null commits the working tree
+ * @returns {Promise<Object[]>} One result per revision
+ */
+async function markAll(options, revs) {
+  const {
+    cwd = process.cwd(),
+    message = 'first',
+    dryRun = false,
+    noBroadcast = false,
+    signal,
+    debug = () => {},
+  } = options;
+  const step = createStepper(options.onTiming);
+
+  signal?.throwIfAborted();
+
+  if (!isGitRepo(cwd)) throw new GitError(`Not a git repository: ${cwd}`);
+  assertNoMarkInProgress(cwd);
+
+  const targets = revs.map(rev => {
+    if (rev === null) return null;
+    const commit = resolveCommit(rev, cwd);
+    if (!commit) throw new GitError(`Not a commit: ${rev}`);
+    return commit;
+  });
+
+  // Everything that can be checked is checked before committing
+  const chain = readChain({ cwd });
+  const ctx = await prepareMark({ ...options, cwd, chain, step, debug });
+  assertMarkable(targets.filter(Boolean), ctx.commits, cwd);
+  const extra = await findExtraInputs(ctx, { ...options, cwd, step, debug });
+  ctx.extraInputs = extra.inputs;
+  ctx.topup = options.topup;
+  ctx.topupFile = extra.topupFile;
+
+  const results = [];
+  for (const target of targets) {
+    // Stopping between marks leaves the chain consistent
+    signal?.throwIfAborted();
+    results.push(await markOne(ctx, target, { cwd, message, dryRun, noBroadcast, step, debug }));
+  }
+  return results;
+}
+
+/**
+ * Mark a commit on chain: by default commit the working tree first, or mark
+ * an existing commit given as options.commit
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string} [options.message='first'] - Commit message
+ * @param {string} [options.commit] - Existing commit to mark instead of committing; must descend from the last marked commit
+ * @param {string} [options.network] - Expected network; must match the chain
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @param {number|string} [options.feeRate] - Fee rate in sat/vB
+ * @param {number|string} [options.maxFee] - Maximum absolute fee in sats
+ * @param {string} [options.privateKey] - Base private key, hex or nsec (default: nostr.privkey)
+ * @param {string} [options.passphrase] - Passphrase if nostr.privkey is encrypted (default: GITMARK_PASSPHRASE or prompted)
+ * @param {boolean} [options.dryRun=false] - Preview only: no commit, no transaction
+ * @param {boolean} [options.noBroadcast=false] - Commit and build, save the tx as pending
+ * @param {'current'|'all'|'none'} [options.deposits] - Deposits to absorb: at the current chain address,
+ *   at any chain address, or none (default: gitmark.deposits, else current)
+ * @param {string} [options.topup] - Voucher URI or file whose outputs are spent into the chain
+ * @param {AbortSignal} [options.signal] - Checked up to the commit; once committed the mark runs to the end
+ * @param {(message: string) => void} [options.debug] - Diagnostic messages
+ * @param {(message: string) => void} [options.warn] - Warnings, such as falling back to the default fee rate
+ * @param {(name: string, ms: number, error?: Error) => void} [options.onTiming] - Step timings
+ * @returns {Promise<{commit: string, message: string, network: string, scheme: string,
+ *   signingPubkey: string, pubkey: string, address: string, input: {txid: string, vout: number, amount: number},
+ *   extraInputs: Array<{txid: string, vout: number, amount: number, source: 'deposit'|'topup'}>,
+ *   topupFile: string|null, inputAmount: number, amount: number, fee: number, feeRate: number, feeRateSource: string,
+ *   vsize: number, txid: string|null, txoUri: string|null, hex: string|null,
+ *   dryRun: boolean, broadcast: boolean, preview?: Object, pendingFile?: string, topupSpentFile?: string|null}>}
+ *   Once broadcast, a top-up voucher file is renamed to topupSpentFile (<file>.spent). A dry run that
+ *   previews a new commit reports the preview commit's hash and the pubkey and address derived from it;
+ *   the real commit's hash, and so its destination, will differ by the commit timestamp.
+ * @throws {GitmarkError} PendingError code EINTERRUPTED if an interrupted mark needs repair()
+ */
+export async function mark(options = {}) {
+  const [result] = await markAll(options, [options.commit || null]);
+  return result;
+}
+
+/**
+ * Mark every commit in a range, oldest first, chaining the transactions
+ *
+ * The range follows first parents (`git rev-list --first-parent A..B`) so
+ * each marked commit descends from the previous one; a merge is marked as a
+ * single commit. Each mark is broadcast and recorded before the next is
+ * built, so an interruption leaves a valid, shorter chain.
+ *
+ * @param {Object} options - Same as mark(), except message and commit
+ * @param {string} options.range - Revision range, e.g. 'v1.0..main'
+ * @returns {Promise<{range: string, marks: Object[]}>} One mark() result per commit
+ * @throws {GitmarkError}
+ */
+export async function markRange(options = {}) {
+  const { cwd = process.cwd(), range, noBroadcast = false } = options;
+  if (!range || !range.includes('..')) throw new ConfigError(`Invalid range: ${range}. Expected A..B`);
+  if (!isGitRepo(cwd)) throw new GitError(`Not a git repository: ${cwd}`);
+
+  let commits;
+  try {
+    commits = listCommits(range, cwd);
+  } catch (error) {
+    throw new GitError(`Invalid range ${range}: ${error.stderr?.toString().trim() || error.message}`, { cause: error });
+  }
+  if (!commits.length) throw new GitError(`No commits in range ${range}`);
+  if (noBroadcast && commits.length > 1) {
+    throw new ConfigError('Only one transaction can be pending; mark a range without --no-broadcast');
+  }
+
+  return { range, marks: await markAll(options, commits) };
+}
+
+/**
+ * Broadcast the transaction saved by mark({ noBroadcast: true }) and record it
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @returns {Promise<{txid: string, commit: string, txoUri: string, network: string, topupSpentFile: string|null}|null>}
+ *   null if nothing is pending; a top-up voucher file the mark spent is renamed to topupSpentFile
+ * @throws {GitmarkError}
+ */
+export async function broadcastPending(options = {}) {
+  const { cwd = process.cwd(), backend: backendOption } = options;
+
+  const pending = loadPending(cwd);
+  if (!pending) return null;
+
+  const backend = resolveBackend(backendOption, pending.network, cwd);
+
+  // A previous attempt may have been sent but not recorded
+  if (!await findTx(backend, pending.txid)) {
+    let txid;
+    try {
+      txid = await backend.broadcast(pending.hex);
+    } catch (error) {
+      throw new BroadcastError(`Broadcast via ${backend.name} backend failed: ${error.message}`, {
+        cause: error,
+        details: { commit: pending.commit, txid: pending.txid },
+      });
+    }
+    if (txid !== pending.txid) {
+      throw new BroadcastError(`Backend returned txid ${txid}, expected ${pending.txid}`);
+    }
+  }
+
+  appendTxoEntry(pending.txoUri, { cwd });
+  const topupSpentFile = pending.topupFile ? retireVoucher(pending.topupFile) : null;
+  clearPending(cwd);
+
+  return { txid: pending.txid, commit: pending.commit, txoUri: pending.txoUri, network: pending.network, topupSpentFile };
+}
+
+/**
+ * Fetch the output spent by a transaction input
+ * @returns {Promise<{amount: number, script: string}>}
+ */
+async function fetchPrevout(backend, input) {
+  const prev = await backend.getTx(input.txid);
+  if (!prev) throw new ChainError(`Input transaction ${input.txid} is not known to the ${backend.name} backend`);
+  return parseTx(prev.hex).outputs[input.vout];
+}
+
+/**
+ * Raise the fee of the latest mark while its transaction is unconfirmed
+ *
+ * Replace-by-fee (rbf) rebuilds the transaction from the same input, paying
+ * the same key with a higher fee; the mark keeps its commit and only the txid
+ * and amount of the latest TXO entry change. Child-pays-for-parent (cpfp)
+ * spends the mark output back to the same key with a fee that covers both
+ * transactions, and the child becomes the latest entry. The default picks rbf
+ * when the transaction signals it and falls back to cpfp.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {'auto'|'rbf'|'cpfp'} [options.method='auto'] - How to bump
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @param {number|string} [options.feeRate] - New fee rate in sat/vB; must be above the current one
+ * @param {number|string} [options.maxFee] - Maximum absolute fee in sats
+ * @param {string} [options.privateKey] - Base private key, hex or nsec (default: nostr.privkey)
+ * @param {string} [options.passphrase] - Passphrase if nostr.privkey is encrypted (default: GITMARK_PASSPHRASE or prompted)
+ * @param {(message: string) => void} [options.debug] - Diagnostic messages
+ * @param {(message: string) => void} [options.warn] - Warnings, such as falling back to the default fee rate
+ * @param {(name: string, ms: number, error?: Error) => void} [options.onTiming] - Step timings
+ * @returns {Promise<{method: 'rbf'|'cpfp', commit: string, oldTxid: string, oldFee: number, oldFeeRate: number,
+ *   txid: string, fee: number, vsize: number, feeRate: number, feeRateSource: string, amount: number, txoUri: string}>}
+ *   For cpfp, fee and vsize are the child's and feeRate is the rate of parent and child together
+ * @throws {GitmarkError} ChainError if the latest mark is confirmed or unknown to the backend,
+ *   BuildError if the fee rate is not above the current one
+ */
+export async function bump(options = {}) {
+  const { cwd = process.cwd(), method = 'auto', debug = () => {} } = options;
+  const step = createStepper(options.onTiming);
+
+  if (!['auto', 'rbf', 'cpfp'].includes(method)) {
+    throw new ConfigError(`Unknown bump method: ${method}. Expected rbf or cpfp.`);
+  }
+  if (!isGitRepo(cwd)) throw new GitError(`Not a git repository: ${cwd}`);
+  assertNoMarkInProgress(cwd);
+
+  const chain = readChain({ cwd });
+  const { latest } = chain;
+  if (!latest?.commit) throw new ChainError(`Nothing to bump: ${chain.source} has no marks`);
+  const ctx = await prepareMark({ ...options, cwd, chain, step, debug });
+  const { backend, rate, source } = ctx;
+
+  const found = await step('fetch transaction', () => backend.getTx(latest.txid));
+  if (!found) {
+    throw new ChainError(`Transaction ${latest.txid} is not known to the ${backend.name} backend. Run \`git mark rebuild --check\` to compare the chain.`);
+  }
+  if (found.confirmed) {
+    throw new ChainError(`Transaction ${latest.txid} is already confirmed in block ${found.blockHeight}; there is nothing to bump`);
+  }
+
+  const tx = parseTx(found.hex);
+  const prevouts = await step('fetch inputs', () => Promise.all(tx.inputs.map(input => fetchPrevout(backend, input))));
+  const oldFee = prevouts.reduce((sum, out) => sum + out.amount, 0) - tx.outputs.reduce((sum, out) => sum + out.amount, 0);
+  const oldFeeRate = oldFee / tx.vsize;
+  debug(`${latest.txid}: ${tx.vsize} vB, fee ${oldFee} sats (${oldFeeRate.toFixed(2)} sat/vB)`);
+  if (rate <= oldFeeRate) {
+    throw new BuildError(`Fee rate ${rate} sat/vB (${source}) is not above the current ${oldFeeRate.toFixed(2)} sat/vB. Pass a higher --fee-rate.`);
+  }
+
+  let chosen = method;
+  if (method !== 'cpfp') {
+    const problem = !signalsRbf(tx) ? 'it does not signal RBF'
+      : tx.inputs.length !== 1 ? 'it has more than one input'
+        : null;
+    if (problem && method === 'rbf') throw new BuildError(`Transaction ${latest.txid} cannot be replaced: ${problem}. Bump it with CPFP instead.`);
+    chosen = problem ? 'cpfp' : 'rbf';
+  }
+  debug(`Bumping with ${chosen}`);
+
+  let spend;
+  if (chosen === 'rbf') {
+    // The input is the previous mark output, or the parent's output if this is already a CPFP child
+    const [input] = tx.inputs;
+    const inputPubkey = p2trPubkey(prevouts[0].script);
+    const privateKey = inputPubkey === latest.pubkey
+      ? ctx.signingKey
+      : deriveMarkPrivateKey(ctx.basePrivateKey, ctx.commits.slice(0, -1), { scheme: ctx.scheme });
+    if (getPublicKey(privateKey) !== inputPubkey) {
+      throw new ChainError(`Input ${input.txid}:${input.vout} of ${latest.txid} is not controlled by the configured private key`);
+    }
+    spend = {
+      privateKey,
+      txid: input.txid,
+      vout: input.vout,
+      amount: prevouts[0].amount,
+      // BIP-125: the replacement pays for its own relay on top of the replaced fee
+      minFee: oldFee + calculateFee(tx.vsize, INCREMENTAL_RELAY_FEE),
+    };
+  } else {
+    spend = {
+      privateKey: ctx.signingKey,
+      txid: latest.txid,
+      vout: latest.vout,
+      amount: latest.amount,
+      parent: { fee: oldFee, vsize: tx.vsize },
+    };
+  }
+
+  let built;
+  try {
+    const { buildTx } = await import('btctx');
+    built = await step('build transaction', () => buildWithFeeRate({
+      feeRate: rate,
+      maxFee: ctx.maxFeeSats,
+      dustLimit: ctx.dustLimit,
+      minFee: spend.minFee,
+      parent: spend.parent,
+      build: fee => {
+        assertAboveDust(spend.amount - fee, ctx.dustLimit);
+        return buildTx({
+          privateKey: spend.privateKey,
+          publicKey: getPublicKey(spend.privateKey),
+          txid: spend.txid,
+          vout: spend.vout,
+          inputAmount: spend.amount,
+          outputs: [{ pubkey: latest.pubkey, amount: spend.amount - fee }],
+          sequence: chosen === 'rbf' || ctx.rbf ? RBF_SEQUENCE : 0xffffffff,
+        });
+      },
+    }));
+  } catch (error) {
+    if (error instanceof GitmarkError) throw error;
+    throw new BuildError(`Failed to build transaction: ${error.message}`, { cause: error, details: { commit: latest.commit } });
+  }
+  debug(`Built ${built.txid}: ${built.vsize} vB, fee ${built.fee} sats`);
+
+  let txid;
+  try {
+    txid = await step('broadcast transaction', () => backend.broadcast(built.hex));
+  } catch (error) {
+    throw new BroadcastError(`Broadcast via ${backend.name} backend failed: ${error.message}`, {
+      cause: error,
+      details: { commit: latest.commit, txid: built.txid, hex: built.hex },
+    });
+  }
+  if (txid !== built.txid) {
+    throw new BroadcastError(`Backend returned txid ${txid}, expected ${built.txid}`);
+  }
+
+  const amount = spend.amount - built.fee;
+  const txoUri = formatMarkUri({ network: ctx.network, txid, amount, pubkey: latest.pubkey, commit: latest.commit });
+  try {
+    replaceLastTxoEntry(txoUri, { cwd });
+  } catch (error) {
+    throw new ChainError(
+      `Broadcast ${txid} but could not record it: ${error.message}. Run \`git mark rebuild\` to regenerate the chain.`,
+      { cause: error, details: { txoUri } }
+    );
+  }
+
+  const feeRate = chosen === 'cpfp' ? (built.fee + oldFee) / (built.vsize + tx.vsize) : built.fee / built.vsize;
+  return {
+    method: chosen,
+    commit: latest.commit,
+    oldTxid: latest.txid,
+    oldFee,
+    oldFeeRate,
+    txid,
+    fee: built.fee,
+    vsize: built.vsize,
+    feeRate,
+    feeRateSource: source,
+    amount,
+    txoUri,
+  };
+}
+
+/**
+ * Find the commit an interrupted mark created while in phase 'committing'
+ * @param {Object} journal
+ * @param {string} cwd
+ * @returns {string|null|undefined} Commit hash, null if git commit never ran,
+ *   undefined if HEAD has moved on and it cannot be told
+ */
+function findJournalCommit(journal, cwd) {
+  if (journal.commit) return journal.commit;
+  const head = resolveCommit('HEAD', cwd);
+  if (head === journal.head) return null;
+  const parent = head ? resolveCommit(`${head}^`, cwd) : null;
+  return head && parent === journal.head ? head : undefined;
+}
+
+/**
+ * Finish or roll back a mark that was interrupted
+ *
+ * Finishing picks up at the journaled phase: a commit without a transaction is
+ * built and broadcast, a built transaction is looked up on the backend and
+ * rebroadcast if it is unknown, and a broadcast transaction is recorded in
+ * txo.json. Rolling back (abort) undoes the commit, keeping its changes
+ * staged; it is refused once the transaction has reached the backend.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {boolean} [options.abort=false] - Roll back instead of finishing
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @param {number|string} [options.feeRate] - Fee rate in sat/vB, if the transaction still has to be built
+ * @param {number|string} [options.maxFee] - Maximum absolute fee in sats
+ * @param {string} [options.privateKey] - Base private key, hex or nsec (default: nostr.privkey)
+ * @param {string} [options.passphrase] - Passphrase if nostr.privkey is encrypted (default: GITMARK_PASSPHRASE or prompted)
+ * @param {(message: string) => void} [options.debug] - Diagnostic messages
+ * @param {(message: string) => void} [options.warn] - Warnings, such as falling back to the default fee rate
+ * @param {(name: string, ms: number, error?: Error) => void} [options.onTiming] - Step timings
+ * @returns {Promise<{action: 'none'|'completed'|'rolled-back'|'pending', phase: string|null,
+ *   commit?: string|null, txid?: string, txoUri?: string, rebroadcast?: boolean, uncommitted?: boolean}>}
+ *   action 'pending' means the transaction was saved by --no-broadcast and is left for broadcastPending()
+ * @throws {GitmarkError}
+ */
+export async function repair(options = {}) {
+  const { cwd = process.cwd(), abort = false, backend: backendOption, debug = () => {} } = options;
+  const step = createStepper(options.onTiming);
+
+  if (!isGitRepo(cwd)) throw new GitError(`Not a git repository: ${cwd}`);
+
+  let journal = loadJournal(cwd);
+  if (!journal) return { action: 'none', phase: null };
+  const { phase } = journal;
+  debug(`Interrupted mark found at phase ${phase}`);
+
+  const commit = findJournalCommit(journal, cwd);
+  if (commit === undefined && !abort) {
+    throw new GitError(
+      `HEAD moved since the interrupted mark started from ${journal.head || 'an empty repository'}; cannot tell which commit it created. Run \`git mark repair --abort\` to discard it.`
+    );
+  }
+
+  const backend = resolveBackend(backendOption, journal.network, cwd);
+  const sent = journal.phase === 'broadcast' || (journal.phase === 'built' && Boolean(await findTx(backend, journal.txid)));
+
+  if (abort) {
+    if (sent) {
+      throw new PendingError(
+        `Transaction ${journal.txid} has already been broadcast and cannot be rolled back. Run \`git mark --resume\` to record it.`,
+        { code: 'EINTERRUPTED', details: { journal } }
+      );
+    }
+    // Commits made outside gitmark (--commit, --range) are never undone
+    const uncommitted = commit && !journal.existingCommit ? uncommit(commit, journal.head, cwd) : false;
+    if (commit && loadPending(cwd)?.commit === commit) clearPending(cwd);
+    clearJournal(cwd);
+    return { action: 'rolled-back', phase, commit: commit || null, uncommitted };
+  }
+
+  if (commit === null) {
+    // git commit never ran: nothing irreversible happened
+    clearJournal(cwd);
+    return { action: 'rolled-back', phase, commit: null, uncommitted: false };
+  }
+
+  if (journal.phase === 'committing') {
+    journal = writeJournal({ ...journal, phase: 'committed', commit }, cwd);
+  }
+
+  if (journal.phase === 'committed') {
+    // Crashed between saving the --no-broadcast transaction and clearing the journal
+    const pending = loadPending(cwd);
+    if (pending?.commit === commit) {
+      clearJournal(cwd);
+      return { action: 'pending', phase, commit, txid: pending.txid, txoUri: pending.txoUri };
+    }
+
+    const chain = readChain({ cwd });
+    const { txid, vout } = chain.latest || {};
+    if (txid !== journal.input.txid || vout !== journal.input.vout) {
+      throw new ChainError(
+        `txo.json no longer ends at ${journal.input.txid}:${journal.input.vout}; cannot finish marking ${commit}`
+      );
+    }
+    const ctx = await prepareMark({ ...options, cwd, chain, network: journal.network, backend, step, debug });
+    ctx.extraInputs = restoreExtraInputs(ctx, journal);
+    const built = await buildMarkTx(ctx, commit, step);
+    debug(`Built ${built.txid}: ${built.vsize} vB, fee ${built.fee} sats`);
+    journal = writeJournal({
+      ...journal, phase: 'built', txid: built.txid, hex: built.hex, txoUri: built.txoUri, amount: built.amount, fee: built.fee,
+    }, cwd);
+  }
+
+  let rebroadcast = false;
+  if (journal.phase === 'built' && !sent) {
+    await sendJournaled(journal, backend, cwd, step);
+    rebroadcast = true;
+  } else {
+    recordJournaled(journal, cwd);
+  }
+
+  return { action: 'completed', phase, commit, txid: journal.txid, txoUri: journal.txoUri, rebroadcast };
+}
@@ -0,0 +1,279 @@
+/**
+ * File-backed mock chain backend
+ *
+ * Keeps a tiny UTXO set in a JSON file so init -> mark -> mark can run offline
+ * (tests, air-gapped machines). Broadcasts are checked against the UTXO set:
+ * every input must be a known, unspent outpoint and outputs may not exceed
+ * inputs. Every input must also be a Taproot key-path spend whose signature
+ * verifies against the spent output key, so a transaction signed with the
+ * wrong derived key is refused as a node would refuse it.
+ *
+ * Replace-by-fee follows BIP-125 loosely: an input may spend an outpoint
+ * already spent by an unconfirmed transaction that signals RBF, if the new
+ * transaction pays a higher absolute fee. The replaced transaction and its
+ * descendants are evicted.
+ *
+ * File format:
+ *   { "height": 0, "txs": { <txid>: { "hex": ..., "height": n|null } },
+ *     "utxos": { "<txid>:<vout>": { "amount": n, "script": hex } },
+ *     "spends": { "<txid>:<vout>": { "txid": spending txid, "vin": n, "amount": n, "script": hex } } }
+ *
+ * Blocks are not stored: the block at a height is the transactions confirmed
+ * at that height, in file order, under a header built on demand with
+ * regtest's target so merkle proofs can be produced. Those headers meet only
+ * regtest's proof-of-work limit, so only proofs of regtest chains verify.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parseTx, serializeTx, p2trScript, verifyTaprootKeySpend, serializeBlockHeader, parseBlockHeader, computeMerkleBranch, checkProofOfWork } from './tx.js';
+import { signalsRbf } from './fee.js';
+import { SETTINGS } from './config.js';
+
+/**
+ * Default mock chain file
+ */
+export const DEFAULT_MOCKCHAIN_FILE = SETTINGS.mockchain.default;
+
+/**
+ * Fee rate (sat/vB) the mock chain reports
+ */
+export const MOCK_FEE_RATE = 1;
+
+/**
+ * Compact target of mock block headers (regtest's minimum difficulty)
+ */
+export const MOCK_BLOCK_BITS = 0x207fffff;
+
+// Mock block timestamps: 10 minutes per block from a fixed start
+const MOCK_GENESIS_TIME = 1700000000;
+
+function emptyState() {
+  return { height: 0, txs: {}, utxos: {}, spends: {} };
+}
+
+/**
+ * Create a mock chain backend
+ * @param {Object} [options]
+ * @param {string} [options.file] - State file (default: ~/.gitmark/mockchain.json)
+ * @param {string} [options.network] - Network identifier reported by the backend
+ * @returns {import('./backend.js').ChainBackend & {fund: Function, mine: Function}}
+ */
+export function createMockBackend({ file = DEFAULT_MOCKCHAIN_FILE, network = 'tbtc4' } = {}) {
+  function load() {
+    if (!fs.existsSync(file)) return emptyState();
+    return { ...emptyState(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  }
+
+  function save(state) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function txFee(state, tx) {
+    const inputTotal = tx.inputs.reduce((sum, input) => sum + (state.spends[`${input.txid}:${input.vout}`]?.amount || 0), 0);
+    return inputTotal - tx.outputs.reduce((sum, output) => sum + output.amount, 0);
+  }
+
+  // Remove an unconfirmed transaction and everything spending it
+  function evict(state, txid) {
+    const tx = parseTx(state.txs[txid].hex);
+    tx.outputs.forEach((output, vout) => {
+      const outpoint = `${txid}:${vout}`;
+      const child = state.spends[outpoint];
+      if (child && state.txs[child.txid]) evict(state, child.txid);
+      delete state.utxos[outpoint];
+    });
+    for (const input of tx.inputs) {
+      const outpoint = `${input.txid}:${input.vout}`;
+      const { amount, script } = state.spends[outpoint];
+      state.utxos[outpoint] = { amount, script };
+      delete state.spends[outpoint];
+    }
+    delete state.txs[txid];
+  }
+
+  function accept(state, tx, hex, height) {
+    tx.outputs.forEach((output, vout) => {
+      state.utxos[`${tx.txid}:${vout}`] = { amount: output.amount, script: output.script };
+    });
+    state.txs[tx.txid] = { hex, height };
+  }
+
+  return {
+    name: 'mock',
+    network,
+
+    async broadcast(hex) {
+      const state = load();
+      const tx = parseTx(hex);
+
+      if (state.txs[tx.txid]) return tx.txid;
+
+      const seen = new Set();
+      const conflicts = new Set();
+      const spent = [];
+      let inputTotal = 0;
+      for (const input of tx.inputs) {
+        const outpoint = `${input.txid}:${input.vout}`;
+        if (seen.has(outpoint)) {
+          throw new Error(`Mock chain: input ${outpoint} is spent twice in the same transaction`);
+        }
+        seen.add(outpoint);
+        let utxo = state.utxos[outpoint];
+        if (!utxo) {
+          const spend = state.spends[outpoint];
+          const conflict = spend && state.txs[spend.txid];
+          if (!conflict || conflict.height !== null || !signalsRbf(parseTx(conflict.hex))) {
+            throw new Error(`Mock chain: input ${outpoint} is unknown or already spent`);
+          }
+          conflicts.add(spend.txid);
+          utxo = { amount: spend.amount, script: spend.script };
+        }
+        spent.push({ outpoint, ...utxo });
+        inputTotal += utxo.amount;
+      }
+
+      const prevouts = spent.map(({ amount, script }) => ({ amount, script }));
+      spent.forEach(({ outpoint }, vin) => {
+        try {
+          verifyTaprootKeySpend(tx, vin, prevouts);
+        } catch (error) {
+          throw new Error(`Mock chain: input ${outpoint} ${error.message}`);
+        }
+      });
+
+      const outputTotal = tx.outputs.reduce((sum, output) => sum + output.amount, 0);
+      if (outputTotal > inputTotal) {
+        throw new Error(`Mock chain: outputs (${outputTotal} sats) exceed inputs (${inputTotal} sats)`);
+      }
+
+      if (conflicts.size) {
+        const replacedFee = [...conflicts].reduce((sum, txid) => sum + txFee(state, parseTx(state.txs[txid].hex)), 0);
+        if (inputTotal - outputTotal <= replacedFee) {
+          throw new Error(`Mock chain: replacement fee ${inputTotal - outputTotal} sats does not exceed the replaced ${replacedFee} sats`);
+        }
+        for (const txid of conflicts) evict(state, txid);
+      }
+
+      spent.forEach(({ outpoint, amount, script }, vin) => {
+        delete state.utxos[outpoint];
+        state.spends[outpoint] = { txid: tx.txid, vin, amount, script };
+      });
+      accept(state, tx, hex, null);
+      save(state);
+      return tx.txid;
+    },
+
+    async getTx(txid) {
+      const entry = load().txs[txid];
+      if (!entry) return null;
+      return {
+        txid,
+        hex: entry.hex,
+        confirmed: entry.height !== null,
+        blockHeight: entry.height,
+      };
+    },
+
+    async getUtxos(pubkey) {
+      const state = load();
+      const script = p2trScript(pubkey);
+      return Object.entries(state.utxos)
+        .filter(([, utxo]) => utxo.script === script)
+        .map(([outpoint, utxo]) => {
+          const [txid, vout] = outpoint.split(':');
+          const height = state.txs[txid]?.height ?? null;
+          return {
+            txid,
+            vout: parseInt(vout, 10),
+            amount: utxo.amount,
+            confirmed: height !== null,
+            blockHeight: height,
+          };
+        });
+    },
+
+    async getOutspend(txid, vout) {
+      const spend = load().spends[`${txid}:${vout}`];
+      return spend ? { spent: true, txid: spend.txid, vin: spend.vin } : { spent: false, txid: null, vin: null };
+    },
+
+    async getMerkleProof(txid) {
+      const state = load();
+      const height = state.txs[txid]?.height ?? null;
+      if (height === null) return null;
+      const txids = Object.keys(state.txs).filter(id => state.txs[id].height === height);
+      const pos = txids.indexOf(txid);
+      const { root, branch } = computeMerkleBranch(txids, pos);
+      // Headers are not linked: prevHash is zero and only the merkle root and
+      // proof of work can be checked
+      const fields = {
+        version: 0x20000000,
+        prevHash: '00'.repeat(32),
+        merkleRoot: root,
+        time: MOCK_GENESIS_TIME + height * 600,
+        bits: MOCK_BLOCK_BITS,
+        nonce: 0,
+      };
+      let header = serializeBlockHeader(fields);
+      while (!checkProofOfWork(parseBlockHeader(header).hash, MOCK_BLOCK_BITS)) {
+        header = serializeBlockHeader({ ...fields, nonce: ++fields.nonce });
+      }
+      return { blockHeight: height, blockHash: parseBlockHeader(header).hash, header, merkle: branch, pos };
+    },
+
+    async getTipHeight() {
+      return load().height;
+    },
+
+    async estimateFeeRate() {
+      return MOCK_FEE_RATE;
+    },
+
+    /**
+     * Create a confirmed coinbase-style output paying a Taproot key
+     * @param {string} pubkey - 64-char hex x-only public key
+     * @param {number} amount - Amount in satoshis
+     * @returns {Promise<{txid: string, vout: number, amount: number}>}
+     */
+    async fund(pubkey, amount) {
+      const state = load();
+      state.height++;
+      const tx = {
+        version: 2,
+        locktime: 0,
+        inputs: [{
+          txid: '00'.repeat(32),
+          vout: 0xffffffff,
+          scriptSig: crypto.randomBytes(8).toString('hex'),
+          sequence: 0xffffffff,
+        }],
+        outputs: [{ amount, script: p2trScript(pubkey) }],
+      };
+      const hex = serializeTx(tx).toString('hex');
+      const funding = parseTx(hex);
+      accept(state, funding, hex, state.height);
+      save(state);
+      return { txid: funding.txid, vout: 0, amount };
+    },
+
+    /**
+     * Mine blocks, confirming every pending transaction in the first one
+     * @param {number} [blocks=1] - Number of blocks to mine
+     * @returns {Promise<number>} New tip height
+     */
+    async mine(blocks = 1) {
+      const state = load();
+      for (const entry of Object.values(state.txs)) {
+        if (entry.height === null) entry.height = state.height + 1;
+      }
+      state.height += blocks;
+      save(state);
+      return state.height;
+    },
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Supported chains
+ *
+ * Each entry describes one TXO network identifier (the <chain> in
+ * txo:<chain>:...): its address HRP, dust limit, default chain backend and
+ * proof-of-work limit (the easiest block target, as compact bits, that the
+ * network accepts; mark proofs refuse headers claiming an easier one).
+ */
+
+import { resolveSetting } from './config.js';
+import { NetworkMismatchError, ConfigError } from './errors.js';
+
+/**
+ * Registry of supported networks
+ */
+export const NETWORKS = {
+  btc: {
+    name: 'Bitcoin mainnet',
+    hrp: 'bc',
+    dustLimit: 330,
+    backend: 'sendtx',
+    esplora: 'https://mempool.space/api',
+    powLimit: 0x1d00ffff,
+  },
+  tbtc3: {
+    name: 'Bitcoin testnet3',
+    hrp: 'tb',
+    dustLimit: 330,
+    backend: 'sendtx',
+    esplora: 'https://mempool.space/testnet/api',
+    powLimit: 0x1d00ffff,
+  },
+  tbtc4: {
+    name: 'Bitcoin testnet4',
+    hrp: 'tb',
+    dustLimit: 330,
+    backend: 'sendtx',
+    esplora: 'https://mempool.space/testnet4/api',
+    powLimit: 0x1d00ffff,
+  },
+  signet: {
+    name: 'Bitcoin signet',
+    hrp: 'tb',
+    dustLimit: 330,
+    backend: 'esplora',
+    esplora: 'https://mempool.space/signet/api',
+    powLimit: 0x1e0377ae,
+  },
+  regtest: {
+    name: 'Bitcoin regtest',
+    hrp: 'bcrt',
+    dustLimit: 330,
+    backend: 'esplora',
+    esplora: 'http://127.0.0.1:3002',
+    powLimit: 0x207fffff,
+  },
+};
+
+/**
+ * Network used when neither git config nor txo.json names one (the default
+ * of the network setting; not read from SETTINGS because config.js may still
+ * be loading when this module is)
+ */
+export const DEFAULT_NETWORK = 'tbtc4';
+
+/**
+ * Look up a network in the registry
+ * @param {string} network - Network identifier (btc, tbtc4, signet, ...)
+ * @returns {{id: string, name: string, hrp: string, dustLimit: number, backend: string, esplora: string, powLimit: number}}
+ * @throws {ConfigError} if the network is not supported
+ */
+export function getNetworkInfo(network) {
+  const info = Object.hasOwn(NETWORKS, network) ? NETWORKS[network] : null;
+  if (!info) {
+    throw new ConfigError(`Unsupported network: ${network}. Supported: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+  return { id: network, ...info };
+}
+
+/**
+ * Check whether a network identifier is supported
+ * @param {string} network
+ * @returns {boolean}
+ */
+export function isValidNetwork(network) {
+  return Object.hasOwn(NETWORKS, network);
+}
+
+/**
+ * Resolve the network for a TXO chain
+ *
+ * Uses the explicit network option, else the network setting
+ * (GITMARK_NETWORK, gitmark.network), and the network of the chain's last
+ * entry; they must agree when both are present.
+ *
+ * @param {string|null} chainNetwork - Network of the last txo.json entry, if any
+ * @param {Object} [options]
+ * @param {string} [options.network] - Explicit network, overrides gitmark.network
+ * @param {string} [options.cwd] - Repository whose config is read (default: current directory)
+ * @returns {string} Validated network identifier
+ * @throws {NetworkMismatchError} if the two disagree
+ * @throws {ConfigError} if the network is unsupported
+ */
+export function resolveNetwork(chainNetwork, { network: explicit, cwd } = {}) {
+  // The default only applies when the chain does not say
+  const setting = resolveSetting('network', { cwd, flag: explicit });
+  const configured = setting.source === 'default' ? null : setting.value;
+  if (configured && chainNetwork && configured !== chainNetwork) {
+    const source = explicit ? 'Requested network' : setting.origin;
+    throw new NetworkMismatchError(`${source} is ${configured} but the TXO chain is on ${chainNetwork}. Fix ${setting.origin} or txo.json.`);
+  }
+  const network = configured || chainNetwork || DEFAULT_NETWORK;
+  getNetworkInfo(network);
+  return network;
+}
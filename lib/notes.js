@@ -0,0 +1,287 @@
+/**
+ * Git notes storage for mark records
+ *
+ * With gitmark.storage=notes every mark is written as a note on
+ * refs/notes/gitmark attached to the marked commit. The note holds only the
+ * TXO URIs that mark adds and the previous marked commit:
+ *
+ *   { "previous": "<commit>" | null, "entries": ["txo:..."] }
+ *
+ * The first noted mark has previous null and also carries the funding entry.
+ * The current chain ends at the newest note: the one no other note links
+ * back to, wherever the marked commit sits in the history, so marking from
+ * an older checkout or another branch still builds on the latest output.
+ * The chain as of a given revision is found by following previous from the
+ * note of its nearest marked ancestor. A note that is a plain JSON array (as
+ * written by earlier versions, or by `git mark rebuild`) holds the whole
+ * chain. Nothing in the working tree changes when a commit is marked.
+ */
+
+import { git, resolveCommit } from './git.js';
+import { ChainError, GitError } from './errors.js';
+
+/**
+ * Notes ref holding mark records
+ */
+export const NOTES_REF = 'refs/notes/gitmark';
+
+/**
+ * Read the note attached to a commit
+ * @param {string} commit - Commit hash
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {string|null} Note text or null if the commit has no note
+ */
+export function readNote(commit, cwd) {
+  try {
+    return git(['notes', `--ref=${NOTES_REF}`, 'show', commit], { cwd });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Attach a note to a commit, replacing any previous note
+ * @param {string} commit - Commit hash
+ * @param {string} text - Note text
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ */
+export function writeNote(commit, text, cwd) {
+  git(['notes', `--ref=${NOTES_REF}`, 'add', '--force', '--message', text, commit], { cwd });
+}
+
+/**
+ * Commits that have a gitmark note
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {Set<string>}
+ */
+export function listNotedCommits(cwd) {
+  if (!resolveNotesRef(cwd)) return new Set();
+  const out = git(['notes', `--ref=${NOTES_REF}`, 'list'], { cwd });
+  return new Set(out.split('\n').filter(Boolean).map(line => line.split(' ')[1]));
+}
+
+/**
+ * Attach a chain note to a commit, replacing any previous note
+ * @param {string} commit - Commit hash
+ * @param {{previous: string|null, entries: string[]}} note - Previous marked commit and the entries this mark adds
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ */
+export function writeChainNote(commit, { previous, entries }, cwd) {
+  writeNote(commit, JSON.stringify({ previous, entries }, null, 2), cwd);
+}
+
+/**
+ * Parse the note on a commit
+ * @param {string} text - Note text
+ * @param {string} commit - Commit the note is attached to, for error messages
+ * @returns {{previous: string|null, entries: string[]}}
+ * @throws {ChainError} if the note is malformed
+ */
+function parseChainNote(text, commit) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ChainError(`Invalid ${NOTES_REF} note on ${commit}: ${error.message}`, { cause: error });
+  }
+  // Whole-chain note
+  if (Array.isArray(data)) return { previous: null, entries: data };
+  const { previous = null, entries } = data ?? {};
+  if (!Array.isArray(entries) || (previous !== null && typeof previous !== 'string')) {
+    throw new ChainError(`Invalid ${NOTES_REF} note on ${commit}: expected previous and entries`);
+  }
+  return { previous, entries };
+}
+
+/**
+ * Read the chain note attached to a commit
+ * @param {string} commit - Commit hash
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {{previous: string|null, entries: string[]}|null} null if the commit has no note
+ * @throws {ChainError} if the note is malformed
+ */
+export function readChainNote(commit, cwd) {
+  const text = readNote(commit, cwd);
+  return text === null ? null : parseChainNote(text, commit);
+}
+
+/**
+ * Read every gitmark note with one `git cat-file --batch`
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {Map<string, string>} Note text by commit
+ */
+function readAllNotes(cwd) {
+  const notes = new Map();
+  if (!resolveNotesRef(cwd)) return notes;
+  const pairs = git(['notes', `--ref=${NOTES_REF}`, 'list'], { cwd }).split('\n').filter(Boolean).map(line => line.split(' '));
+  if (!pairs.length) return notes;
+
+  // Each object is "<oid> blob <size>\n<content>\n"; sizes are in bytes
+  const out = Buffer.from(git(['cat-file', '--batch'], { cwd, input: pairs.map(([blob]) => `${blob}\n`).join('') }));
+  const blobs = new Map();
+  let offset = 0;
+  while (offset < out.length) {
+    const end = out.indexOf(0x0a, offset);
+    const [oid, , size] = out.subarray(offset, end === -1 ? out.length : end).toString().split(' ');
+    const length = Number(size);
+    blobs.set(oid, out.subarray(end + 1, end + 1 + length).toString('utf8'));
+    offset = end + 1 + length + 1;
+  }
+  for (const [blob, commit] of pairs) notes.set(commit, blobs.get(blob));
+  return notes;
+}
+
+/**
+ * Find the nearest ancestor of a commit that has a note
+ *
+ * Only the commits after the noted ones are walked: the noted commits are
+ * excluded and the first noted boundary commit is the nearest. When that
+ * finds none (an older checkout behind a noted commit, or notes only on
+ * other branches) the whole history is walked.
+ *
+ * @param {string} commit - Commit hash, not itself noted
+ * @param {Map<string, string>} notes - Notes by commit
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {string|null}
+ */
+function findNotedAncestor(commit, notes, cwd) {
+  const exclude = [...notes.keys()].map(noted => `^${noted}\n`).join('');
+  const lines = git(['rev-list', '--boundary', '--ignore-missing', '--stdin', commit], { cwd, input: exclude }).split('\n');
+  const boundary = lines.find(line => line.startsWith('-') && notes.has(line.slice(1)));
+  if (boundary) return boundary.slice(1);
+
+  return git(['rev-list', commit, '--'], { cwd }).split('\n').find(hash => notes.has(hash)) ?? null;
+}
+
+/**
+ * Follow previous links from a note back to the first mark
+ * @param {string} commit - Noted commit the chain ends at
+ * @param {Map<string, string>} notes - Notes by commit
+ * @returns {string[]} Entries in chain order
+ * @throws {ChainError} if a note is malformed or links to a commit without a note
+ */
+function collectChain(commit, notes) {
+  const parts = [];
+  const seen = new Set();
+  for (let at = commit; at !== null;) {
+    if (seen.has(at)) throw new ChainError(`${NOTES_REF} notes loop back to ${at}`);
+    seen.add(at);
+    if (!notes.has(at)) throw new ChainError(`${NOTES_REF} note chain from ${commit} links to ${at}, which has no note`);
+    const note = parseChainNote(notes.get(at), at);
+    parts.unshift(note.entries);
+    at = note.previous;
+  }
+  return parts.flat();
+}
+
+/**
+ * Read the chain of a revision from the notes
+ *
+ * Starts at the note of the revision's nearest marked ancestor (itself
+ * included) and follows previous back to the first mark.
+ *
+ * @param {string} [rev='HEAD'] - Revision to start from
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {{commit: string, entries: string[]}|null} commit is the tip note's; null if no ancestor has a note
+ * @throws {ChainError} if a note is malformed or links to a commit without a note
+ */
+export function readNoteChain(rev = 'HEAD', cwd) {
+  const notes = readAllNotes(cwd);
+  const start = notes.size ? resolveCommit(rev, cwd) : null;
+  if (!start) return null;
+  const commit = notes.has(start) ? start : findNotedAncestor(start, notes, cwd);
+  if (!commit) return null;
+  return { commit, entries: collectChain(commit, notes) };
+}
+
+/**
+ * Read the current chain: the one ending at the newest note on NOTES_REF
+ *
+ * The newest note is the one no other note names as previous. Whole-chain
+ * notes link to nothing, so earlier ones are left as extra ends; of all
+ * ends the longest chain is the current one.
+ *
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {{commit: string, entries: string[]}|null} null if there are no notes
+ * @throws {ChainError} if a note is malformed or two chains of the same length end at different notes
+ */
+export function readNoteTip(cwd) {
+  const notes = readAllNotes(cwd);
+  if (!notes.size) return null;
+  const parsed = new Map([...notes].map(([commit, text]) => [commit, parseChainNote(text, commit)]));
+  const linked = new Set([...parsed.values()].map(note => note.previous).filter(Boolean));
+
+  let tip = null;
+  let tied = null;
+  for (const commit of parsed.keys()) {
+    if (linked.has(commit)) continue;
+    const entries = collectChain(commit, notes);
+    if (tip && entries.length === tip.entries.length) tied = commit;
+    if (!tip || entries.length > tip.entries.length) [tip, tied] = [{ commit, entries }, null];
+  }
+  if (!tip) throw new ChainError(`${NOTES_REF} notes loop: every note is linked from another`);
+  if (tied) {
+    throw new ChainError(`${NOTES_REF} has two chains of ${tip.entries.length} entries, ending at ${tip.commit} and ${tied}. Run \`git mark rebuild\` to recover the chain from the blockchain.`);
+  }
+  return tip;
+}
+
+function gitErrorDetail(error) {
+  return error.stderr?.toString().trim() || error.message;
+}
+
+function resolveNotesRef(cwd) {
+  try {
+    return git(['rev-parse', '--verify', '--quiet', NOTES_REF], { cwd });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Push the notes ref to a remote
+ * @param {string} [remote='origin'] - Remote name or URL
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {{remote: string, ref: string}}
+ * @throws {GitError} if there are no notes yet or the push fails
+ */
+export function pushNotes(remote = 'origin', cwd) {
+  if (!resolveNotesRef(cwd)) throw new GitError(`No ${NOTES_REF} to push yet`);
+  try {
+    git(['push', remote, `${NOTES_REF}:${NOTES_REF}`], { cwd });
+  } catch (error) {
+    throw new GitError(`Pushing ${NOTES_REF} to ${remote} failed: ${gitErrorDetail(error)}`, { cause: error });
+  }
+  return { remote, ref: NOTES_REF };
+}
+
+/**
+ * Fetch the remote notes ref and merge it into the local one
+ *
+ * Notes on different commits merge cleanly. If both sides noted the same
+ * commit differently the local note is kept.
+ *
+ * @param {string} [remote='origin'] - Remote name
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {{remote: string, ref: string, fetched: boolean, merged: boolean}}
+ *   fetched: the remote has notes; merged: local notes already existed and were merged
+ * @throws {GitError} if the fetch or merge fails
+ */
+export function fetchNotes(remote = 'origin', cwd) {
+  const remoteRef = `refs/notes/remotes/${remote}/gitmark`;
+  try {
+    const remoteHas = git(['ls-remote', remote, NOTES_REF], { cwd });
+    if (!remoteHas) return { remote, ref: NOTES_REF, fetched: false, merged: false };
+
+    git(['fetch', remote, `+${NOTES_REF}:${remoteRef}`], { cwd });
+    if (!resolveNotesRef(cwd)) {
+      git(['update-ref', NOTES_REF, remoteRef], { cwd });
+      return { remote, ref: NOTES_REF, fetched: true, merged: false };
+    }
+
+    git(['notes', `--ref=${NOTES_REF}`, 'merge', '--strategy=ours', '--quiet', remoteRef], { cwd });
+  } catch (error) {
+    throw new GitError(`Fetching ${NOTES_REF} from ${remote} failed: ${gitErrorDetail(error)}`, { cause: error });
+  }
+  return { remote, ref: NOTES_REF, fetched: true, merged: true };
+}
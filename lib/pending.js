@@ -0,0 +1,57 @@
+/**
+ * Pending (built but not broadcast) mark transactions
+ *
+ * `git mark --no-broadcast` commits and builds the transaction, then stores it
+ * in .git/gitmark/pending.json instead of sending it. `git mark broadcast`
+ * sends it later and only then appends the TXO URI to txo.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { gitPath } from './git.js';
+
+/**
+ * Path of the pending record inside the git directory
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {string}
+ */
+export function getPendingPath(cwd) {
+  return gitPath('gitmark/pending.json', cwd);
+}
+
+/**
+ * Load the pending mark record
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {Object|null} Pending record or null if there is none
+ */
+export function loadPending(cwd) {
+  const file = getPendingPath(cwd);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Save a pending mark record
+ * @param {Object} record
+ * @param {string} record.network - Network identifier
+ * @param {string} record.txid - Txid of the built transaction
+ * @param {string} record.hex - Raw transaction hex
+ * @param {string} record.commit - Marked commit hash
+ * @param {string} record.txoUri - TXO URI to append once broadcast
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ * @returns {string} Path of the written file
+ */
+export function savePending(record, cwd) {
+  const file = getPendingPath(cwd);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ ...record, createdAt: new Date().toISOString() }, null, 2));
+  return file;
+}
+
+/**
+ * Remove the pending mark record
+ * @param {string} [cwd] - Repository directory (default: current directory)
+ */
+export function clearPending(cwd) {
+  fs.rmSync(getPendingPath(cwd), { force: true });
+}
@@ -0,0 +1,246 @@
+/**
+ * Portable mark proofs
+ *
+ * createProof() packs everything needed to check that one commit was marked
+ * into a single JSON document: the commit, the commits marked before it, the
+ * root pubkey, the TXO URI, the raw transaction and, once confirmed, the
+ * block header with the transaction's merkle branch. verifyProof() checks such
+ * a document with no repository, backend or network access.
+ *
+ * A proof shows that the transaction is committed to by a header whose hash
+ * meets a target no easier than the network's proof-of-work limit. That makes
+ * a forged header cost real work, but not as much as the chain's: whether the
+ * header is in the best chain is for the auditor to check against a node or
+ * explorer they trust (block.hash at block.height). The height is as claimed
+ * by the proof's creator.
+ */
+
+import { Point } from '@noble/secp256k1';
+import { readChain, parseTxoEntry } from './txo.js';
+import { resolveCommit } from './git.js';
+import { deriveMarkPublicKey } from './keys.js';
+import { verifyChain } from './verify.js';
+import { resolveBackend } from './backend.js';
+import { getNetworkInfo, isValidNetwork } from './networks.js';
+import { parseTx, p2trScript, parseBlockHeader, merkleRootFromBranch, checkProofOfWork, bitsToTarget, blockWork } from './tx.js';
+import { ChainError, GitError } from './errors.js';
+
+/**
+ * Proof document type and format version
+ */
+export const PROOF_TYPE = 'gitmark-proof';
+export const PROOF_VERSION = 1;
+
+const HASH = /^[0-9a-f]{64}$/;
+const COMMIT = /^([0-9a-f]{40}|[0-9a-f]{64})$/;
+
+/**
+ * Build a proof that a commit was marked
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string} [options.commit='HEAD'] - Marked commit to prove
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @returns {Promise<{type: string, version: number, network: string, commit: string, priorCommits: string[],
+ *   rootPubkey: string, txoUri: string, tx: string,
+ *   block: {height: number, hash: string, header: string, merkle: string[], pos: number}|null}>}
+ *   block is null while the transaction is unconfirmed
+ * @throws {GitError} if commit does not resolve
+ * @throws {ChainError} if the commit is not marked, the chain does not verify or the backend does not know the transaction
+ */
+export async function createProof(options = {}) {
+  const { cwd = process.cwd(), commit: rev = 'HEAD' } = options;
+  const commit = resolveCommit(rev, cwd);
+  if (!commit) throw new GitError(`Not a commit: ${rev}`);
+
+  const chain = readChain({ cwd });
+  const index = chain.entries.findIndex(entry => entry.commit === commit);
+  if (index === -1) throw new ChainError(`Commit ${commit} is not marked in ${chain.source}`);
+
+  // Only the entries up to the commit need to hold for its proof
+  const uris = chain.entries.slice(0, index + 1).map(entry => entry.uri);
+  const verified = verifyChain(uris, { checkGit: false });
+  if (!verified.valid) {
+    throw new ChainError(`Chain does not verify: entry ${verified.error.index} ${verified.error.reason}`);
+  }
+
+  const entry = chain.entries[index];
+  const backend = resolveBackend(options.backend, entry.network, cwd);
+  const [tx, merkleProof] = await Promise.all([backend.getTx(entry.txid), backend.getMerkleProof(entry.txid)]);
+  if (!tx) throw new ChainError(`Transaction ${entry.txid} not found on the ${backend.name} backend`);
+
+  return {
+    type: PROOF_TYPE,
+    version: PROOF_VERSION,
+    network: entry.network,
+    commit,
+    priorCommits: chain.entries.slice(1, index).map(prior => prior.commit),
+    rootPubkey: verified.rootPubkey,
+    txoUri: entry.uri,
+    tx: tx.hex,
+    block: merkleProof && {
+      height: merkleProof.blockHeight,
+      hash: merkleProof.blockHash,
+      header: merkleProof.header,
+      merkle: merkleProof.merkle,
+      pos: merkleProof.pos,
+    },
+  };
+}
+
+/**
+ * Check a proof offline
+ *
+ * Checks, in order: the document format; that the TXO URI names the proof's
+ * network and commit; that the root key tweaked by the prior commits and the
+ * commit gives the URI's pubkey; that the transaction hashes to the URI's txid
+ * and pays that key the URI's amount at the URI's output; that the merkle
+ * branch links the txid to the header's merkle root; and that the header's
+ * target is no easier than the network's proof-of-work limit and its hash
+ * meets that target. Stops at the first failure.
+ *
+ * The key tweak is a sum, so it pins down which commits were marked before
+ * the commit but not their order; that needs the git history.
+ *
+ * @param {Object} proof - Parsed proof document
+ * @returns {{valid: boolean, network: string|null, commit: string|null, txid: string|null, vout: number|null,
+ *   amount: number|null, pubkey: string|null, scheme: 'taproot'|'legacy'|null,
+ *   block: {height: number|null, hash: string, time: number, bits: number, work: string|null}|null,
+ *   checks: Array<{name: string, ok: boolean, detail: string}>}}
+ *   valid is false for an unconfirmed proof (no block), even if every other check passes;
+ *   block.height is the proof's unchecked claim, block.work the expected hashes behind the header (decimal)
+ */
+export function verifyProof(proof) {
+  const result = {
+    valid: false,
+    network: null,
+    commit: null,
+    txid: null,
+    vout: null,
+    amount: null,
+    pubkey: null,
+    scheme: null,
+    block: null,
+    checks: [],
+  };
+  const pass = (name, detail) => result.checks.push({ name, ok: true, detail });
+  const fail = (name, detail) => {
+    result.checks.push({ name, ok: false, detail });
+    return result;
+  };
+
+  // format
+  if (!proof || typeof proof !== 'object' || proof.type !== PROOF_TYPE) {
+    return fail('format', `not a ${PROOF_TYPE} document`);
+  }
+  if (proof.version !== PROOF_VERSION) {
+    return fail('format', `unsupported proof version ${proof.version} (expected ${PROOF_VERSION})`);
+  }
+  const { commit, priorCommits, rootPubkey } = proof;
+  if (typeof commit !== 'string' || !COMMIT.test(commit)) return fail('format', 'missing or malformed commit');
+  if (!Array.isArray(priorCommits) || !priorCommits.every(prior => typeof prior === 'string' && COMMIT.test(prior))) {
+    return fail('format', 'priorCommits must be an array of commit hashes');
+  }
+  if (typeof rootPubkey !== 'string' || !HASH.test(rootPubkey)) return fail('format', 'missing or malformed rootPubkey');
+  let entry;
+  try {
+    entry = parseTxoEntry(proof.txoUri);
+  } catch (error) {
+    return fail('format', `invalid txoUri: ${error.message}`);
+  }
+  pass('format', `${PROOF_TYPE} v${PROOF_VERSION}`);
+
+  // txo-uri
+  result.network = entry.network;
+  result.commit = commit;
+  if (entry.network !== proof.network) {
+    return fail('txo-uri', `TXO URI is on ${entry.network}, proof says ${proof.network}`);
+  }
+  if (!isValidNetwork(entry.network)) return fail('txo-uri', `unsupported network ${entry.network}`);
+  if (entry.commit !== commit) return fail('txo-uri', `TXO URI marks ${entry.commit || 'no commit'}, not ${commit}`);
+  if (!entry.pubkey || !HASH.test(entry.pubkey)) return fail('txo-uri', 'TXO URI has no valid pubkey');
+  Object.assign(result, { txid: entry.txid, vout: entry.vout, amount: entry.amount, pubkey: entry.pubkey });
+  pass('txo-uri', `${entry.txid}:${entry.vout} on ${entry.network}`);
+
+  // key: the root's Y parity is not recorded, so try both as verifyChain() does
+  try {
+    Point.fromHex(`02${rootPubkey}`);
+  } catch {
+    return fail('key', `root pubkey ${rootPubkey} is not a valid x-only public key`);
+  }
+  const commits = [...priorCommits, commit];
+  const derived = [rootPubkey, `03${rootPubkey}`].map(basePub => {
+    try {
+      return deriveMarkPublicKey(basePub, commits);
+    } catch {
+      return null;
+    }
+  });
+  const match = derived.indexOf(entry.pubkey);
+  if (match === -1) {
+    return fail('key', `root key tweaked by ${commits.length} commits gives ${derived.filter(Boolean).join(' or ')}, not ${entry.pubkey}`);
+  }
+  result.scheme = match === 1 ? 'legacy' : 'taproot';
+  pass('key', `${entry.pubkey} = root + sum of ${commits.length} commit${commits.length === 1 ? '' : 's'} (${result.scheme})`);
+
+  // transaction
+  let tx;
+  try {
+    tx = parseTx(proof.tx);
+  } catch (error) {
+    return fail('transaction', error.message);
+  }
+  if (tx.txid !== entry.txid) return fail('transaction', `transaction hashes to ${tx.txid}, not ${entry.txid}`);
+  const output = tx.outputs[entry.vout];
+  if (!output) return fail('transaction', `transaction has no output ${entry.vout}`);
+  if (output.script !== p2trScript(entry.pubkey)) {
+    return fail('transaction', `output ${entry.vout} does not pay ${entry.pubkey} (script ${output.script})`);
+  }
+  if (entry.amount != null && output.amount !== entry.amount) {
+    return fail('transaction', `output ${entry.vout} is ${output.amount} sats, TXO URI says ${entry.amount}`);
+  }
+  pass('transaction', `output ${entry.vout} pays ${output.amount} sats to the mark key`);
+
+  // merkle
+  const { block } = proof;
+  if (!block) return fail('merkle', 'no block data: the transaction was unconfirmed when the proof was made');
+  let header;
+  try {
+    header = parseBlockHeader(block.header);
+  } catch (error) {
+    return fail('merkle', error.message);
+  }
+  if (block.hash !== undefined && block.hash !== header.hash) {
+    return fail('merkle', `header hashes to ${header.hash}, not ${block.hash}`);
+  }
+  const { merkle, pos } = block;
+  if (!Array.isArray(merkle) || !merkle.every(hash => typeof hash === 'string' && HASH.test(hash))) {
+    return fail('merkle', 'merkle branch must be an array of 32-byte hashes');
+  }
+  if (!Number.isInteger(pos) || pos < 0 || pos >= 2 ** merkle.length) {
+    return fail('merkle', `position ${pos} does not fit a branch of ${merkle.length} hashes`);
+  }
+  const root = merkleRootFromBranch(entry.txid, merkle, pos);
+  if (root !== header.merkleRoot) {
+    return fail('merkle', `branch gives merkle root ${root}, header has ${header.merkleRoot}`);
+  }
+  result.block = { height: block.height ?? null, hash: header.hash, time: header.time, bits: header.bits, work: null };
+  pass('merkle', `transaction ${pos} of block ${header.hash}`);
+
+  // proof-of-work: a header may claim any target, so it is held to the network's limit
+  const { powLimit } = getNetworkInfo(entry.network);
+  const bits = `0x${header.bits.toString(16)}`;
+  const target = bitsToTarget(header.bits);
+  if (target === null) return fail('proof-of-work', `header has an invalid target (bits ${bits})`);
+  if (target > bitsToTarget(powLimit)) {
+    return fail('proof-of-work', `header target (bits ${bits}) is easier than the ${entry.network} limit (bits 0x${powLimit.toString(16)})`);
+  }
+  if (!checkProofOfWork(header.hash, header.bits, powLimit)) {
+    return fail('proof-of-work', `block hash is above the target of bits ${bits}`);
+  }
+  result.block.work = blockWork(header.bits).toString();
+  pass('proof-of-work', `block hash meets bits ${bits} (${result.block.work} expected hashes)`);
+
+  result.valid = true;
+  return result;
+}
@@ -0,0 +1,251 @@
+/**
+ * Rebuild a TXO chain from the funding outpoint, the chain backend and git
+ *
+ * Starting at the funding output, each spend is looked up on the backend. A
+ * spending transaction is a mark if one of its outputs pays the root key
+ * tweaked by the commits marked so far plus one more commit from the local
+ * history. Like verify.js this uses public data only.
+ *
+ * A spend that pays the same key again is a CPFP fee bump (see bump() in
+ * mark.js) and moves the latest entry instead of adding one.
+ *
+ * To stay fast on long histories c*G is computed once per commit and each
+ * spend is matched by subtracting the current base point from the output key
+ * (P - B = c*G), rather than deriving a key per candidate commit.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Point, CURVE } from '@noble/secp256k1';
+import { readChain, readTxoFile, parseTxoEntry, writeTxoFile, getStorageType, TXO_FILE } from './txo.js';
+import { parseTx, p2trPubkey } from './tx.js';
+import { git, gitPath, isAncestor } from './git.js';
+import { writeChainNote } from './notes.js';
+import { resolveBackend } from './backend.js';
+import { ChainError, GitError } from './errors.js';
+
+/**
+ * Find the funding entry to rebuild from
+ * @param {string} cwd - Repository directory
+ * @returns {{uri: string, source: string}|null}
+ */
+function findFunding(cwd) {
+  const sources = [
+    () => ({ uris: readChain({ cwd }).entries.map(entry => entry.uri), source: 'chain' }),
+    () => ({ uris: readTxoFile(path.join(cwd, TXO_FILE)), source: TXO_FILE }),
+    () => ({ uris: readTxoFile(gitPath('txo.json', cwd)), source: '.git/txo.json' }),
+  ];
+  for (const read of sources) {
+    try {
+      const { uris, source } = read();
+      if (uris.length) {
+        parseTxoEntry(uris[0]);
+        return { uri: uris[0], source };
+      }
+    } catch {
+      // Lost or corrupted: try the next copy
+    }
+  }
+  return null;
+}
+
+/**
+ * Index c*G by x-coordinate for every commit reachable from rev
+ * @returns {Map<string, Array<{commit: string, point: Point}>>}
+ */
+function indexCommitPoints(rev, cwd) {
+  const index = new Map();
+  const commits = git(['rev-list', rev, '--'], { cwd }).split('\n').filter(Boolean);
+  for (const commit of commits) {
+    const scalar = BigInt(`0x${commit}`) % CURVE.n;
+    if (scalar === 0n) continue;
+    const point = Point.BASE.multiply(scalar);
+    const x = point.toHex(true).slice(2);
+    if (!index.has(x)) index.set(x, []);
+    index.get(x).push({ commit, point });
+  }
+  return index;
+}
+
+/**
+ * Find the commit c with c*G = target among the indexed commits
+ */
+function lookupCommit(index, target, isCandidate) {
+  if (target.equals(Point.ZERO)) return null;
+  const matches = index.get(target.toHex(true).slice(2)) || [];
+  return matches.find(({ point, commit }) => point.equals(target) && isCandidate(commit)) || null;
+}
+
+/**
+ * Regenerate the TXO chain
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string} [options.funding] - Funding TXO URI (default: entry 0 of the chain, txo.json or .git/txo.json)
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @param {string} [options.rev='HEAD'] - Only commits reachable from rev are candidates
+ * @param {(message: string) => void} [options.debug] - Diagnostic messages
+ * @returns {Promise<{entries: string[], network: string, rootPubkey: string, scheme: 'taproot'|'legacy'|null,
+ *   fundingSource: string, stop: {txid: string|null, reason: string}}>}
+ *   stop tells why the walk ended: the last output is unspent, or it was spent by a transaction that is not a mark
+ * @throws {ChainError} if no funding entry is available
+ */
+export async function rebuildChain(options = {}) {
+  const { cwd = process.cwd(), rev = 'HEAD', debug = () => {} } = options;
+
+  const found = options.funding ? { uri: options.funding, source: 'option' } : findFunding(cwd);
+  if (!found) {
+    throw new ChainError('No funding entry found in the chain, txo.json or .git/txo.json. Pass the funding TXO URI.');
+  }
+  const funding = parseTxoEntry(found.uri);
+  if (!funding.pubkey) throw new ChainError(`Funding entry has no pubkey: ${found.uri}`);
+  debug(`Funding ${funding.txid}:${funding.vout} from ${found.source}`);
+
+  const backend = resolveBackend(options.backend, funding.network, cwd);
+  let index;
+  try {
+    index = indexCommitPoints(rev, cwd);
+  } catch (error) {
+    throw new GitError(`Cannot list commits of ${rev}: ${error.stderr?.toString().trim() || error.message}`, { cause: error });
+  }
+  debug(`Indexed ${index.size} commits`);
+
+  // Base point per scheme: taproot lifts the root to even Y, legacy may be odd
+  const root = Point.fromHex(`02${funding.pubkey}`);
+  let bases = [{ scheme: 'taproot', point: root }, { scheme: 'legacy', point: root.negate() }];
+
+  const entries = [found.uri];
+  let output = { txid: funding.txid, vout: funding.vout, pubkey: funding.pubkey };
+  let previousCommit = null;
+  const marked = new Set();
+  const isCandidate = commit => !marked.has(commit) && (!previousCommit || isAncestor(previousCommit, commit, cwd));
+
+  for (;;) {
+    const spend = await backend.getOutspend(output.txid, output.vout);
+    if (!spend.spent) {
+      return result({ txid: null, reason: `${output.txid}:${output.vout} is unspent` });
+    }
+
+    const tx = await backend.getTx(spend.txid);
+    if (!tx) return result({ txid: spend.txid, reason: `spending transaction ${spend.txid} not found` });
+    const { outputs } = parseTx(tx.hex);
+
+    const bumped = previousCommit ? outputs.findIndex(out => p2trPubkey(out.script) === output.pubkey) : -1;
+    if (bumped !== -1) {
+      debug(`${spend.txid}:${bumped} bumps the mark of ${previousCommit}`);
+      entries[entries.length - 1] = formatEntry(spend.txid, bumped, outputs[bumped].amount, output.pubkey, previousCommit);
+      output = { txid: spend.txid, vout: bumped, pubkey: output.pubkey };
+      continue;
+    }
+
+    let match = null;
+    for (let vout = 0; vout < outputs.length && !match; vout++) {
+      const pubkey = p2trPubkey(outputs[vout].script);
+      if (!pubkey) continue;
+      const lifted = Point.fromHex(`02${pubkey}`);
+      for (const base of bases) {
+        // The output key is x-only, so the tweaked point is either lift or -lift
+        for (const point of [lifted, lifted.negate()]) {
+          const hit = lookupCommit(index, point.add(base.point.negate()), isCandidate);
+          if (hit) {
+            match = { vout, pubkey, amount: outputs[vout].amount, commit: hit.commit, base, point };
+            break;
+          }
+        }
+        if (match) break;
+      }
+    }
+
+    if (!match) {
+      return result({ txid: spend.txid, reason: `${spend.txid} does not pay a key derived from a commit in ${rev}` });
+    }
+
+    debug(`${spend.txid}:${match.vout} marks ${match.commit} (${match.base.scheme})`);
+    entries.push(formatEntry(spend.txid, match.vout, match.amount, match.pubkey, match.commit));
+    bases = [{ scheme: match.base.scheme, point: match.point }];
+    marked.add(match.commit);
+    previousCommit = match.commit;
+    output = { txid: spend.txid, vout: match.vout, pubkey: match.pubkey };
+  }
+
+  function formatEntry(txid, vout, amount, pubkey, commit) {
+    return `txo:${funding.network}:${txid}:${vout}?amount=${amount}&pubkey=${pubkey}&commit=${commit}`;
+  }
+
+  function result(stop) {
+    return {
+      entries,
+      network: funding.network,
+      rootPubkey: funding.pubkey,
+      scheme: bases.length === 1 ? bases[0].scheme : null,
+      fundingSource: found.source,
+      stop,
+    };
+  }
+}
+
+/**
+ * Compare a rebuilt chain with a stored one
+ * @param {string[]} expected - Rebuilt chain
+ * @param {string[]|null} actual - Stored chain, or null if it could not be read
+ * @returns {{same: boolean, missing: boolean, firstDifference: number|null, expectedLength: number, actualLength: number}}
+ */
+export function compareChains(expected, actual) {
+  if (!actual) {
+    return { same: false, missing: true, firstDifference: 0, expectedLength: expected.length, actualLength: 0 };
+  }
+  let firstDifference = null;
+  for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+    if (expected[i] !== actual[i]) {
+      firstDifference = i;
+      break;
+    }
+  }
+  return {
+    same: firstDifference === null,
+    missing: false,
+    firstDifference,
+    expectedLength: expected.length,
+    actualLength: actual.length,
+  };
+}
+
+/**
+ * Rebuild the chain and either compare it with the stored copies or write it
+ *
+ * @param {Object} [options] - rebuildChain() options, plus:
+ * @param {boolean} [options.check=false] - Only compare with txo.json and .git/txo.json
+ * @param {string} [options.storage] - Storage type, overrides gitmark.storage
+ * @returns {Promise<Object>} rebuildChain() result plus, with check,
+ *   comparisons: {[file: string]: compareChains() result}; otherwise written: string[] (files or notes written)
+ */
+export async function rebuild(options = {}) {
+  const { cwd = process.cwd(), check = false } = options;
+  const rebuilt = await rebuildChain(options);
+
+  const files = [path.join(cwd, TXO_FILE), gitPath('txo.json', cwd)];
+  if (check) {
+    const comparisons = {};
+    for (const file of files) {
+      let stored = null;
+      try {
+        if (fs.existsSync(file)) stored = readTxoFile(file);
+      } catch {
+        // Unreadable counts as missing
+      }
+      comparisons[file] = compareChains(rebuilt.entries, stored);
+    }
+    return { ...rebuilt, comparisons };
+  }
+
+  writeTxoFile(rebuilt.entries, files[0], cwd);
+  const written = [...files];
+
+  // A whole-chain note on the last marked commit; notes storage reads from there
+  const last = parseTxoEntry(rebuilt.entries[rebuilt.entries.length - 1]);
+  if (last.commit && getStorageType(options.storage, cwd) === 'notes') {
+    writeChainNote(last.commit, { previous: null, entries: rebuilt.entries }, cwd);
+    written.push(`note on ${last.commit}`);
+  }
+  return { ...rebuilt, written };
+}
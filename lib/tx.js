@@ -0,0 +1,474 @@
+/**
+ * Raw Bitcoin transaction helpers
+ *
+ * Just enough parsing and serialization to inspect the transactions btctx
+ * builds: inputs, outputs, txid and virtual size. Signing stays in btctx;
+ * Taproot key-path signatures can be checked here (BIP-340/341), which the
+ * mock chain does for every input it accepts.
+ * Block headers and merkle branches are handled here too, for mark proofs.
+ *
+ * Hashes (txids, block hashes, merkle roots and branches) are hex in the
+ * usual display order, byte-reversed from how they are hashed.
+ */
+
+import crypto from 'crypto';
+import { Point, CURVE } from '@noble/secp256k1';
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+}
+
+function sha256d(buf) {
+  return sha256(sha256(buf));
+}
+
+// BIP-340 tagged hash: sha256(sha256(tag) || sha256(tag) || data)
+function taggedHash(tag, ...parts) {
+  const tagHash = sha256(Buffer.from(tag, 'utf8'));
+  return sha256(tagHash, tagHash, ...parts);
+}
+
+function reverseHex(buf) {
+  return Buffer.from(buf).reverse().toString('hex');
+}
+
+function writeVarInt(n) {
+  if (n < 0xfd) return Buffer.from([n]);
+  if (n <= 0xffff) {
+    const buf = Buffer.alloc(3);
+    buf[0] = 0xfd;
+    buf.writeUInt16LE(n, 1);
+    return buf;
+  }
+  const buf = Buffer.alloc(5);
+  buf[0] = 0xfe;
+  buf.writeUInt32LE(n, 1);
+  return buf;
+}
+
+function createReader(buf) {
+  let offset = 0;
+  const reader = {
+    get offset() {
+      return offset;
+    },
+    bytes(n) {
+      if (offset + n > buf.length) throw new Error('Invalid transaction: unexpected end of data');
+      const out = buf.subarray(offset, offset + n);
+      offset += n;
+      return out;
+    },
+    u8() {
+      return reader.bytes(1)[0];
+    },
+    u32() {
+      return reader.bytes(4).readUInt32LE(0);
+    },
+    u64() {
+      return Number(reader.bytes(8).readBigUInt64LE(0));
+    },
+    varint() {
+      const first = reader.u8();
+      if (first < 0xfd) return first;
+      if (first === 0xfd) return reader.bytes(2).readUInt16LE(0);
+      if (first === 0xfe) return reader.u32();
+      return reader.u64();
+    },
+  };
+  return reader;
+}
+
+/**
+ * Serialize a transaction
+ * @param {Object} tx - Transaction as returned by parseTx
+ * @param {Object} [options]
+ * @param {boolean} [options.witness=false] - Include witness data (default is the txid form)
+ * @returns {Buffer}
+ */
+export function serializeTx(tx, { witness = false } = {}) {
+  const parts = [];
+  const version = Buffer.alloc(4);
+  version.writeUInt32LE(tx.version, 0);
+  parts.push(version);
+  if (witness) parts.push(Buffer.from([0x00, 0x01]));
+
+  parts.push(writeVarInt(tx.inputs.length));
+  for (const input of tx.inputs) {
+    parts.push(Buffer.from(input.txid, 'hex').reverse());
+    const tail = Buffer.alloc(4);
+    tail.writeUInt32LE(input.vout, 0);
+    parts.push(tail);
+    const script = Buffer.from(input.scriptSig || '', 'hex');
+    parts.push(writeVarInt(script.length), script);
+    const sequence = Buffer.alloc(4);
+    sequence.writeUInt32LE(input.sequence, 0);
+    parts.push(sequence);
+  }
+
+  parts.push(writeVarInt(tx.outputs.length));
+  for (const output of tx.outputs) {
+    const value = Buffer.alloc(8);
+    value.writeBigUInt64LE(BigInt(output.amount), 0);
+    const script = Buffer.from(output.script, 'hex');
+    parts.push(value, writeVarInt(script.length), script);
+  }
+
+  if (witness) {
+    for (const input of tx.inputs) {
+      const items = input.witness || [];
+      parts.push(writeVarInt(items.length));
+      for (const item of items) {
+        const data = Buffer.from(item, 'hex');
+        parts.push(writeVarInt(data.length), data);
+      }
+    }
+  }
+
+  const locktime = Buffer.alloc(4);
+  locktime.writeUInt32LE(tx.locktime, 0);
+  parts.push(locktime);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parse a raw transaction
+ * @param {string} hex - Raw transaction hex (legacy or segwit serialization)
+ * @returns {{txid: string, version: number, locktime: number, vsize: number, weight: number,
+ *   inputs: Array<{txid: string, vout: number, scriptSig: string, sequence: number, witness: string[]}>,
+ *   outputs: Array<{amount: number, script: string}>}}
+ * @throws {Error} if the hex is not a well-formed transaction
+ */
+export function parseTx(hex) {
+  if (typeof hex !== 'string' || !/^([0-9a-fA-F]{2})+$/.test(hex)) {
+    throw new Error('Invalid transaction: expected hex string');
+  }
+  const buf = Buffer.from(hex, 'hex');
+  const r = createReader(buf);
+
+  const version = r.u32();
+  let segwit = false;
+  let inputCount = r.varint();
+  if (inputCount === 0) {
+    if (r.u8() !== 0x01) throw new Error('Invalid transaction: bad segwit flag');
+    segwit = true;
+    inputCount = r.varint();
+  }
+
+  const inputs = [];
+  for (let i = 0; i < inputCount; i++) {
+    const txid = reverseHex(r.bytes(32));
+    const vout = r.u32();
+    const scriptSig = r.bytes(r.varint()).toString('hex');
+    const sequence = r.u32();
+    inputs.push({ txid, vout, scriptSig, sequence, witness: [] });
+  }
+
+  const outputCount = r.varint();
+  const outputs = [];
+  for (let i = 0; i < outputCount; i++) {
+    const amount = r.u64();
+    const script = r.bytes(r.varint()).toString('hex');
+    outputs.push({ amount, script });
+  }
+
+  if (segwit) {
+    for (const input of inputs) {
+      const items = r.varint();
+      for (let j = 0; j < items; j++) {
+        input.witness.push(r.bytes(r.varint()).toString('hex'));
+      }
+    }
+  }
+
+  const locktime = r.u32();
+  if (r.offset !== buf.length) throw new Error('Invalid transaction: trailing data');
+
+  const tx = { version, locktime, inputs, outputs };
+  const base = serializeTx(tx);
+  const weight = base.length * 3 + buf.length;
+  return {
+    txid: reverseHex(sha256d(base)),
+    ...tx,
+    weight,
+    vsize: Math.ceil(weight / 4),
+  };
+}
+
+/**
+ * Compute the txid of a raw transaction
+ * @param {string} hex - Raw transaction hex
+ * @returns {string}
+ */
+export function getTxid(hex) {
+  return parseTx(hex).txid;
+}
+
+/**
+ * Build the output script for a Taproot (P2TR) key
+ * @param {string} pubkey - 64-char hex x-only public key
+ * @returns {string} scriptPubKey hex (OP_1 <32 bytes>)
+ */
+export function p2trScript(pubkey) {
+  return `5120${pubkey.toLowerCase()}`;
+}
+
+/**
+ * Extract the x-only key from a P2TR output script
+ * @param {string} script - scriptPubKey hex
+ * @returns {string|null} 64-char hex pubkey or null if not P2TR
+ */
+export function p2trPubkey(script) {
+  return /^5120[0-9a-f]{64}$/.test(script) ? script.slice(4) : null;
+}
+
+/**
+ * Sighash types valid for Taproot key-path spends (0x00 is SIGHASH_DEFAULT)
+ */
+export const TAPROOT_SIGHASH_TYPES = [0x00, 0x01, 0x02, 0x03, 0x81, 0x82, 0x83];
+
+function u32(n) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(n >>> 0, 0);
+  return buf;
+}
+
+function u64(n) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64LE(BigInt(n), 0);
+  return buf;
+}
+
+function outpoint({ txid, vout }) {
+  return Buffer.concat([Buffer.from(txid, 'hex').reverse(), u32(vout)]);
+}
+
+function scriptBytes(script) {
+  const buf = Buffer.from(script, 'hex');
+  return Buffer.concat([writeVarInt(buf.length), buf]);
+}
+
+function outputBytes({ amount, script }) {
+  return Buffer.concat([u64(amount), scriptBytes(script)]);
+}
+
+/**
+ * Compute the BIP-341 signature hash of a Taproot key-path input
+ * @param {Object} tx - Transaction as returned by parseTx
+ * @param {number} index - Input being signed
+ * @param {Array<{amount: number, script: string}>} prevouts - Outputs spent by every input, in input order
+ * @param {number} [hashType=0] - Sighash type (0x00 SIGHASH_DEFAULT)
+ * @param {string|null} [annex=null] - Annex hex, including its 0x50 prefix
+ * @returns {Buffer} 32-byte message to verify the signature against
+ * @throws {Error} for an invalid sighash type or SIGHASH_SINGLE without a matching output
+ */
+export function taprootSighash(tx, index, prevouts, hashType = 0x00, annex = null) {
+  if (!TAPROOT_SIGHASH_TYPES.includes(hashType)) throw new Error(`Invalid sighash type 0x${hashType.toString(16)}`);
+  const anyoneCanPay = (hashType & 0x80) !== 0;
+  const outputType = hashType & 0x03;
+  const parts = [Buffer.from([0x00, hashType]), u32(tx.version), u32(tx.locktime)];
+
+  if (!anyoneCanPay) {
+    parts.push(
+      sha256(...tx.inputs.map(outpoint)),
+      sha256(...prevouts.map(prevout => u64(prevout.amount))),
+      sha256(...prevouts.map(prevout => scriptBytes(prevout.script))),
+      sha256(...tx.inputs.map(input => u32(input.sequence)))
+    );
+  }
+  // SIGHASH_ALL (and DEFAULT) commit to every output
+  if (outputType !== 0x02 && outputType !== 0x03) parts.push(sha256(...tx.outputs.map(outputBytes)));
+
+  parts.push(Buffer.from([annex ? 1 : 0]));
+  if (anyoneCanPay) {
+    const input = tx.inputs[index];
+    parts.push(outpoint(input), u64(prevouts[index].amount), scriptBytes(prevouts[index].script), u32(input.sequence));
+  } else {
+    parts.push(u32(index));
+  }
+  if (annex) parts.push(sha256(scriptBytes(annex)));
+  if (outputType === 0x03) {
+    if (index >= tx.outputs.length) throw new Error(`SIGHASH_SINGLE input ${index} has no matching output`);
+    parts.push(sha256(outputBytes(tx.outputs[index])));
+  }
+  return taggedHash('TapSighash', ...parts);
+}
+
+/**
+ * Verify a BIP-340 Schnorr signature
+ * @param {string|Buffer} signature - 64-byte signature
+ * @param {Buffer} message - 32-byte message
+ * @param {string} pubkey - 64-char hex x-only public key
+ * @returns {boolean}
+ */
+export function verifySchnorr(signature, message, pubkey) {
+  const sig = Buffer.from(signature, typeof signature === 'string' ? 'hex' : undefined);
+  if (sig.length !== 64 || !/^[0-9a-f]{64}$/i.test(pubkey)) return false;
+  let P;
+  try {
+    P = Point.fromHex(`02${pubkey}`);
+  } catch {
+    return false;
+  }
+  const r = BigInt(`0x${sig.subarray(0, 32).toString('hex')}`);
+  const s = BigInt(`0x${sig.subarray(32).toString('hex')}`);
+  if (r >= CURVE.p || s >= CURVE.n) return false;
+  const e = BigInt(`0x${taggedHash('BIP0340/challenge', sig.subarray(0, 32), Buffer.from(pubkey, 'hex'), message).toString('hex')}`) % CURVE.n;
+  // R = s*G - e*P
+  const R = Point.BASE.multiply(s, false).add(P.multiply((CURVE.n - e) % CURVE.n, false));
+  if (R.equals(Point.ZERO)) return false;
+  const { x, y } = R.toAffine();
+  return y % 2n === 0n && x === r;
+}
+
+/**
+ * Check the key-path signature of a Taproot input
+ * @param {Object} tx - Transaction as returned by parseTx
+ * @param {number} index - Input to check
+ * @param {Array<{amount: number, script: string}>} prevouts - Outputs spent by every input, in input order
+ * @throws {Error} saying why the input is not validly signed
+ */
+export function verifyTaprootKeySpend(tx, index, prevouts) {
+  const pubkey = p2trPubkey(prevouts[index].script);
+  if (!pubkey) throw new Error('spends a non-Taproot output; only key-path spends are supported');
+  let stack = tx.inputs[index].witness;
+  let annex = null;
+  // The last of two or more witness items is an annex if it starts with 0x50
+  if (stack.length >= 2 && stack[stack.length - 1].startsWith('50')) {
+    annex = stack[stack.length - 1];
+    stack = stack.slice(0, -1);
+  }
+  if (stack.length !== 1) throw new Error(`expected a key-path witness (one signature), got ${stack.length} items`);
+
+  const sig = Buffer.from(stack[0], 'hex');
+  if (sig.length !== 64 && sig.length !== 65) throw new Error(`signature is ${sig.length} bytes, expected 64 or 65`);
+  // An explicit sighash byte of 0x00 is not allowed: that is what 64 bytes mean
+  const hashType = sig.length === 65 ? sig[64] : 0x00;
+  if (sig.length === 65 && hashType === 0x00) throw new Error('65-byte signature with sighash type 0x00');
+  const message = taprootSighash(tx, index, prevouts, hashType, annex);
+  if (!verifySchnorr(sig.subarray(0, 64), message, pubkey)) {
+    throw new Error(`signature does not verify against output key ${pubkey}`);
+  }
+}
+
+/**
+ * Parse an 80-byte block header
+ * @param {string} hex - Header hex
+ * @returns {{hash: string, version: number, prevHash: string, merkleRoot: string, time: number, bits: number, nonce: number}}
+ * @throws {Error} if the header is not 80 bytes of hex
+ */
+export function parseBlockHeader(hex) {
+  if (typeof hex !== 'string' || !/^[0-9a-fA-F]{160}$/.test(hex)) {
+    throw new Error('Invalid block header: expected 80 bytes of hex');
+  }
+  const buf = Buffer.from(hex, 'hex');
+  return {
+    hash: reverseHex(sha256d(buf)),
+    version: buf.readUInt32LE(0),
+    prevHash: reverseHex(buf.subarray(4, 36)),
+    merkleRoot: reverseHex(buf.subarray(36, 68)),
+    time: buf.readUInt32LE(68),
+    bits: buf.readUInt32LE(72),
+    nonce: buf.readUInt32LE(76),
+  };
+}
+
+/**
+ * Serialize a block header
+ * @param {{version: number, prevHash: string, merkleRoot: string, time: number, bits: number, nonce: number}} header
+ * @returns {string} 80-byte header hex
+ */
+export function serializeBlockHeader({ version, prevHash, merkleRoot, time, bits, nonce }) {
+  const buf = Buffer.alloc(80);
+  buf.writeUInt32LE(version, 0);
+  Buffer.from(prevHash, 'hex').reverse().copy(buf, 4);
+  Buffer.from(merkleRoot, 'hex').reverse().copy(buf, 36);
+  buf.writeUInt32LE(time, 68);
+  buf.writeUInt32LE(bits, 72);
+  buf.writeUInt32LE(nonce, 76);
+  return buf.toString('hex');
+}
+
+/**
+ * Decode the compact target ("bits") of a block header
+ * @param {number} bits
+ * @returns {bigint|null} Target, or null if bits is negative or zero
+ */
+export function bitsToTarget(bits) {
+  const exponent = bits >>> 24;
+  const mantissa = BigInt(bits & 0x007fffff);
+  // A set sign bit or zero mantissa is not a valid target
+  if (bits & 0x00800000 || mantissa === 0n) return null;
+  return exponent <= 3 ? mantissa >> BigInt(8 * (3 - exponent)) : mantissa << BigInt(8 * (exponent - 3));
+}
+
+/**
+ * Expected number of hashes needed to find a block at a target (as Bitcoin
+ * Core counts chain work)
+ * @param {number} bits - Compact target from the header
+ * @returns {bigint} 2^256 / (target + 1), or 0 for an invalid target
+ */
+export function blockWork(bits) {
+  const target = bitsToTarget(bits);
+  return target === null ? 0n : (1n << 256n) / (target + 1n);
+}
+
+/**
+ * Check a block hash against the target encoded in the header's bits
+ *
+ * A header can declare any target it likes, so pass the network's powLimit:
+ * headers claiming an easier target than the network allows are refused.
+ *
+ * @param {string} hash - Block hash
+ * @param {number} bits - Compact target from the header
+ * @param {number} [powLimit] - Easiest compact target the network accepts
+ * @returns {boolean}
+ */
+export function checkProofOfWork(hash, bits, powLimit) {
+  const target = bitsToTarget(bits);
+  if (target === null) return false;
+  if (powLimit !== undefined && target > bitsToTarget(powLimit)) return false;
+  return BigInt(`0x${hash}`) <= target;
+}
+
+/**
+ * Compute the merkle root of a block and the branch proving one transaction
+ * @param {string[]} txids - The block's txids, in block order
+ * @param {number} [index=0] - Position of the transaction to prove
+ * @returns {{root: string, branch: string[]}}
+ */
+export function computeMerkleBranch(txids, index = 0) {
+  if (!txids.length) throw new Error('Cannot compute the merkle root of an empty block');
+  let level = txids.map(txid => Buffer.from(txid, 'hex').reverse());
+  const branch = [];
+  let pos = index;
+  while (level.length > 1) {
+    // An odd level pairs its last hash with itself
+    if (level.length % 2) level.push(level[level.length - 1]);
+    branch.push(reverseHex(level[pos ^ 1]));
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) next.push(sha256d(Buffer.concat([level[i], level[i + 1]])));
+    level = next;
+    pos >>= 1;
+  }
+  return { root: reverseHex(level[0]), branch };
+}
+
+/**
+ * Fold a merkle branch (Esplora's /tx/:txid/merkle-proof format) into the root
+ * @param {string} txid - Transaction being proven
+ * @param {string[]} branch - Sibling hashes from the transaction up to the root
+ * @param {number} pos - Position of the transaction in the block
+ * @returns {string} Merkle root
+ */
+export function merkleRootFromBranch(txid, branch, pos) {
+  let hash = Buffer.from(txid, 'hex').reverse();
+  let index = pos;
+  for (const sibling of branch) {
+    const other = Buffer.from(sibling, 'hex').reverse();
+    hash = sha256d(index & 1 ? Buffer.concat([other, hash]) : Buffer.concat([hash, other]));
+    index >>= 1;
+  }
+  return reverseHex(hash);
+}
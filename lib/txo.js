@@ -0,0 +1,278 @@
+/**
+ * TXO chain file helpers
+ *
+ * The chain is a JSON array of TXO URIs. The first entry is the funding
+ * output; each later entry records the commit it marks:
+ *
+ *   txo:<chain>:<txid>:<vout>?amount=<sats>&pubkey=<xonly>&commit=<hash>
+ *
+ * Where it is stored depends on gitmark.storage:
+ *   file  - .well-known/txo/txo.json in the working tree (default)
+ *   notes - git notes on refs/notes/gitmark (see notes.js); txo.json is only
+ *           the bootstrap written by git mark-init and an export target
+ *
+ * file stays the default because txo.json is what gets published and
+ * verified: it is served from .well-known and travels with every clone and
+ * push, while notes need `git mark push` and are not fetched by
+ * default. The price is that recording a mark modifies txo.json after the
+ * commit, so the change rides along in the next commit.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseTxoUri } from 'txo_parser';
+import { ChainError, ConfigError } from './errors.js';
+import { getSetting, SETTINGS } from './config.js';
+import { NOTES_REF, readNoteTip, readChainNote, writeChainNote } from './notes.js';
+
+/**
+ * Default location of the TXO chain file
+ */
+export const TXO_FILE = '.well-known/txo/txo.json';
+
+/**
+ * Supported gitmark.storage values
+ */
+export const STORAGE_TYPES = SETTINGS.storage.choices;
+
+/**
+ * Resolve the storage backend for mark records
+ * @param {string} [storage] - Storage type, overrides gitmark.storage
+ * @param {string} [cwd] - Repository whose config is read (default: current directory)
+ * @returns {string} 'file' or 'notes'
+ * @throws {ConfigError} for an unknown storage type
+ */
+export function getStorageType(storage, cwd) {
+  const type = getSetting('storage', { cwd, flag: storage });
+  if (!STORAGE_TYPES.includes(type)) {
+    throw new ConfigError(`Unknown storage: ${type}. Expected ${STORAGE_TYPES.join(' or ')}.`);
+  }
+  return type;
+}
+
+/**
+ * Parse chain JSON and check it is an array
+ * @param {string} text - JSON text
+ * @param {string} source - Where the text came from, for error messages
+ * @returns {string[]}
+ * @throws {ChainError}
+ */
+function parseChainJson(text, source) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ChainError(`Invalid TXO file: ${source}: ${error.message}`, { cause: error });
+  }
+  if (!Array.isArray(data)) {
+    throw new ChainError(`Invalid TXO file: ${source} must contain a JSON array`);
+  }
+  return data;
+}
+
+/**
+ * Read the TXO chain file
+ * @param {string} [filePath] - Path to txo.json (default: .well-known/txo/txo.json)
+ * @returns {string[]} Array of TXO URIs
+ * @throws {ChainError} if the file is missing, unparsable or not a JSON array
+ */
+export function readTxoFile(filePath = TXO_FILE) {
+  if (!fs.existsSync(filePath)) {
+    throw new ChainError(`File not found: ${filePath}`);
+  }
+
+  return parseChainJson(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+/**
+ * Parse a single TXO chain entry
+ * @param {string} uri - TXO URI
+ * @returns {{network: string, txid: string, vout: number, amount: number, pubkey: string|undefined, commit: string|undefined}}
+ * @throws {Error} if the URI is malformed
+ */
+export function parseTxoEntry(uri) {
+  const parsed = parseTxoUri(uri);
+  return {
+    network: parsed.network,
+    txid: parsed.txid,
+    vout: parsed.output,
+    amount: parsed.amount,
+    pubkey: parsed.pubkey,
+    commit: parsed.commit,
+  };
+}
+
+/**
+ * Extract the commit hashes recorded in a TXO chain, in order
+ * @param {string[]} txoData - Array of TXO URIs
+ * @returns {string[]} Commit hashes (entries without commit= are skipped)
+ */
+export function getChainCommits(txoData) {
+  const commits = [];
+  for (const uri of txoData) {
+    const match = uri.match(/commit=([0-9a-f]+)/);
+    if (match) commits.push(match[1]);
+  }
+  return commits;
+}
+
+/**
+ * Write the TXO chain file, plus the backup copy in .git/txo.json
+ * @param {string[]} txoData - Array of TXO URIs
+ * @param {string} [filePath] - Path to txo.json (default: .well-known/txo/txo.json)
+ * @param {string} [cwd='.'] - Repository directory holding .git
+ */
+export function writeTxoFile(txoData, filePath = TXO_FILE, cwd = '.') {
+  const jsonString = JSON.stringify(txoData, null, 2);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, jsonString);
+
+  const gitDir = path.join(cwd, '.git');
+  if (fs.existsSync(gitDir)) {
+    fs.writeFileSync(path.join(gitDir, 'txo.json'), jsonString);
+  }
+}
+
+/**
+ * Get the network of the last entry in the TXO chain file
+ * @param {string} [filePath] - Path to txo.json (default: .well-known/txo/txo.json)
+ * @returns {string|null} Network identifier, or null if there is no usable entry
+ */
+export function getChainNetwork(filePath = TXO_FILE) {
+  if (!fs.existsSync(filePath)) return null;
+  const txoData = readTxoFile(filePath);
+  if (txoData.length === 0) return null;
+  return parseTxoEntry(txoData[txoData.length - 1]).network;
+}
+
+/**
+ * Read and parse the TXO chain of a repository
+ *
+ * With notes storage the chain is read from the notes, ending at the newest
+ * note whatever is checked out; before the first noted mark it is the
+ * txo.json written by git mark-init.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string} [options.storage] - Storage type, overrides gitmark.storage
+ * @returns {{file: string, storage: string, source: string, network: string|null, rootPubkey: string|null, commits: string[],
+ *   entries: Array<{uri: string, network: string, txid: string, vout: number, amount: number, pubkey: string|undefined, commit: string|undefined}>,
+ *   latest: Object|null, noteCommit: string|null}}
+ *   file is txo.json; source names where the entries were read from; noteCommit is the commit whose
+ *   note the chain ends at (notes storage only)
+ * @throws {ChainError} if the chain is missing or malformed
+ */
+export function readChain({ cwd = process.cwd(), storage } = {}) {
+  const type = getStorageType(storage, cwd);
+  const file = path.join(cwd, TXO_FILE);
+
+  let uris = null;
+  let source = file;
+  let noteCommit = null;
+  if (type === 'notes') {
+    const note = readNoteTip(cwd);
+    if (note) {
+      source = `${NOTES_REF} note on ${note.commit}`;
+      noteCommit = note.commit;
+      uris = note.entries;
+    }
+  }
+  if (!uris) uris = readTxoFile(file);
+
+  const entries = uris.map((uri, index) => {
+    try {
+      return { uri, ...parseTxoEntry(uri) };
+    } catch (error) {
+      throw new ChainError(`Invalid TXO entry ${index} in ${source}: ${error.message}`, { cause: error });
+    }
+  });
+  const latest = entries.length ? entries[entries.length - 1] : null;
+
+  return {
+    file,
+    storage: type,
+    source,
+    network: latest ? latest.network : null,
+    rootPubkey: entries.length ? entries[0].pubkey || null : null,
+    commits: entries.filter(entry => entry.commit).map(entry => entry.commit),
+    entries,
+    latest,
+    noteCommit,
+  };
+}
+
+/**
+ * Append a TXO URI to the chain of a repository unless it is already there
+ *
+ * Recording is idempotent so an interrupted mark can be recorded again safely.
+ * With notes storage the chain is written as a note on the commit the URI
+ * marks and the working tree is left untouched.
+ *
+ * @param {string} txoUri - TXO URI to append
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string} [options.storage] - Storage type, overrides gitmark.storage
+ * @returns {boolean} true if the URI was appended, false if it was already recorded
+ */
+export function appendTxoEntry(txoUri, { cwd = process.cwd(), storage } = {}) {
+  const chain = readChain({ cwd, storage });
+  if (chain.entries.some(entry => entry.uri === txoUri)) return false;
+  const uris = [...chain.entries.map(entry => entry.uri), txoUri];
+
+  if (chain.storage === 'notes') {
+    const { commit } = parseTxoEntry(txoUri);
+    if (!commit) throw new ChainError(`Cannot store ${txoUri} as a note: it has no commit`);
+    // The first noted mark carries the bootstrap entries; later ones link back
+    const note = chain.noteCommit ? { previous: chain.noteCommit, entries: [txoUri] } : { previous: null, entries: uris };
+    writeChainNote(commit, note, cwd);
+  } else {
+    writeTxoFile(uris, chain.file, cwd);
+  }
+  return true;
+}
+
+/**
+ * Replace the latest TXO entry, e.g. after its transaction was fee-bumped
+ * @param {string} txoUri - New TXO URI
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string} [options.storage] - Storage type, overrides gitmark.storage
+ * @returns {boolean} false if the chain already ends with txoUri
+ * @throws {ChainError} if the chain has only the funding entry or the commit differs
+ */
+export function replaceLastTxoEntry(txoUri, { cwd = process.cwd(), storage } = {}) {
+  const chain = readChain({ cwd, storage });
+  if (chain.latest?.uri === txoUri) return false;
+  const { commit } = parseTxoEntry(txoUri);
+  if (chain.entries.length < 2 || chain.latest.commit !== commit) {
+    throw new ChainError(`Cannot replace the latest entry of ${chain.source} with ${txoUri}: it does not mark ${commit}`);
+  }
+  const uris = [...chain.entries.slice(0, -1).map(entry => entry.uri), txoUri];
+
+  if (chain.storage === 'notes') {
+    const own = chain.noteCommit === commit ? readChainNote(commit, cwd) : null;
+    const note = own ? { ...own, entries: [...own.entries.slice(0, -1), txoUri] } : { previous: null, entries: uris };
+    writeChainNote(commit, note, cwd);
+  } else {
+    writeTxoFile(uris, chain.file, cwd);
+  }
+  return true;
+}
+
+/**
+ * Write the chain of a repository to a txo.json file
+ *
+ * With notes storage this is how txo.json is generated, e.g. for publishing
+ * under .well-known.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string} [options.file] - Output path (default: .well-known/txo/txo.json)
+ * @returns {{file: string, entries: number, source: string}}
+ */
+export function exportChain({ cwd = process.cwd(), file } = {}) {
+  const chain = readChain({ cwd });
+  const output = file ? path.resolve(cwd, file) : chain.file;
+  writeTxoFile(chain.entries.map(entry => entry.uri), output, cwd);
+  return { file: output, entries: chain.entries.length, source: chain.source };
+}
@@ -0,0 +1,114 @@
+/**
+ * Offline verification of a TXO chain
+ *
+ * Every mark moves the funds to the root key tweaked by the sum of all commit
+ * hashes marked so far. mark.js does this on private keys; here the same sum is
+ * applied to the root public key (P + s*G), so the whole chain can be audited
+ * from txo.json and the local git history without any private key.
+ */
+
+import { Point } from '@noble/secp256k1';
+import { parseTxoEntry } from './txo.js';
+import { commitExists, isAncestor } from './git.js';
+import { deriveMarkPublicKey } from './keys.js';
+
+function tryDerive(basePub, commits) {
+  try {
+    return deriveMarkPublicKey(basePub, commits);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verify a TXO chain against its root public key and the local git history
+ *
+ * Checks, in order, that each entry parses, that each marked commit exists, is
+ * in the history of HEAD and descends from the previous marked commit, and
+ * that each entry's pubkey equals the root key tweaked by the cumulative
+ * commit sum. Stops at the first mismatch.
+ *
+ * @param {string[]} txoData - Array of TXO URIs (contents of txo.json)
+ * @param {Object} [options]
+ * @param {boolean} [options.checkGit=true] - Check commits against local git history
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @returns {{valid: boolean, checked: number, rootPubkey: string|null, scheme: 'taproot'|'legacy'|null,
+ *   error: {index: number, entry: string, reason: string}|null}}
+ */
+export function verifyChain(txoData, options = {}) {
+  const { checkGit = true, cwd } = options;
+  const result = { valid: false, checked: 0, rootPubkey: null, scheme: null, error: null };
+
+  const fail = (index, reason) => {
+    result.error = { index, entry: txoData[index], reason };
+    return result;
+  };
+
+  if (!Array.isArray(txoData) || txoData.length === 0) {
+    result.error = { index: 0, entry: null, reason: 'TXO chain is empty' };
+    return result;
+  }
+
+  let candidates = null;
+  const commits = [];
+  let previousCommit = null;
+
+  for (let i = 0; i < txoData.length; i++) {
+    let entry;
+    try {
+      entry = parseTxoEntry(txoData[i]);
+    } catch (error) {
+      return fail(i, error.message);
+    }
+
+    if (!entry.pubkey || !/^[0-9a-f]{64}$/.test(entry.pubkey)) {
+      return fail(i, 'missing or malformed pubkey parameter');
+    }
+
+    if (i === 0) {
+      try {
+        Point.fromHex(`02${entry.pubkey}`);
+      } catch {
+        return fail(i, `root pubkey ${entry.pubkey} is not a valid x-only public key`);
+      }
+      // Taproot-scheme chains use the even-Y root; legacy chains may use odd Y
+      candidates = [entry.pubkey, `03${entry.pubkey}`];
+      result.rootPubkey = entry.pubkey;
+      result.checked++;
+      continue;
+    }
+
+    if (!entry.commit || !/^([0-9a-f]{40}|[0-9a-f]{64})$/.test(entry.commit)) {
+      return fail(i, 'missing or malformed commit parameter');
+    }
+
+    if (checkGit) {
+      if (!commitExists(entry.commit, cwd)) {
+        return fail(i, `commit ${entry.commit} not found in local repository`);
+      }
+      if (!isAncestor(entry.commit, 'HEAD', cwd)) {
+        return fail(i, `commit ${entry.commit} is not in the history of HEAD`);
+      }
+      if (previousCommit && (previousCommit === entry.commit || !isAncestor(previousCommit, entry.commit, cwd))) {
+        return fail(i, `commit ${entry.commit} does not descend from previous marked commit ${previousCommit}`);
+      }
+    }
+    previousCommit = entry.commit;
+    commits.push(entry.commit);
+
+    // The root key is x-only, so its Y parity is unknown until the first
+    // tweaked key pins it down; after that only one candidate survives.
+    const matching = candidates.filter(basePub => tryDerive(basePub, commits) === entry.pubkey);
+    if (matching.length === 0) {
+      const expected = candidates.map(basePub => tryDerive(basePub, commits)).filter(Boolean);
+      return fail(i, `pubkey ${entry.pubkey} does not match expected ${expected.join(' or ')}`);
+    }
+    candidates = matching;
+    result.checked++;
+  }
+
+  // Only an odd-Y root that survived the checks is distinguishable as legacy
+  result.scheme = candidates.length === 1 && candidates[0].length === 66 ? 'legacy' : 'taproot';
+  result.valid = true;
+  return result;
+}
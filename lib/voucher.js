@@ -5,60 +5,187 @@
  * Example: txo:tbtc4:abc123...def:0?amount=1000000&key=0123...cdef
  *
  * Also supports long form: urn:voucher:txo:...
+ *
+ * Query parameters, written in this order by createVoucher():
+ *   amount  - satoshis held by the outpoint in the path (required)
+ *   key     - private key as hex or nsec (required unless pubkey is given)
+ *   pubkey  - x-only public key instead of key, for a watch-only voucher
+ *   utxo    - further outpoints held by the same key, as <txid>:<vout>:<satoshis>; repeatable
+ *   label   - short name
+ *   memo    - free text
+ *   expiry  - unix time (seconds) after which the voucher should not be spent
+ *
+ * Values are percent-encoded. Parsing is strict: unknown or repeated
+ * parameters, malformed numbers and unknown chains are rejected, so
+ * createVoucher(parseVoucher(uri)) returns uri for any voucher written by
+ * createVoucher().
  */
 
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getPublicKey, parsePrivateKey, parsePublicKey, isValidPrivateKey, isValidPublicKey, toNsec, toTaprootAddress } from './keys.js';
+import { NETWORKS, getNetworkInfo } from './networks.js';
+import { VoucherError } from './errors.js';
+
+const URN_PREFIX = 'urn:voucher:';
+const PARAMS = ['amount', 'key', 'pubkey', 'utxo', 'label', 'memo', 'expiry'];
+
+function parseUint(value, name, { max = Number.MAX_SAFE_INTEGER } = {}) {
+  if (!/^(0|[1-9][0-9]*)$/.test(value) || Number(value) > max) {
+    throw new VoucherError(`Invalid voucher: ${name} must be a non-negative integer, got "${value}"`);
+  }
+  return Number(value);
+}
+
+function parseTxid(value, where) {
+  if (!/^[0-9a-f]{64}$/.test(value)) {
+    throw new VoucherError(`Invalid voucher: ${where} txid must be 64 lowercase hex characters, got "${value}"`);
+  }
+  return value;
+}
+
+function parseAmount(value, where) {
+  const amount = parseUint(value, `${where} amount`);
+  if (amount === 0) throw new VoucherError(`Invalid voucher: ${where} amount must be positive`);
+  return amount;
+}
+
+function parseQuery(query) {
+  const params = {};
+  if (!query) return params;
+  for (const pair of query.split('&')) {
+    const eq = pair.indexOf('=');
+    if (eq < 1) throw new VoucherError(`Invalid voucher: malformed parameter "${pair}"`);
+    const name = pair.slice(0, eq);
+    if (!PARAMS.includes(name)) throw new VoucherError(`Invalid voucher: unknown parameter "${name}"`);
+    let value;
+    try {
+      value = decodeURIComponent(pair.slice(eq + 1));
+    } catch {
+      throw new VoucherError(`Invalid voucher: bad percent-encoding in ${name}`);
+    }
+    if (name === 'utxo') {
+      (params.utxo ||= []).push(value);
+    } else if (name in params) {
+      throw new VoucherError(`Invalid voucher: repeated parameter "${name}"`);
+    } else {
+      params[name] = value;
+    }
+  }
+  return params;
+}
 
 /**
  * Parse a TXO voucher URI
  * @param {string} uri - Voucher URI
- * @returns {Object} Parsed voucher data
+ * @returns {{chain: string, txid: string, vout: number, amount: number, privateKey: string|null,
+ *   pubkey: string, keyFormat: 'hex'|'nsec'|null, watchOnly: boolean,
+ *   utxos: Array<{txid: string, vout: number, amount: number}>, total: number,
+ *   label: string|null, memo: string|null, expiry: number|null, urn: boolean}}
+ *   txid/vout/amount describe the outpoint in the path, utxos lists it first followed by any utxo
+ *   parameters and total is their sum; privateKey is hex, null for a watch-only voucher;
+ *   pubkey is always set, derived from the key unless the voucher is watch-only
+ * @throws {VoucherError} naming the first problem found
  */
 export function parseVoucher(uri) {
+  if (typeof uri !== 'string') throw new VoucherError('Invalid voucher: expected a string');
+
   // Support both urn:voucher:txo: and txo: prefixes
-  let normalized = uri;
-  if (uri.startsWith('urn:voucher:txo:')) {
-    normalized = uri.slice('urn:voucher:'.length);
-  }
+  const urn = uri.startsWith(`${URN_PREFIX}txo:`);
+  const normalized = urn ? uri.slice(URN_PREFIX.length) : uri;
 
   if (!normalized.startsWith('txo:')) {
-    throw new Error('Invalid voucher format: must start with txo: or urn:voucher:txo:');
+    throw new VoucherError('Invalid voucher format: must start with txo: or urn:voucher:txo:');
   }
 
-  // Split into path and query
-  const [path, query] = normalized.split('?');
+  const qmark = normalized.indexOf('?');
+  const path = qmark === -1 ? normalized : normalized.slice(0, qmark);
   const parts = path.split(':');
+  if (parts.length !== 4) {
+    throw new VoucherError('Invalid voucher format: expected txo:<chain>:<txid>:<vout>');
+  }
 
-  if (parts.length < 4) {
-    throw new Error('Invalid voucher format: expected txo:<chain>:<txid>:<vout>');
+  const [, chain, txidStr, voutStr] = parts;
+  if (!Object.hasOwn(NETWORKS, chain)) {
+    throw new VoucherError(`Invalid voucher: unknown chain "${chain}". Supported: ${Object.keys(NETWORKS).join(', ')}`);
   }
+  const txid = parseTxid(txidStr, 'outpoint');
+  const vout = parseUint(voutStr, 'vout', { max: 0xffffffff });
 
-  const [, chain, txid, voutStr] = parts;
-  const vout = parseInt(voutStr, 10);
+  const params = parseQuery(qmark === -1 ? '' : normalized.slice(qmark + 1));
 
-  // Parse query parameters
-  const params = {};
-  if (query) {
-    for (const pair of query.split('&')) {
-      const [key, value] = pair.split('=');
-      params[key] = decodeURIComponent(value);
+  if (params.amount === undefined) {
+    throw new VoucherError('Invalid voucher: missing amount parameter');
+  }
+  const amount = parseAmount(params.amount, 'outpoint');
+
+  if (params.key === undefined && params.pubkey === undefined) {
+    throw new VoucherError('Invalid voucher: missing key parameter');
+  }
+  if (params.key !== undefined && params.pubkey !== undefined) {
+    throw new VoucherError('Invalid voucher: key and pubkey are exclusive; pubkey is only for watch-only vouchers');
+  }
+
+  let privateKey = null;
+  let keyFormat = null;
+  if (params.key !== undefined) {
+    try {
+      privateKey = parsePrivateKey(params.key);
+    } catch (error) {
+      throw new VoucherError(`Invalid voucher key: ${error.message}`, { cause: error });
+    }
+    const isNsec = /^nsec1/.test(params.key);
+    if (!isValidPrivateKey(privateKey) || (!isNsec && privateKey !== params.key)) {
+      throw new VoucherError('Invalid voucher key: expected 64 lowercase hex characters or an nsec');
     }
+    keyFormat = isNsec ? 'nsec' : 'hex';
   }
 
-  if (!params.key) {
-    throw new Error('Invalid voucher: missing key parameter');
+  let pubkey = null;
+  if (params.pubkey !== undefined) {
+    try {
+      pubkey = parsePublicKey(params.pubkey);
+    } catch (error) {
+      throw new VoucherError(`Invalid voucher pubkey: ${error.message}`, { cause: error });
+    }
+    if (!isValidPublicKey(pubkey) || pubkey !== params.pubkey) {
+      throw new VoucherError('Invalid voucher pubkey: expected 64 lowercase hex characters');
+    }
   }
 
-  if (!params.amount) {
-    throw new Error('Invalid voucher: missing amount parameter');
+  const utxos = [{ txid, vout, amount }];
+  for (const value of params.utxo || []) {
+    const fields = value.split(':');
+    if (fields.length !== 3) {
+      throw new VoucherError(`Invalid voucher: utxo must be <txid>:<vout>:<amount>, got "${value}"`);
+    }
+    const utxo = {
+      txid: parseTxid(fields[0], 'utxo'),
+      vout: parseUint(fields[1], 'utxo vout', { max: 0xffffffff }),
+      amount: parseAmount(fields[2], 'utxo'),
+    };
+    if (utxos.some(other => other.txid === utxo.txid && other.vout === utxo.vout)) {
+      throw new VoucherError(`Invalid voucher: outpoint ${utxo.txid}:${utxo.vout} is listed twice`);
+    }
+    utxos.push(utxo);
   }
 
   return {
     chain,
     txid,
     vout,
-    privateKey: params.key,
-    amount: parseInt(params.amount, 10),
+    amount,
+    privateKey,
+    pubkey: pubkey || getPublicKey(privateKey),
+    keyFormat,
+    watchOnly: !privateKey,
+    utxos,
+    total: utxos.reduce((sum, utxo) => sum + utxo.amount, 0),
+    label: params.label ?? null,
+    memo: params.memo ?? null,
+    expiry: params.expiry === undefined ? null : parseUint(params.expiry, 'expiry'),
+    urn,
   };
 }
 
@@ -66,16 +193,42 @@ export function parseVoucher(uri) {
  * Create a TXO voucher URI
  * @param {Object} options - Voucher options
  * @param {string} options.chain - Network chain (tbtc4, btc, etc.)
- * @param {string} options.txid - Transaction ID
- * @param {number} options.vout - Output index
- * @param {string} options.privateKey - Private key
- * @param {number} options.amount - Amount in satoshis
+ * @param {string} [options.txid] - Transaction ID (or utxos)
+ * @param {number} [options.vout] - Output index
+ * @param {number} [options.amount] - Amount in satoshis
+ * @param {Array<{txid: string, vout: number, amount: number}>} [options.utxos] - Outpoints held by the key;
+ *   the first goes in the path, the rest become utxo parameters
+ * @param {string} [options.privateKey] - Private key (hex)
+ * @param {'hex'|'nsec'} [options.keyFormat='hex'] - How to write the private key
+ * @param {string} [options.pubkey] - x-only public key, written only without privateKey (watch-only)
+ * @param {string} [options.label] - Short name
+ * @param {string} [options.memo] - Free text
+ * @param {number} [options.expiry] - Unix time (seconds)
+ * @param {boolean} [options.urn=false] - Use the urn:voucher: prefix
  * @returns {string} Voucher URI
+ * @throws {VoucherError} if the result would not parse
  */
 export function createVoucher(options) {
-  const { chain, txid, vout, privateKey, amount } = options;
+  const { chain, privateKey, keyFormat = 'hex', pubkey, label, memo, expiry, urn = false } = options;
+  const [first, ...rest] = options.utxos?.length
+    ? options.utxos
+    : [{ txid: options.txid, vout: options.vout, amount: options.amount }];
+
+  const params = [['amount', first.amount]];
+  if (privateKey) params.push(['key', keyFormat === 'nsec' ? toNsec(privateKey) : privateKey]);
+  else if (pubkey) params.push(['pubkey', pubkey]);
+  for (const utxo of rest) params.push(['utxo', `${utxo.txid}:${utxo.vout}:${utxo.amount}`]);
+  if (label != null) params.push(['label', label]);
+  if (memo != null) params.push(['memo', memo]);
+  if (expiry != null) params.push(['expiry', expiry]);
+
+  // ':' is left readable in utxo values; everything else reserved is escaped
+  const query = params.map(([name, value]) => `${name}=${encodeURIComponent(value).replace(/%3A/g, ':')}`).join('&');
+  const uri = `${urn ? URN_PREFIX : ''}txo:${chain}:${first.txid}:${first.vout}?${query}`;
 
-  return `txo:${chain}:${txid}:${vout}?amount=${amount}&key=${privateKey}`;
+  // Refuse to hand out a voucher that would not read back
+  parseVoucher(uri);
+  return uri;
 }
 
 /**
@@ -92,11 +245,83 @@ export function isValidVoucher(uri) {
   }
 }
 
+/**
+ * Check whether a parsed voucher has expired
+ * @param {{expiry: number|null}} voucher - Result of parseVoucher()
+ * @param {number} [now] - Unix time in seconds (default: current time)
+ * @returns {boolean}
+ */
+export function isVoucherExpired(voucher, now = Math.floor(Date.now() / 1000)) {
+  return voucher.expiry !== null && now >= voucher.expiry;
+}
+
+/**
+ * Refuse vouchers that cannot be spent
+ * @param {Object} voucher - Result of parseVoucher()
+ * @param {Object} [options]
+ * @param {boolean} [options.multiple=false] - Whether the caller can spend several outputs
+ * @throws {VoucherError} if the voucher is watch-only, expired or holds more outputs than allowed
+ */
+export function assertSpendableVoucher(voucher, { multiple = false } = {}) {
+  if (voucher.watchOnly) throw new VoucherError('Voucher is watch-only (pubkey, no key) and cannot be spent');
+  if (isVoucherExpired(voucher)) {
+    throw new VoucherError(`Voucher expired at ${new Date(voucher.expiry * 1000).toISOString()}`);
+  }
+  if (voucher.utxos.length > 1 && !multiple) {
+    throw new VoucherError(`Voucher holds ${voucher.utxos.length} outputs; only single-output vouchers can be spent here`);
+  }
+}
+
+/**
+ * Summarize a parsed voucher for display, without the private key
+ * @param {Object} voucher - Result of parseVoucher()
+ * @returns {{chain: string, network: string, pubkey: string, address: string, watchOnly: boolean,
+ *   keyFormat: string|null, utxos: Array<{txid: string, vout: number, amount: number}>, total: number,
+ *   label: string|null, memo: string|null, expiry: number|null, expires: string|null, expired: boolean}}
+ */
+export function describeVoucher(voucher) {
+  const { name } = getNetworkInfo(voucher.chain);
+  return {
+    chain: voucher.chain,
+    network: name,
+    pubkey: voucher.pubkey,
+    address: toTaprootAddress(voucher.pubkey, voucher.chain),
+    watchOnly: voucher.watchOnly,
+    keyFormat: voucher.keyFormat,
+    utxos: voucher.utxos,
+    total: voucher.total,
+    label: voucher.label,
+    memo: voucher.memo,
+    expiry: voucher.expiry,
+    expires: voucher.expiry === null ? null : new Date(voucher.expiry * 1000).toISOString(),
+    expired: isVoucherExpired(voucher),
+  };
+}
+
+/**
+ * Read a voucher given as a URI or a file path
+ * @param {string} arg - Voucher URI or path to a voucher file
+ * @returns {{uri: string, file: string|null}}
+ * @throws {VoucherError} if arg is neither a URI nor a readable file
+ */
+export function resolveVoucher(arg) {
+  if (arg?.startsWith('txo:') || arg?.startsWith(URN_PREFIX)) return { uri: arg, file: null };
+  const uri = arg ? loadVoucher(arg) : null;
+  if (!uri) throw new VoucherError(`Invalid voucher: ${arg} is not a txo: URI or a readable voucher file`);
+  return { uri, file: arg };
+}
+
 /**
  * Default voucher file path
  */
 export const VOUCHER_FILE = '.voucher';
 
+/**
+ * Default directory for vouchers created by split, merge and mint: outside
+ * any repository, so `git mark` never commits their keys
+ */
+export const VOUCHER_DIR = path.join(os.homedir(), '.gitmark', 'vouchers');
+
 /**
  * Load voucher from file
  * @param {string} [filePath] - Path to voucher file (default: .voucher)
@@ -119,6 +344,26 @@ export function saveVoucher(uri, filePath = VOUCHER_FILE) {
   fs.writeFileSync(filePath, uri + '\n');
 }
 
+/**
+ * Set aside a voucher file whose outputs have been spent
+ *
+ * The file is renamed to <file>.spent so it is not offered again; the key
+ * stays on disk in case the spending transaction is dropped.
+ *
+ * @param {string} filePath - Path to the voucher file
+ * @returns {string|null} New path, or null if the file is already gone
+ */
+export function retireVoucher(filePath) {
+  const spentPath = `${filePath}.spent`;
+  try {
+    fs.renameSync(filePath, spentPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  return spentPath;
+}
+
 /**
  * Default testnet4 faucet voucher
  * This is an INSECURE voucher for testing - anyone can spend it!
@@ -0,0 +1,475 @@
+/**
+ * Voucher transactions: split, merge and mint
+ *
+ *   payFromVoucher() - pay one key from a voucher, change back (git mark-init, the faucet)
+ *   splitVoucher()  - spend one voucher into N fresh keyed outputs, one voucher each
+ *   mergeVouchers() - consolidate several vouchers into one output and voucher
+ *   mintVoucher()   - sweep the mark chain output into a new voucher
+ *   consolidateUtxos() - merge outputs held by one key into one (git mark-init --from-chain)
+ *
+ * Every new voucher gets a freshly generated key, and the new vouchers are
+ * written out before the transaction is broadcast so the keys cannot be lost
+ * with the funds already sent. They go to ~/.gitmark/vouchers unless another
+ * place is given, and never into a git work tree without force, where the
+ * next `git mark` would commit them. Like init(), nothing here prints or
+ * exits; failures are thrown as GitmarkError subclasses.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { generateKeypair, getPublicKey, parsePrivateKey, isValidPrivateKey, deriveMarkPrivateKey, detectDerivationScheme } from './keys.js';
+import { parseVoucher, createVoucher, resolveVoucher, saveVoucher, retireVoucher, assertSpendableVoucher, INIT_AMOUNT, VOUCHER_DIR } from './voucher.js';
+import { git } from './git.js';
+import { readChain } from './txo.js';
+import { getPrivateKey } from './config.js';
+import { resolveBackend } from './backend.js';
+import { resolveFeeRate, resolveMaxFee, buildWithFeeRate, assertAboveDust, isRbfEnabled, RBF_SEQUENCE } from './fee.js';
+import { getNetworkInfo } from './networks.js';
+import { loadPending } from './pending.js';
+import { loadJournal } from './journal.js';
+import { GitmarkError, ConfigError, ChainError, PendingError, VoucherError, BuildError, BroadcastError } from './errors.js';
+
+/**
+ * Build, sign and broadcast a transaction spending inputs
+ *
+ * @param {Object} options
+ * @param {Array<{txid: string, vout: number, amount: number, privateKey: string}>} options.inputs
+ * @param {(fee: number) => Array<{pubkey: string, amount: number}>} options.outputs - Outputs paying the given fee
+ * @param {string} options.network - Network identifier
+ * @param {string} [options.cwd] - Repository whose config is read
+ * @param {(built: {txid: string, fee: number}) => void} [options.beforeBroadcast] - Saves the new keys
+ * @returns {Promise<{txid: string, fee: number, vsize: number, outputs: Array<{pubkey: string, amount: number}>, backend: string}>}
+ */
+async function sendSpend({ inputs, outputs, network, cwd, backend: backendOption, feeRate, maxFee, beforeBroadcast, log = () => {} }) {
+  const { dustLimit } = getNetworkInfo(network);
+  const backend = resolveBackend(backendOption, network, cwd);
+  const { rate, source } = await resolveFeeRate({ feeRate, backend, network, cwd, log });
+  const maxFeeSats = resolveMaxFee(maxFee, cwd);
+  // Same replace-by-fee signalling as mark transactions (gitmark.rbf)
+  const sequence = isRbfEnabled(cwd) ? RBF_SEQUENCE : 0xffffffff;
+
+  log(`Building transaction (${inputs.length} input${inputs.length === 1 ? '' : 's'}, ${rate} sat/vB from ${source})...`);
+  let built;
+  try {
+    const { buildTx } = await import('btctx');
+    built = await buildWithFeeRate({
+      feeRate: rate,
+      maxFee: maxFeeSats,
+      dustLimit,
+      build: fee => {
+        const outs = outputs(fee);
+        for (const output of outs) assertAboveDust(output.amount, dustLimit);
+        if (inputs.length === 1) {
+          const [input] = inputs;
+          return buildTx({
+            privateKey: input.privateKey,
+            publicKey: getPublicKey(input.privateKey),
+            txid: input.txid,
+            vout: input.vout,
+            inputAmount: input.amount,
+            outputs: outs,
+            sequence,
+          });
+        }
+        // Several inputs, each signed with its own key
+        return buildTx({
+          inputs: inputs.map(input => ({
+            privateKey: input.privateKey,
+            publicKey: getPublicKey(input.privateKey),
+            txid: input.txid,
+            vout: input.vout,
+            amount: input.amount,
+            sequence,
+          })),
+          outputs: outs,
+        });
+      },
+    });
+  } catch (error) {
+    if (error instanceof GitmarkError) throw error;
+    throw new BuildError(`Failed to build transaction: ${error.message}`, { cause: error });
+  }
+
+  beforeBroadcast?.({ txid: built.txid, fee: built.fee });
+
+  log(`Broadcasting transaction (${backend.name})...`);
+  let txid;
+  try {
+    txid = await backend.broadcast(built.hex);
+  } catch (error) {
+    const written = beforeBroadcast ? `. The new vouchers are already saved: keep them until you know whether ${built.txid} was sent.` : '';
+    throw new BroadcastError(`Broadcast via ${backend.name} backend failed: ${error.message}${written}`, {
+      cause: error,
+      details: { txid: built.txid, hex: built.hex },
+    });
+  }
+  if (txid !== built.txid) {
+    throw new BroadcastError(`Backend returned txid ${txid}, expected ${built.txid}`);
+  }
+
+  return { txid, fee: built.fee, vsize: built.vsize, outputs: outputs(built.fee), backend: backend.name };
+}
+
+/**
+ * Create the directory new voucher files go to, refusing a git work tree
+ * @param {string} dir - Directory for the voucher files
+ * @param {boolean} force - Allow a directory inside a work tree
+ * @throws {ConfigError} if dir is inside a git work tree and force is not set
+ */
+function prepareVoucherDir(dir, force) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  if (force) return;
+  let inside = false;
+  try {
+    inside = git(['rev-parse', '--is-inside-work-tree'], { cwd: dir }) === 'true';
+  } catch {
+    // Not in a repository
+  }
+  if (inside) {
+    throw new ConfigError(`${dir} is inside a git work tree, where git mark would commit the voucher keys. Choose another directory or pass --force.`);
+  }
+}
+
+/**
+ * Parse a voucher argument and check it can be spent
+ * @returns {{voucher: Object, uri: string, file: string|null}}
+ */
+function loadSpendable(arg) {
+  const { uri, file } = resolveVoucher(arg);
+  const voucher = parseVoucher(uri);
+  assertSpendableVoucher(voucher, { multiple: true });
+  return { voucher, uri, file };
+}
+
+function voucherInputs(voucher) {
+  return voucher.utxos.map(utxo => ({ ...utxo, privateKey: voucher.privateKey }));
+}
+
+/**
+ * Pay a key from a single-output voucher, change back to the voucher's key
+ *
+ * This is the funding transaction of git mark-init: output 0 pays the key,
+ * output 1 (if above the dust limit) is the change. A voucher too small for
+ * amount plus fee pays whatever is left after the fee.
+ *
+ * @param {Object} options
+ * @param {Object} options.voucher - Parsed voucher (parseVoucher())
+ * @param {string} options.publicKey - x-only public key to pay
+ * @param {number} [options.amount=INIT_AMOUNT] - Satoshis to pay
+ * @param {string} [options.voucherFile] - Voucher file, updated with the change voucher, or renamed to
+ *   <file>.spent when the voucher is used up so it is never offered again
+ * @param {string} [options.cwd] - Repository whose config is read (default: current directory)
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @param {number|string} [options.feeRate] - Fee rate in sat/vB
+ * @param {number|string} [options.maxFee] - Maximum absolute fee in sats
+ * @param {(message: string) => void} [options.log] - Progress messages
+ * @returns {Promise<{txid: string, amount: number, changeAmount: number, fee: number,
+ *   changeVoucher: string|null, voucherFileUpdated: boolean, voucherFileSpent: string|null}>}
+ *   changeVoucher is null when the voucher is used up; voucherFileSpent is where the file was moved then
+ * @throws {GitmarkError}
+ */
+export async function payFromVoucher(options) {
+  const { voucher, publicKey, amount = INIT_AMOUNT, voucherFile, cwd = process.cwd() } = options;
+  assertSpendableVoucher(voucher);
+  const { dustLimit } = getNetworkInfo(voucher.chain);
+
+  // Change below the dust limit is left to the fee
+  const planFor = fee => {
+    const userAmount = Math.min(amount, voucher.amount - fee);
+    const changeAmount = voucher.amount - userAmount - fee;
+    return { userAmount, changeAmount: changeAmount >= dustLimit ? changeAmount : 0 };
+  };
+
+  const sent = await sendSpend({
+    ...options,
+    cwd,
+    network: voucher.chain,
+    inputs: voucherInputs(voucher),
+    outputs: fee => {
+      const { userAmount, changeAmount } = planFor(fee);
+      const outs = [{ pubkey: publicKey, amount: userAmount }];
+      if (changeAmount > 0) outs.push({ pubkey: voucher.pubkey, amount: changeAmount });
+      return outs;
+    },
+  });
+  const { userAmount, changeAmount } = planFor(sent.fee);
+
+  // Label, memo and expiry carry over to the change voucher
+  const changeVoucher = changeAmount > 0
+    ? createVoucher({ ...voucher, utxos: [{ txid: sent.txid, vout: 1, amount: changeAmount }] })
+    : null;
+  if (changeVoucher && voucherFile) saveVoucher(changeVoucher, voucherFile);
+  const voucherFileSpent = !changeVoucher && voucherFile ? retireVoucher(voucherFile) : null;
+
+  return {
+    txid: sent.txid,
+    amount: userAmount,
+    changeAmount,
+    fee: voucher.amount - userAmount - changeAmount,
+    changeVoucher,
+    voucherFileUpdated: Boolean(changeVoucher && voucherFile),
+    voucherFileSpent,
+  };
+}
+
+/**
+ * Spend a voucher into count fresh vouchers of amount sats each
+ *
+ * Change above the dust limit goes back to the voucher's key; if the voucher
+ * was read from a file, the file is updated to the change voucher, or moved
+ * to <file>.spent when there is no change.
+ *
+ * @param {Object} options
+ * @param {string} options.voucher - Voucher URI or file
+ * @param {number|string} options.count - Number of vouchers to create
+ * @param {number|string} options.amount - Satoshis per voucher
+ * @param {string} [options.outDir=VOUCHER_DIR] - Directory for the new voucher files
+ * @param {boolean} [options.force=false] - Allow outDir inside a git work tree
+ * @param {string} [options.label] - Label for the new vouchers (numbered "label 1/N", ...)
+ * @param {string} [options.cwd] - Repository whose config is read (default: current directory)
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @param {number|string} [options.feeRate] - Fee rate in sat/vB
+ * @param {number|string} [options.maxFee] - Maximum absolute fee in sats
+ * @param {(message: string) => void} [options.log] - Progress messages
+ * @returns {Promise<{txid: string, fee: number, vouchers: Array<{uri: string, file: string, amount: number}>,
+ *   change: number, changeVoucher: string|null, voucherFileUpdated: boolean, voucherFileSpent: string|null}>}
+ *   voucherFileSpent is where a used-up voucher file was moved
+ * @throws {GitmarkError}
+ */
+export async function splitVoucher(options) {
+  const { cwd = process.cwd(), outDir = VOUCHER_DIR, force = false, label, log = () => {} } = options;
+  const count = Number(options.count);
+  const amount = Number(options.amount);
+  if (!Number.isInteger(count) || count < 1) throw new ConfigError(`Invalid count: ${options.count}. Expected a positive integer.`);
+  if (!Number.isInteger(amount) || amount < 1) throw new ConfigError(`Invalid amount: ${options.amount}. Expected satoshis.`);
+
+  const { voucher, file } = loadSpendable(options.voucher);
+  const { dustLimit } = getNetworkInfo(voucher.chain);
+  if (amount < dustLimit) throw new ConfigError(`Amount ${amount} is below the dust limit (${dustLimit} sats)`);
+  if (count * amount > voucher.total) {
+    throw new VoucherError(`Voucher holds ${voucher.total} sats, not enough for ${count} x ${amount} sats`);
+  }
+
+  // Fail on the output directory before anything is spent
+  prepareVoucherDir(outDir, force);
+  const keys = Array.from({ length: count }, () => generateKeypair());
+
+  // Change below the dust limit is left to the fee
+  const changeFor = fee => {
+    const change = voucher.total - count * amount - fee;
+    return change >= dustLimit ? change : 0;
+  };
+  let vouchers;
+  let changeVoucher = null;
+  const sent = await sendSpend({
+    ...options,
+    cwd,
+    network: voucher.chain,
+    inputs: voucherInputs(voucher),
+    outputs: fee => {
+      if (voucher.total - count * amount - fee < 0) {
+        throw new VoucherError(`Voucher holds ${voucher.total} sats, not enough for ${count} x ${amount} sats plus a ${fee} sat fee`);
+      }
+      const outs = keys.map(({ publicKey }) => ({ pubkey: publicKey, amount }));
+      const change = changeFor(fee);
+      if (change) outs.push({ pubkey: voucher.pubkey, amount: change });
+      return outs;
+    },
+    beforeBroadcast: ({ txid, fee }) => {
+      vouchers = keys.map(({ privateKey }, vout) => {
+        const uri = createVoucher({
+          chain: voucher.chain,
+          txid,
+          vout,
+          amount,
+          privateKey,
+          label: label ? `${label} ${vout + 1}/${count}` : undefined,
+        });
+        const voucherFile = path.join(outDir, `voucher-${txid.slice(0, 8)}-${vout + 1}.txt`);
+        saveVoucher(uri, voucherFile);
+        return { uri, file: voucherFile, amount };
+      });
+      const change = changeFor(fee);
+      if (change) changeVoucher = createVoucher({ ...voucher, utxos: [{ txid, vout: count, amount: change }] });
+    },
+  });
+
+  // The old voucher is only replaced or retired once its outpoint is really spent
+  if (changeVoucher && file) saveVoucher(changeVoucher, file);
+  const voucherFileSpent = !changeVoucher && file ? retireVoucher(file) : null;
+
+  return {
+    txid: sent.txid,
+    fee: sent.fee,
+    vouchers,
+    change: changeFor(sent.fee),
+    changeVoucher,
+    voucherFileUpdated: Boolean(changeVoucher && file),
+    voucherFileSpent,
+  };
+}
+
+/**
+ * Consolidate several vouchers into one fresh voucher
+ *
+ * @param {Object} options
+ * @param {string[]} options.vouchers - Voucher URIs or files, all on the same chain
+ * @param {string} [options.out] - File to write the new voucher to (default: voucher-<txid>.txt in VOUCHER_DIR)
+ * @param {boolean} [options.force=false] - Allow out inside a git work tree
+ * @param {string} [options.label] - Label for the new voucher
+ * @param {string} [options.cwd] - Repository whose config is read (default: current directory)
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @param {number|string} [options.feeRate] - Fee rate in sat/vB
+ * @param {number|string} [options.maxFee] - Maximum absolute fee in sats
+ * @param {(message: string) => void} [options.log] - Progress messages
+ * @returns {Promise<{txid: string, fee: number, amount: number, voucher: string, file: string, spent: string[]}>}
+ *   spent lists where the now empty voucher files were moved (<file>.spent)
+ * @throws {GitmarkError}
+ */
+export async function mergeVouchers(options) {
+  const { cwd = process.cwd(), out, force = false, label } = options;
+  if (!options.vouchers?.length) throw new ConfigError('No vouchers to merge');
+  prepareVoucherDir(out ? path.dirname(path.resolve(out)) : VOUCHER_DIR, force);
+
+  const loaded = options.vouchers.map(loadSpendable);
+  const chain = loaded[0].voucher.chain;
+  const inputs = [];
+  for (const [i, { voucher, file }] of loaded.entries()) {
+    if (voucher.chain !== chain) throw new VoucherError(`Cannot merge vouchers on ${chain} and ${voucher.chain}`);
+    for (const input of voucherInputs(voucher)) {
+      if (inputs.some(other => other.txid === input.txid && other.vout === input.vout)) {
+        // Name the voucher by file or position: the URI holds its private key
+        throw new VoucherError(`Outpoint ${input.txid}:${input.vout} appears in more than one voucher (${file || `voucher ${i + 1}`})`);
+      }
+      inputs.push(input);
+    }
+  }
+  const total = inputs.reduce((sum, input) => sum + input.amount, 0);
+
+  const { privateKey, publicKey } = generateKeypair();
+  let voucher;
+  let file;
+  const sent = await sendSpend({
+    ...options,
+    cwd,
+    network: chain,
+    inputs,
+    outputs: fee => [{ pubkey: publicKey, amount: total - fee }],
+    beforeBroadcast: ({ txid, fee }) => {
+      voucher = createVoucher({ chain, txid, vout: 0, amount: total - fee, privateKey, label });
+      file = out || path.join(VOUCHER_DIR, `voucher-${txid.slice(0, 8)}.txt`);
+      saveVoucher(voucher, file);
+    },
+  });
+  const amount = total - sent.fee;
+
+  return {
+    txid: sent.txid,
+    fee: sent.fee,
+    amount,
+    voucher,
+    file,
+    spent: loaded.map(({ file }) => file && retireVoucher(file)).filter(Boolean),
+  };
+}
+
+/**
+ * Sweep the mark chain output into a new voucher
+ *
+ * This spends the output the next mark would spend, so the chain cannot be
+ * extended afterwards; start a new one with git mark-init.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository directory (default: current directory)
+ * @param {string} [options.out] - File to write the new voucher to (default: voucher-<txid>.txt in VOUCHER_DIR)
+ * @param {boolean} [options.force=false] - Allow out inside a git work tree
+ * @param {string} [options.label] - Label for the new voucher
+ * @param {string} [options.privateKey] - Base private key, hex or nsec (default: nostr.privkey)
+ * @param {string} [options.passphrase] - Passphrase if nostr.privkey is encrypted
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @param {number|string} [options.feeRate] - Fee rate in sat/vB
+ * @param {number|string} [options.maxFee] - Maximum absolute fee in sats
+ * @param {(message: string) => void} [options.log] - Progress messages
+ * @returns {Promise<{txid: string, fee: number, amount: number, voucher: string, file: string, swept: string}>}
+ *   swept is the chain outpoint that was spent
+ * @throws {GitmarkError}
+ */
+export async function mintVoucher(options = {}) {
+  const { cwd = process.cwd(), out, force = false, label } = options;
+
+  if (loadPending(cwd) || loadJournal(cwd)) {
+    throw new PendingError('A mark is pending or was interrupted; run `git mark broadcast` or `git mark --resume` first');
+  }
+
+  const chain = readChain({ cwd });
+  const { latest } = chain;
+  if (!latest) throw new ChainError(`No TXO entries found in ${chain.source}`);
+
+  let base = options.privateKey || getPrivateKey(cwd, { passphrase: options.passphrase });
+  if (!base) throw new ConfigError('No private key configured (nostr.privkey). Run git mark-init first.');
+  try {
+    base = parsePrivateKey(base);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+  if (!isValidPrivateKey(base)) throw new ConfigError('Invalid private key format. Expected 64-character hex string or nsec.');
+
+  const scheme = latest.pubkey ? detectDerivationScheme(base, chain.commits, latest.pubkey) : 'taproot';
+  if (!scheme) throw new ChainError(`Last TXO pubkey ${latest.pubkey} is not derived from the configured private key`);
+  const chainKey = deriveMarkPrivateKey(base, chain.commits, { scheme });
+
+  prepareVoucherDir(out ? path.dirname(path.resolve(out)) : VOUCHER_DIR, force);
+  const { privateKey, publicKey } = generateKeypair();
+  let voucher;
+  let file;
+  const sent = await sendSpend({
+    ...options,
+    cwd,
+    network: latest.network,
+    inputs: [{ txid: latest.txid, vout: latest.vout, amount: latest.amount, privateKey: chainKey }],
+    outputs: fee => [{ pubkey: publicKey, amount: latest.amount - fee }],
+    beforeBroadcast: ({ txid, fee }) => {
+      voucher = createVoucher({ chain: latest.network, txid, vout: 0, amount: latest.amount - fee, privateKey, label });
+      file = out || path.join(VOUCHER_DIR, `voucher-${txid.slice(0, 8)}.txt`);
+      saveVoucher(voucher, file);
+    },
+  });
+  const amount = latest.amount - sent.fee;
+
+  return { txid: sent.txid, fee: sent.fee, amount, voucher, file, swept: `${latest.txid}:${latest.vout}` };
+}
+
+/**
+ * Spend several outputs held by one key into a single output back to it
+ *
+ * git mark-init --from-chain uses this when a manually funded key has more
+ * than one UTXO: the chain starts from one output, so they are merged first.
+ *
+ * @param {Object} options
+ * @param {string} options.privateKey - 64-char hex key holding the outputs
+ * @param {Array<{txid: string, vout: number, amount: number}>} options.utxos - Outputs to spend
+ * @param {string} options.network - Network identifier
+ * @param {string} [options.cwd] - Repository whose config is read (default: current directory)
+ * @param {import('./backend.js').ChainBackend|string} [options.backend] - Backend object or type
+ * @param {number|string} [options.feeRate] - Fee rate in sat/vB
+ * @param {number|string} [options.maxFee] - Maximum absolute fee in sats
+ * @param {(message: string) => void} [options.log] - Progress messages
+ * @returns {Promise<{txid: string, vout: number, amount: number, fee: number}>} The merged output
+ * @throws {GitmarkError}
+ */
+export async function consolidateUtxos(options) {
+  const { privateKey, utxos, network, cwd = process.cwd() } = options;
+  if (!utxos?.length) throw new ConfigError('No outputs to consolidate');
+  const publicKey = getPublicKey(privateKey);
+  const total = utxos.reduce((sum, utxo) => sum + utxo.amount, 0);
+
+  const sent = await sendSpend({
+    ...options,
+    cwd,
+    network,
+    inputs: utxos.map(({ txid, vout, amount }) => ({ txid, vout, amount, privateKey })),
+    outputs: fee => [{ pubkey: publicKey, amount: total - fee }],
+  });
+
+  return { txid: sent.txid, vout: 0, amount: total - sent.fee, fee: sent.fee };
+}
@@ -1,389 +1,726 @@
 #!/usr/bin/env node
 
-import { execSync, execFileSync } from 'child_process';
 import fs from 'fs';
-import path from 'path';
+import { parseArgs } from './lib/args.js';
+import { createLogger, levelFromOptions } from './lib/log.js';
+import { ChainError } from './lib/errors.js';
+import { mark, markRange, broadcastPending, repair, bump } from './lib/mark.js';
 
-// Check for --verbose or -v flag
-const VERBOSE = process.argv.includes('--verbose') || process.argv.includes('-v');
+const ARGS = parseArgs(process.argv.slice(2), ['--fee-rate', '--max-fee', '--commit', '--range', '--funding', '--count', '--amount', '--out', '--label', '--topup', '--deposits', '-m', '--message']);
 
-// Debug logging helper - only logs when VERBOSE is true
-function debug(...args) {
-  if (VERBOSE) debug('', ...args);
+// Results go to stdout (as one JSON object with --json); progress, --verbose
+// detail and --trace timings go to stderr
+const logger = createLogger({ level: levelFromOptions(ARGS.options), json: Boolean(ARGS.options['--json']) });
+
+// Messages from git hooks are prefixed so they stand out in git's output
+const hookLogger = createLogger({ level: logger.level, prefix: 'gitmark: ' });
+
+// --dry-run: no commit, no broadcast; --no-broadcast: commit and build, save tx for `git mark broadcast`
+const DRY_RUN = Boolean(ARGS.options['--dry-run']);
+const NO_BROADCAST = Boolean(ARGS.options['--no-broadcast']);
+
+// --resume: finish an interrupted mark instead of starting a new one
+const RESUME = Boolean(ARGS.options['--resume']);
+
+/**
+ * Print the deposits and top-up folded into a mark
+ * @param {Object} result - Result of mark()
+ */
+function printAbsorbed (result) {
+  if (!result.extraInputs.length) return;
+  const absorbed = result.extraInputs.reduce((sum, extra) => sum + extra.amount, 0);
+  logger.print(`Absorbed ${result.extraInputs.length} extra input${result.extraInputs.length === 1 ? '' : 's'} (${absorbed} sats)`);
+  if (result.topupSpentFile) logger.print(`Top-up voucher spent; moved ${result.topupFile} to ${result.topupSpentFile}`);
+  else if (result.topupFile) logger.print(`Top-up voucher ${result.topupFile} is spent once the transaction is broadcast`);
 }
 
-// txo_parser will be dynamically imported as it's an ES module
+/**
+ * Print the outcome of one mark
+ * @param {Object} result - Result of mark()
+ */
+function printMark (result) {
+  if (result.dryRun) {
+    if (result.preview) {
+      logger.print(`Commit message: ${result.message}`);
+      logger.print('Changes:');
+      for (const file of result.preview.files) logger.print(`  ${file}`);
+      logger.print(`Preview commit:  ${result.commit} (the real commit hash will differ)`);
+    } else {
+      logger.print(`Commit:          ${result.commit} ${result.message}`);
+    }
+    logger.print(`Network:         ${result.network}`);
+    logger.print(`Spending:        ${result.input.txid ? `${result.input.txid}:${result.input.vout}` : 'output of the previous mark'}`);
+    for (const extra of result.extraInputs) {
+      logger.print(`  + ${extra.source.padEnd(8)}      ${extra.txid}:${extra.vout} (${extra.amount} sats)`);
+    }
+    logger.print(`Signing pubkey:  ${result.signingPubkey}`);
+    logger.print(`Destination:     ${result.pubkey}${result.preview ? ' (for the preview commit)' : ''}`);
+    logger.print(`Address:         ${result.address}`);
+    logger.print(`Input amount:    ${result.inputAmount} sats`);
+    logger.print(`Fee:             ${result.fee} sats (${result.feeRate} sat/vB from ${result.feeRateSource}, ~${result.vsize} vB)`);
+    logger.print(`Output amount:   ${result.amount} sats`);
+  } else if (!result.broadcast) {
+    logger.print(`Transaction built but not broadcast: ${result.txid}`);
+    printAbsorbed(result);
+    logger.print(`Funds move to ${result.address}`);
+    logger.print(`Raw transaction saved to ${result.pendingFile}`);
+    logger.print(result.hex);
+    logger.print('Run `git mark broadcast` to send it and record the mark.');
+  } else {
+    logger.print(`Marked ${result.commit} in ${result.txid}`);
+    printAbsorbed(result);
+    logger.print(`Funds now at ${result.address}`);
+    logger.print(result.txoUri);
+  }
+}
 
 /**
- * Converts a Taproot private key (64-character hex string) to a public key (64-character hex string)
- *
- * @param {string} privateKey - 64-character hex string representing the private key
- * @returns {string} 64-character hex string representing the public key
- * @throws {Error} if the private key format is invalid
+ * The commit message: -m/--message, everything after `--`, or a first
+ * argument that is not a subcommand. Only the first two are safe for
+ * messages that might name a subcommand.
+ * @returns {string}
  */
-async function key2pub (privateKey) {
-  // Validate private key format
-  if (!/^[0-9a-fA-F]{64}$/.test(privateKey)) {
-    throw new Error(
-      'Invalid private key format. Expected 64-character hex string.'
-    )
+function commitMessage () {
+  const message = ARGS.options['-m'] ?? ARGS.options['--message'] ?? ARGS.rest?.join(' ');
+  if (message !== undefined && ARGS.positionals.length) {
+    throw new Error(`Unexpected argument ${ARGS.positionals[0]}: give the commit message once, with -m or after --`);
   }
+  return message || ARGS.positionals[0] || 'first';
+}
 
-  try {
-    // Get the public key using @noble/secp256k1
-    const { getPublicKey } = await import('@noble/secp256k1');
+async function main () {
+  const options = {
+    feeRate: ARGS.options['--fee-rate'],
+    maxFee: ARGS.options['--max-fee'],
+    dryRun: DRY_RUN,
+    noBroadcast: NO_BROADCAST,
+    // --deposits current|all|none: UTXOs at chain addresses to absorb; --topup <voucher>: spend a voucher in too
+    deposits: ARGS.options['--deposits'],
+    topup: ARGS.options['--topup'],
+    debug: logger.debug,
+    warn: logger.warn,
+    onTiming: logger.timing,
+  };
+
+  if (ARGS.options['--range']) {
+    // --range A..B: mark existing commits in order, no new commit
+    const result = await markRange({ ...options, range: ARGS.options['--range'] });
+    logger.result(result, ({ marks }) => {
+      if (DRY_RUN) logger.print('DRY RUN - nothing will be committed or broadcast');
+      marks.forEach((result, i) => {
+        if (marks.length > 1) logger.print(`${i ? '\n' : ''}[${i + 1}/${marks.length}]`);
+        printMark(result);
+      });
+    });
+    return;
+  }
 
-    // getPublicKey returns a 33-byte compressed key by default, we need to convert it to 32-byte x-only format
-    const compressedPubkey = getPublicKey(privateKey, true)
+  const result = await mark({
+    ...options,
+    // --commit <rev> marks an existing commit; otherwise the working tree is committed
+    commit: ARGS.options['--commit'],
+    message: commitMessage(),
+  });
+  logger.result(result, result => {
+    if (DRY_RUN) logger.print('DRY RUN - nothing will be committed or broadcast');
+    printMark(result);
+  });
+}
 
-    // Remove the first byte (0x02 or 0x03) to get the x coordinate only
-    const pubkeyX = compressedPubkey.slice(1)
+/**
+ * git mark verify - check every chain entry against the root pubkey and
+ * the local git history, using public data only
+ */
+async function verify () {
+  const { readChain } = await import('./lib/txo.js');
+  const { verifyChain } = await import('./lib/verify.js');
+
+  const chain = readChain();
+  const txoData = chain.entries.map(entry => entry.uri);
+  const result = verifyChain(txoData);
+
+  logger.result({ ...result, source: chain.source, entries: txoData.length }, () => {
+    if (result.rootPubkey) logger.print(`Root pubkey: ${result.rootPubkey}`);
+    if (result.valid) {
+      logger.print(`Verified ${result.checked} TXO entries in ${chain.source} (${result.scheme} derivation)`);
+      return;
+    }
+    const { index, reason, entry } = result.error;
+    logger.error(new ChainError([
+      `Verification FAILED at entry ${index}: ${reason}`,
+      ...(entry ? [`  ${entry}`] : []),
+      `${result.checked} of ${txoData.length} entries verified before the mismatch`,
+    ].join('\n')));
+  });
+  if (!result.valid) process.exitCode = 1;
+}
 
-    // Convert Uint8Array to hex string
-    return Array.from(pubkeyX, byte => byte.toString(16).padStart(2, '0')).join('')
-  } catch (error) {
-    throw new Error(
-      `Failed to convert private key to public key: ${error instanceof Error ? error.message : String(error)}`
-    )
+/**
+ * git mark mock fund <sats> | git mark mock mine [blocks] - manage the offline
+ * mock chain (gitmark.mockchain, default ~/.gitmark/mockchain.json)
+ */
+async function mock () {
+  const { createMockBackend } = await import('./lib/mockchain.js');
+  const { getSetting } = await import('./lib/config.js');
+  const file = getSetting('mockchain');
+  const network = getSetting('network');
+  const chain = createMockBackend({ file, network });
+  const [action, value] = ARGS.positionals.slice(1);
+
+  if (action === 'fund') {
+    const amount = parseInt(value, 10);
+    if (!(amount > 0)) throw new Error('Usage: git mark mock fund <sats>');
+    const { generateKeypair } = await import('./lib/keys.js');
+    const { createVoucher } = await import('./lib/voucher.js');
+    const { privateKey, publicKey } = generateKeypair();
+    const { txid, vout } = await chain.fund(publicKey, amount);
+    const voucher = createVoucher({ chain: network, txid, vout, privateKey, amount });
+    logger.result({ txid, vout, amount, voucher }, () => logger.print(voucher));
+  } else if (action === 'mine') {
+    const height = await chain.mine(value ? parseInt(value, 10) : 1);
+    logger.result({ height }, () => logger.print(`Mock chain tip height: ${height}`));
+  } else {
+    throw new Error('Usage: git mark mock fund <sats> | git mark mock mine [blocks]');
   }
 }
 
 /**
- * Add two or more hexadecimal values together
- * 
- * @param {...string} hexValues - Hexadecimal strings (with or without 0x prefix)
- * @returns {string} - Lowercase hexadecimal result (without 0x prefix)
+ * git mark broadcast - send the transaction saved by `git mark --no-broadcast`
+ * and record its TXO URI
+ */
+async function broadcast () {
+  const result = await broadcastPending();
+  logger.result(result ?? { txid: null }, () => {
+    if (!result) {
+      logger.print('No pending mark transaction.');
+      return;
+    }
+    logger.print(`Transaction broadcast: ${result.txid}`);
+    logger.print(`Added ${result.txoUri} to txo.json`);
+    if (result.topupSpentFile) logger.print(`Top-up voucher spent; moved to ${result.topupSpentFile}`);
+  });
+}
+
+/**
+ * git mark repair [--abort] / git mark --resume - finish or roll back a mark
+ * that was interrupted, using the journal in .git/gitmark/
+ */
+async function repairMark () {
+  const abort = Boolean(ARGS.options['--abort']);
+  const result = await repair({
+    abort,
+    feeRate: ARGS.options['--fee-rate'],
+    maxFee: ARGS.options['--max-fee'],
+    debug: logger.debug,
+    warn: logger.warn,
+    onTiming: logger.timing,
+  });
+  logger.result(result, printRepair);
+}
+
+/**
+ * Print the outcome of repair()
  */
-function addHex (...hexValues) {
-  if (hexValues.length === 0) {
-    return '0';
+function printRepair (result) {
+  if (result.action === 'none') {
+    logger.print('No interrupted mark to repair.');
+  } else if (result.action === 'rolled-back') {
+    if (!result.commit) {
+      logger.print('Interrupted mark never committed; nothing to roll back.');
+    } else if (result.uncommitted) {
+      logger.print(`Rolled back: commit ${result.commit} undone, its changes are still staged.`);
+    } else {
+      logger.print(`Discarded the interrupted mark of ${result.commit}; the commit was left in place.`);
+    }
+  } else if (result.action === 'pending') {
+    logger.print(`Transaction ${result.txid} for ${result.commit} is saved as pending.`);
+    logger.print('Run `git mark broadcast` to send it and record the mark.');
+  } else {
+    logger.print(`Resumed from ${result.phase}: ${result.rebroadcast ? 'broadcast' : 'recorded'} ${result.txid}`);
+    logger.print(result.txoUri);
   }
+}
 
-  let sum = 0n;
+/**
+ * git mark bump [--fee-rate N] [--rbf|--cpfp] - raise the fee of the latest
+ * mark while it is unconfirmed
+ */
+async function bumpMark () {
+  const method = ARGS.options['--cpfp'] ? 'cpfp' : ARGS.options['--rbf'] ? 'rbf' : 'auto';
+  const result = await bump({
+    method,
+    feeRate: ARGS.options['--fee-rate'],
+    maxFee: ARGS.options['--max-fee'],
+    debug: logger.debug,
+    warn: logger.warn,
+    onTiming: logger.timing,
+  });
+
+  logger.result(result, () => {
+    const how = result.method === 'rbf' ? 'Replaced (RBF)' : 'Child pays for parent (CPFP)';
+    logger.print(`${how}: ${result.oldTxid} -> ${result.txid}`);
+    logger.print(`Fee: ${result.oldFee} sats (${result.oldFeeRate.toFixed(2)} sat/vB) -> ${result.fee} sats (${result.feeRate.toFixed(2)} sat/vB${result.method === 'cpfp' ? ' for both' : ''})`);
+    logger.print(result.txoUri);
+  });
+}
 
-  for (const hex of hexValues) {
-    // Handle hex strings with or without 0x prefix
-    const cleanHex = hex.toLowerCase().startsWith('0x') ? hex.slice(2) : hex;
+/**
+ * git mark key show [--private] | encrypt | decrypt - display the configured
+ * key (hex and NIP-19) or migrate nostr.privkey between plaintext and an
+ * encrypted ncryptsec key
+ */
+async function manageKey () {
+  const { getStoredPrivateKey, getPrivateKey, encryptStoredKey, decryptStoredKey } = await import('./lib/config.js');
+  const { isEncryptedKey } = await import('./lib/keystore.js');
+  const { getPublicKey, toNpub, toNsec } = await import('./lib/keys.js');
+  const action = ARGS.positionals[1];
+  if (action === 'show') {
+    const stored = getStoredPrivateKey();
+    if (!stored) throw new Error('No private key configured (nostr.privkey). Run git mark-init first.');
+    const encrypted = isEncryptedKey(stored);
+    const privateKey = getPrivateKey();
+    logger.secret(privateKey);
+    const publicKey = getPublicKey(privateKey);
+    const result = {
+      publicKey,
+      npub: toNpub(publicKey),
+      stored: encrypted ? 'ncryptsec' : stored.toLowerCase().startsWith('nsec1') ? 'nsec' : 'hex',
+      ...(ARGS.options['--private'] && { privateKey, nsec: toNsec(privateKey) }),
+    };
+    logger.result(result, () => {
+      logger.print(`Public key:  ${publicKey}`);
+      logger.print(`npub:        ${result.npub}`);
+      logger.print(`Stored:      ${encrypted ? 'encrypted (ncryptsec)' : `plaintext ${result.stored}`}`);
+      if (result.privateKey) {
+        logger.print(`Private key: ${result.privateKey}`);
+        logger.print(`nsec:        ${result.nsec}`);
+      }
+    });
+  } else if (action === 'encrypt') {
+    const result = encryptStoredKey();
+    logger.result(result, ({ scope, changed }) => {
+      logger.print(changed ? `Private key in ${scope} git config is now encrypted.` : `Private key in ${scope} git config is already encrypted.`);
+    });
+  } else if (action === 'decrypt') {
+    const result = decryptStoredKey();
+    logger.result(result, ({ scope, changed }) => {
+      logger.print(changed ? `Private key in ${scope} git config is now stored in plaintext.` : `Private key in ${scope} git config is not encrypted.`);
+    });
+  } else {
+    throw new Error('Usage: git mark key show [--private] | encrypt | decrypt');
+  }
+}
 
-    // Convert to BigInt to handle large hex values
-    try {
-      sum += BigInt(`0x${cleanHex}`);
-    } catch (e) {
-      throw new Error(`Invalid hex value: ${hex}`);
+/**
+ * git mark config list [--json] | get <name> | set <name> <value> [--global]
+ * | unset <name> [--global] - show the effective settings and where each
+ * comes from, or change them in git config
+ */
+async function config () {
+  const { listSettings, resolveSetting, getSettingInfo, setSetting, unsetSetting } = await import('./lib/config.js');
+  const [action, name, value] = ARGS.positionals.slice(1);
+  const global = Boolean(ARGS.options['--global']);
+  const hide = setting => (setting.secret && setting.value !== null ? { ...setting, value: '(hidden; see git mark key show)' } : setting);
+
+  if (action === 'list' || !action) {
+    const settings = listSettings({ flags: ARGS.options }).map(hide);
+    logger.result(settings, () => {
+      const width = Math.max(...settings.map(setting => setting.name.length));
+      for (const setting of settings) {
+        const where = setting.source ? `  [${setting.source === 'default' ? 'default' : `${setting.source}: ${setting.origin}`}]` : '';
+        logger.print(`${setting.name.padEnd(width)}  ${setting.value ?? '(unset)'}${where}`);
+      }
+    });
+  } else if (action === 'get' && name) {
+    const info = getSettingInfo(name);
+    const setting = hide({ ...resolveSetting(name, { flag: ARGS.options[info.flag] }), secret: Boolean(info.secret) });
+    logger.result(setting, () => {
+      if (setting.value !== null) logger.print(ARGS.options['--show-origin'] ? `${setting.origin}\t${setting.value}` : setting.value);
+    });
+    if (setting.value === null) process.exitCode = 1;
+  } else if (action === 'set' && name && value !== undefined) {
+    if (getSettingInfo(name).name === 'network') {
+      const { getNetworkInfo } = await import('./lib/networks.js');
+      getNetworkInfo(value);
     }
+    const result = setSetting(name, value, { global });
+    logger.result(result, ({ key, scope }) => logger.print(`Set ${key} in ${scope} git config.`));
+  } else if (action === 'unset' && name) {
+    const result = unsetSetting(name, { global });
+    logger.result(result, ({ key, scope, removed }) => {
+      logger.print(removed ? `Removed ${key} from ${scope} git config.` : `${key} is not set in ${scope} git config.`);
+    });
+  } else {
+    throw new Error('Usage: git mark config list [--json] | get <name> [--show-origin] | set <name> <value> [--global] | unset <name> [--global]');
   }
-
-  // Convert back to hex string without 0x prefix and in lowercase
-  return sum.toString(16).toLowerCase();
 }
 
-// Helper function to ensure hex values are padded to 64 characters (32 bytes)
-function padHex64 (hex) {
-  // Remove any 0x prefix if present
-  const cleanHex = hex.replace(/^0x/, '');
-  // Pad to 64 characters with leading zeros
-  return cleanHex.padStart(64, '0');
+/**
+ * git mark voucher inspect <uri|file> [--json] - show what a voucher holds
+ * and where its funds are, without the private key
+ *
+ * git mark voucher split <voucher> --count N --amount X [--out dir] [--label L] [--force]
+ * git mark voucher merge <voucher>... [--out file] [--label L] [--force]
+ * git mark voucher mint --force [--out file] [--label L]
+ *   - spend vouchers (or the mark chain output) into new vouchers
+ */
+async function voucher () {
+  const { resolveVoucher, parseVoucher, describeVoucher } = await import('./lib/voucher.js');
+  const [action, arg] = ARGS.positionals.slice(1);
+  if (['split', 'merge', 'mint'].includes(action)) return spendVouchers(action);
+  if (action !== 'inspect' || !arg) {
+    throw new Error('Usage: git mark voucher inspect <uri|file> [--json] | split <voucher> --count N --amount X | merge <voucher>... | mint --force');
+  }
+
+  const { uri, file } = resolveVoucher(arg);
+  const info = describeVoucher(parseVoucher(uri));
+  logger.result({ file, ...info }, printVoucher);
 }
 
-// Helper function to safely add hex values and preserve leading zeros
-function safeAddHex (hex1, hex2) {
-  const result = addHex(hex1, hex2);
-  return padHex64(result);
+/**
+ * Print describeVoucher() output
+ */
+function printVoucher ({ file, ...info }) {
+  if (file) logger.print(`File:      ${file}`);
+  if (info.label !== null) logger.print(`Label:     ${info.label}`);
+  logger.print(`Chain:     ${info.chain} (${info.network})`);
+  logger.print(`Key:       ${info.watchOnly ? 'none (watch-only)' : `${info.keyFormat} private key`}`);
+  logger.print(`Pubkey:    ${info.pubkey}`);
+  logger.print(`Address:   ${info.address}`);
+  for (const utxo of info.utxos) logger.print(`Output:    ${utxo.txid}:${utxo.vout} ${utxo.amount} sats`);
+  logger.print(`Total:     ${info.total} sats`);
+  if (info.memo !== null) logger.print(`Memo:      ${info.memo}`);
+  if (info.expires) logger.print(`Expires:   ${info.expires}${info.expired ? ' (EXPIRED)' : ''}`);
 }
 
-// Benchmark helper functions
-function formatTime (ms) {
-  if (ms < 1) return `${(ms * 1000).toFixed(2)}μs`;
-  if (ms < 1000) return `${ms.toFixed(2)}ms`;
-  return `${(ms / 1000).toFixed(2)}s`;
+/**
+ * Run voucher split, merge or mint and print the new vouchers
+ */
+async function spendVouchers (action) {
+  const { splitVoucher, mergeVouchers, mintVoucher } = await import('./lib/vouchertx.js');
+  const args = ARGS.positionals.slice(2);
+  const options = {
+    label: ARGS.options['--label'],
+    // --force: allow writing voucher keys inside a git work tree
+    force: Boolean(ARGS.options['--force']),
+    feeRate: ARGS.options['--fee-rate'],
+    maxFee: ARGS.options['--max-fee'],
+    log: logger.info,
+  };
+
+  if (action === 'split') {
+    if (args.length !== 1 || !ARGS.options['--count'] || !ARGS.options['--amount']) {
+      throw new Error('Usage: git mark voucher split <uri|file> --count N --amount X [--out dir] [--label L] [--force]');
+    }
+    const result = await splitVoucher({
+      ...options,
+      voucher: args[0],
+      count: ARGS.options['--count'],
+      amount: ARGS.options['--amount'],
+      outDir: ARGS.options['--out'],
+    });
+    logger.print(`Split into ${result.vouchers.length} vouchers in ${result.txid} (fee ${result.fee} sats):`);
+    for (const { file, amount } of result.vouchers) logger.print(`  ${file}  ${amount} sats`);
+    if (result.voucherFileUpdated) {
+      logger.print(`Change of ${result.change} sats: ${args[0]} updated`);
+    } else if (result.voucherFileSpent) {
+      logger.print(`Voucher used up, moved ${args[0]} to ${result.voucherFileSpent}`);
+    } else if (result.changeVoucher) {
+      logger.print(`Change of ${result.change} sats:`);
+      logger.print(result.changeVoucher);
+    }
+    logger.result(result);
+    return;
+  }
+
+  let result;
+  if (action === 'merge') {
+    if (args.length < 2) throw new Error('Usage: git mark voucher merge <uri|file> <uri|file>... [--out file] [--label L] [--force]');
+    result = await mergeVouchers({ ...options, vouchers: args, out: ARGS.options['--out'] });
+    logger.print(`Merged ${args.length} vouchers in ${result.txid} (fee ${result.fee} sats): ${result.amount} sats`);
+    if (result.spent.length) logger.print(`Spent vouchers moved to: ${result.spent.join(', ')}`);
+  } else {
+    if (!ARGS.options['--force']) {
+      throw new Error('Minting spends the mark chain output, so no further commits can be marked. Rerun with --force.');
+    }
+    result = await mintVoucher({ ...options, out: ARGS.options['--out'] });
+    logger.print(`Swept ${result.swept} in ${result.txid} (fee ${result.fee} sats): ${result.amount} sats`);
+    logger.print('The mark chain has ended; run git mark-init to start a new one.');
+  }
+  logger.print(`Voucher written to ${result.file}`);
+  logger.result(result);
 }
 
-function timeOperation (name, operation) {
-  const start = performance.now();
-  try {
-    const result = operation();
-    const end = performance.now();
-    const duration = end - start;
-    console.log(`BENCHMARK: ${name} took ${formatTime(duration)}`);
-    return result;
-  } catch (error) {
-    const end = performance.now();
-    const duration = end - start;
-    console.log(`BENCHMARK: ${name} FAILED after ${formatTime(duration)}`);
-    throw error;
+/**
+ * git mark pre-push - called by the pre-push hook with the refs on stdin;
+ * fails if a pushed branch tip is not in txo.json
+ */
+async function prePush () {
+  const { checkPush, ALLOW_UNMARKED_ENV } = await import('./lib/hooks.js');
+  const input = fs.readFileSync(0, 'utf8');
+  const { ok, unmarked } = checkPush(input);
+  if (ok) return;
+
+  const reasons = unmarked.map(({ ref, commit }) => `${ref} tip ${commit} is not marked in txo.json`);
+  if (process.env[ALLOW_UNMARKED_ENV]) {
+    hookLogger.warn([...reasons, `pushing anyway (${ALLOW_UNMARKED_ENV} is set)`].join('\n'));
+    return;
   }
+  throw new ChainError([
+    ...reasons,
+    'run `git mark --commit <rev>` first, or push anyway with',
+    `  ${ALLOW_UNMARKED_ENV}=1 git push`,
+  ].join('\n'));
 }
 
-async function timeOperationAsync (name, operation) {
-  const start = performance.now();
-  try {
-    const result = await operation();
-    const end = performance.now();
-    const duration = end - start;
-    console.log(`BENCHMARK: ${name} took ${formatTime(duration)}`);
-    return result;
-  } catch (error) {
-    const end = performance.now();
-    const duration = end - start;
-    console.log(`BENCHMARK: ${name} FAILED after ${formatTime(duration)}`);
-    throw error;
+/**
+ * git mark push [remote] / git mark fetch [remote] - share the mark notes
+ * (refs/notes/gitmark) with a remote
+ */
+async function syncNotes (direction) {
+  const { pushNotes, fetchNotes } = await import('./lib/notes.js');
+  const remote = ARGS.positionals[1] || 'origin';
+
+  if (direction === 'push') {
+    const result = pushNotes(remote);
+    logger.result(result, ({ ref }) => logger.print(`Pushed ${ref} to ${remote}`));
+    return;
   }
+  const result = fetchNotes(remote);
+  logger.result(result, ({ ref, fetched, merged }) => {
+    if (!fetched) logger.print(`${remote} has no ${ref}`);
+    else logger.print(`Fetched ${ref} from ${remote}${merged ? ' and merged it with local notes' : ''}`);
+  });
 }
 
-if (VERBOSE) console.log('=== GITMARK DEBUG START ===');
-const scriptStart = performance.now();
-if (VERBOSE) console.log('Starting script execution at:', new Date().toISOString());
+/**
+ * git mark export [file] - write the chain to txo.json (the generated view
+ * when gitmark.storage=notes)
+ */
+async function exportTxo () {
+  const { exportChain } = await import('./lib/txo.js');
+  const result = exportChain({ file: ARGS.positionals[1] });
+  logger.result(result, ({ file, entries, source }) => logger.print(`Exported ${entries} TXO entries from ${source} to ${file}`));
+}
 
-async function main () {
-  try {
-    // Git operations
-    debug('Running git add .');
-    timeOperation('git add', () => execSync('git add .'));
-
-    // Get commit message from first argument or use default
-    const commitMessage = process.argv[2] || "first";
-    debug(` Running git commit with message: "${commitMessage}"`);
-    timeOperation('git commit', () => execFileSync('git', ['commit', '-m', commitMessage]));
-    debug(' Git operations completed successfully');
-
-    const TXOFILE = '.well-known/txo/txo.json';
-    const NETWORK = 'tbtc4';
-    debug(` Configuration - TXOFILE: ${TXOFILE}, NETWORK: ${NETWORK}`);
-
-    // Get commit hash
-    debug(' Getting commit hash');
-    const COMMIT_HASH = timeOperation('get commit hash', () =>
-      execSync('git log -1 --format=%H').toString().trim()
-    );
-    debug(` COMMIT_HASH: ${COMMIT_HASH}`);
-
-    // Get private key from git config
-    debug(' Getting private key from git config');
-    const PRIVKEY = timeOperation('get private key', () =>
-      execSync('git config nostr.privkey').toString().trim()
-    );
-    debug(` PRIVKEY (truncated): ${PRIVKEY.substring(0, 4)}...${PRIVKEY.substring(PRIVKEY.length - 4)}`);
-
-    debug(' Generating public key from private key');
-    const PUBKEY = await timeOperationAsync('generate initial pubkey', () =>
-      key2pub(PRIVKEY)
-    );
-    debug(` PUBKEY: ${PUBKEY}`);
-
-    // Read txo.json file
-    debug(` Reading TXO file from ${TXOFILE}`);
-    if (!fs.existsSync(TXOFILE)) {
-      console.error(`DEBUG: ERROR - File not found: ${TXOFILE}`);
-      process.exit(1);
+/**
+ * git mark rebuild [--check] [--funding <txo-uri>] - regenerate txo.json by
+ * following the funding output's spends on the chain backend
+ */
+async function rebuildTxo () {
+  const { rebuild } = await import('./lib/rebuild.js');
+  const check = Boolean(ARGS.options['--check']);
+  const result = await rebuild({
+    check,
+    funding: ARGS.options['--funding'],
+    debug: logger.debug,
+  });
+
+  logger.print(`Rebuilt ${result.entries.length} TXO entries from ${result.fundingSource} (${result.scheme || 'no'} derivation)`);
+  logger.print(`Stopped: ${result.stop.reason}`);
+
+  if (!check) {
+    for (const target of result.written) logger.print(`Wrote ${target}`);
+    logger.result(result);
+    return;
+  }
+
+  let clean = true;
+  for (const [file, cmp] of Object.entries(result.comparisons)) {
+    if (cmp.same) {
+      logger.print(`${file}: matches`);
+      continue;
     }
+    clean = false;
+    if (cmp.missing) logger.print(`${file}: missing or unreadable`);
+    else logger.print(`${file}: differs from entry ${cmp.firstDifference} (rebuilt ${cmp.expectedLength} entries, file has ${cmp.actualLength})`);
+  }
+  logger.result({ ...result, clean });
+  if (!clean) process.exitCode = 1;
+}
 
-    const { txoFileContent, txoData } = timeOperation('read and parse TXO file', () => {
-      const content = fs.readFileSync(TXOFILE, 'utf8');
-      debug(` Raw TXO file content: ${content}`);
-      const data = JSON.parse(content);
-      return { txoFileContent: content, txoData: data };
-    });
+/**
+ * git mark log [--json] - list the chain entries with their commits
+ */
+async function log () {
+  const { markLog } = await import('./lib/history.js');
+  const { source, entries } = markLog();
 
-    debug(` Parsed TXO data, contains ${txoData.length} entries`);
+  if (logger.json) {
+    logger.result(entries);
+    return;
+  }
 
-    if (txoData.length === 0) {
-      console.error('DEBUG: ERROR - No TXO entries found in file');
-      process.exit(1);
+  logger.print(`${entries.length} TXO entries in ${source}`);
+  for (const entry of entries) {
+    logger.print('');
+    if (!entry.commit) {
+      logger.print(`#${entry.index} funding`);
+    } else if (entry.short) {
+      logger.print(`#${entry.index} ${entry.short} ${entry.subject}`);
+      logger.print(`   ${entry.author}, ${entry.date}`);
+    } else {
+      logger.print(`#${entry.index} ${entry.commit} (not in local history)`);
     }
+    logger.print(`   ${entry.txid}:${entry.vout}  ${entry.amount} sats`);
+    if (entry.address) logger.print(`   ${entry.address}`);
+  }
+}
 
-    const lastTxo = txoData[txoData.length - 1];
-    debug(` Last TXO entry: ${lastTxo}`);
-
-    // Extract all commit hashes from txo.json items and sum them
-    debug(' Extracting and summing commit hashes from TXO entries');
-    const commitHashSum = timeOperation('process TXO entries and sum commits', () => {
-      let sum = '';
-      for (let i = 0; i < txoData.length; i++) {
-        const txoItem = txoData[i];
-        debug(` Processing TXO entry ${i + 1}: ${txoItem}`);
-
-        const commitMatch = txoItem.match(/commit=([0-9a-f]+)/);
-        if (commitMatch && commitMatch[1]) {
-          const currentCommit = commitMatch[1];
-          debug(` Found commit hash in entry ${i + 1}: ${currentCommit}`);
-
-          if (sum) {
-            debug(` Adding commit hash to existing sum: ${sum} + ${currentCommit}`);
-            sum = safeAddHex(sum, currentCommit);
-          } else {
-            debug(` First commit hash, setting as initial sum: ${currentCommit}`);
-            sum = currentCommit;
-          }
-          debug(` Current commit hash sum after entry ${i + 1}: ${sum}`);
-        } else {
-          debug(` No commit hash found in entry ${i + 1}`);
-        }
-      }
-      return sum;
-    });
-    debug(` Final commit hash sum from TXO entries: ${commitHashSum || 'EMPTY'}`);
-
-    // Calculate private key for signing the transaction (PRIVKEY + commit hashes from JSON)
-    debug(` Calculating signing key: addhex "${PRIVKEY.substring(0, 4)}...${PRIVKEY.substring(PRIVKEY.length - 4)}" "${commitHashSum || 'EMPTY'}"`);
-    const SIGNING_KEY = timeOperation('calculate signing key', () =>
-      commitHashSum ? safeAddHex(PRIVKEY, commitHashSum) : PRIVKEY
-    );
-    debug(` SIGNING_KEY (truncated): ${SIGNING_KEY.substring(0, 4)}...${SIGNING_KEY.substring(SIGNING_KEY.length - 4)}`);
-
-    debug(' Generating public key from signing key');
-    const SIGNING_PUBKEY = await timeOperationAsync('generate signing pubkey', () =>
-      key2pub(SIGNING_KEY)
-    );
-    debug(` SIGNING_PUBKEY: ${SIGNING_PUBKEY}`);
-
-    // Add current commit hash to the sum for the new destination address
-    debug(` Adding current commit hash to sum: ${commitHashSum || 'EMPTY'} + ${COMMIT_HASH}`);
-    const finalCommitHashSum = timeOperation('add current commit to sum', () => {
-      if (commitHashSum) {
-        const addHexCommand = `addhex "${commitHashSum}" "${COMMIT_HASH}"`;
-        debug(` Running command: ${addHexCommand}`);
-        return safeAddHex(commitHashSum, COMMIT_HASH);
-      } else {
-        return COMMIT_HASH;
-      }
-    });
-    debug(` Final commit hash sum including current commit: ${finalCommitHashSum}`);
-
-    // Calculate new key by adding hex values with all commit hashes (including current commit)
-    debug(` Calculating destination key: addhex "${PRIVKEY.substring(0, 4)}...${PRIVKEY.substring(PRIVKEY.length - 4)}" "${finalCommitHashSum}"`);
-    const NEWKEY = timeOperation('calculate destination key', () =>
-      safeAddHex(PRIVKEY, finalCommitHashSum)
-    );
-    debug(` NEWKEY (truncated): ${NEWKEY.substring(0, 4)}...${NEWKEY.substring(NEWKEY.length - 4)}`);
-
-    // Parse transaction information
-    debug(` Parsing transaction info from last TXO: ${lastTxo}`);
-
-    const { TXID, OUTPUT, AMOUNT } = await timeOperationAsync('parse TXO URI', async () => {
-      debug(` Parsing TXO URI directly: ${lastTxo}`);
-      const { parseTxoUri } = await import('txo_parser');
-      const parsed = parseTxoUri(lastTxo);
-      debug(` Parsed TXID: ${parsed.txid}`);
-      debug(` Parsed OUTPUT: ${parsed.output}`);
-      debug(` Parsed AMOUNT: ${parsed.amount}`);
-      return { TXID: parsed.txid, OUTPUT: parsed.output, AMOUNT: parsed.amount };
-    });
+/**
+ * git mark status [--json] - confirmation state of the latest mark and the
+ * remaining balance, from the chain backend
+ */
+async function status () {
+  const { markStatus } = await import('./lib/history.js');
+  const result = await markStatus();
 
-    // Calculate fee and new amount
-    const FEE = 1000;
-    debug(` Fee set to ${FEE} satoshis`);
-    const NEWAMOUNT = AMOUNT - FEE;
-    debug(` New amount after fee: ${NEWAMOUNT} satoshis (${AMOUNT} - ${FEE})`);
-
-    // Generate new public key for destination
-    debug(` Generating new public key from NEWKEY for destination`);
-    const NEWPUB = await timeOperationAsync('generate destination pubkey', () =>
-      key2pub(NEWKEY)
-    );
-    debug(` NEWPUB (destination): ${NEWPUB}`);
-
-    // Build transaction
-    debug(' Building transaction with txbuilder');
-    debug(` txbuilder params (sensitive data masked): privateKey=***SIGNING_KEY*** publicKey=${SIGNING_PUBKEY} txid=${TXID} vout=${OUTPUT} inputAmount=${AMOUNT} output=${NEWPUB}:${NEWAMOUNT}`);
-
-    // Execute txbuilder
-    try {
-      debug(' Executing txbuilder...');
-      const { buildTx } = await import('btctx');
-      const { hex: LAST_LINE, txid: builtTxid } = await timeOperationAsync('execute txbuilder', () =>
-        buildTx({
-          privateKey: SIGNING_KEY,
-          publicKey: SIGNING_PUBKEY,
-          txid: TXID,
-          vout: OUTPUT,
-          inputAmount: AMOUNT,
-          outputs: [{ pubkey: NEWPUB, amount: NEWAMOUNT }],
-        })
-      );
-      debug(` txbuilder output txid: ${builtTxid}`);
-      debug(` txbuilder output hex: ${LAST_LINE.substring(0, 20)}...`);
-
-      // Send transaction
-      try {
-        debug(` Sending transaction to network ${NETWORK}`);
-        debug(` Broadcasting transaction to ${NETWORK}`);
-        const { default: sendtx } = await import('sendtx');
-        const NEWTX = await timeOperationAsync('send transaction', () =>
-          sendtx(LAST_LINE, NETWORK)
-        );
-        debug(` Transaction successfully sent, NEWTX: ${NEWTX}`);
-
-        // Calculate new values for TXO URI - use the new destination key/pubkey for the URI
-        debug(' Using calculated NEWKEY/NEWPUB for the TXO URI');
-
-        const TXO_URI = `txo:tbtc4:${NEWTX}:0?amount=${NEWAMOUNT}&pubkey=${NEWPUB}&commit=${COMMIT_HASH}`;
-        debug(` Generated TXO_URI: ${TXO_URI}`);
-
-        // Update txo.json file and save to .git/txo.txt
-        debug(` Updating TXO file (${TXOFILE}) with new TXO_URI`);
-        debug(` Current txoData has ${txoData.length} entries`);
-
-        timeOperation('update TXO files', () => {
-          txoData.push(TXO_URI);
-          debug(` After adding new URI, txoData has ${txoData.length} entries`);
-
-          const jsonString = JSON.stringify(txoData, null, 2);
-          debug(` Writing ${jsonString.length} bytes to ${TXOFILE}`);
-          fs.writeFileSync(TXOFILE, jsonString);
-
-          // Also save to .git/txo.txt
-          const gitTxoPath = '.git/txo.json';
-          debug(` Also writing ${jsonString.length} bytes to ${gitTxoPath}`);
-
-          // Ensure .git directory exists (it should, but just in case)
-          const gitDir = '.git';
-          if (!fs.existsSync(gitDir)) {
-            debug(` Creating ${gitDir} directory`);
-            fs.mkdirSync(gitDir, { recursive: true });
-          }
-
-          fs.writeFileSync(gitTxoPath, jsonString);
-          debug(` Successfully wrote TXO data to ${gitTxoPath}`);
-        });
-        debug(` Successfully added new TXO URI to ${TXOFILE} and .git/txo.txt`);
-      } catch (error) {
-        console.error(`DEBUG: ERROR in sendtx: ${error.message}`);
-        console.error('DEBUG: Error stack trace:');
-        console.error(error.stack);
-        console.error(`DEBUG: Command output: ${error.stdout ? error.stdout.toString() : 'No output'}`);
-        console.error(`DEBUG: Command stderr: ${error.stderr ? error.stderr.toString() : 'No stderr'}`);
-        process.exit(1);
-      }
-    } catch (error) {
-      console.error(`DEBUG: ERROR in txbuilder: ${error.message}`);
-      console.error('DEBUG: Error stack trace:');
-      console.error(error.stack);
-      console.error(`DEBUG: Command output: ${error.stdout ? error.stdout.toString() : 'No output'}`);
-      console.error(`DEBUG: Command stderr: ${error.stderr ? error.stderr.toString() : 'No stderr'}`);
-      process.exit(1);
-    }
+  if (logger.json) {
+    logger.result(result);
+    return;
+  }
 
-    const scriptEnd = performance.now();
-    const totalDuration = scriptEnd - scriptStart;
-    console.log(`BENCHMARK: TOTAL SCRIPT EXECUTION TIME: ${formatTime(totalDuration)}`);
-    if (VERBOSE) console.log('=== GITMARK DEBUG END ===');
+  const { latest } = result;
+  if (!latest) {
+    logger.print('No TXO entries yet.');
+    return;
+  }
+  const label = latest.commit ? `${latest.short || latest.commit} ${latest.subject || ''}`.trim() : 'funding output';
+  logger.print(`Network:      ${result.network} (${result.backend} backend)`);
+  if (result.rootPubkey) logger.print(`Key:          ${result.rootPubkey} (${result.npub})`);
+  logger.print(`Marks:        ${result.marks}`);
+  logger.print(`Latest:       ${label}`);
+  logger.print(`Transaction:  ${latest.txid}`);
+  if (result.state === 'confirmed') {
+    logger.print(`State:        confirmed, ${result.confirmations} confirmation${result.confirmations === 1 ? '' : 's'} (block ${result.blockHeight})`);
+  } else if (result.state === 'mempool') {
+    logger.print('State:        in mempool, unconfirmed');
+  } else {
+    logger.print('State:        not found on the backend');
+  }
+  logger.print(`Output:       ${latest.txid}:${latest.vout} ${result.spent ? 'SPENT (run `git mark rebuild --check`)' : 'unspent'}`);
+  logger.print(`Balance:      ${result.balance} sats in ${result.utxos} output${result.utxos === 1 ? '' : 's'} at ${latest.address}`);
+  if (result.pending) {
+    logger.print(`Pending:      ${result.pending.txid} for ${result.pending.commit} (run \`git mark broadcast\`)`);
+  }
+  if (result.interrupted) {
+    logger.print(`Interrupted:  mark stopped at ${result.interrupted.phase} (run \`git mark --resume\`)`);
+  }
+}
+
+/**
+ * git mark address [--commit <rev>] [--json] - the address holding the
+ * chain's funds and the one marking <rev> (default HEAD) moves them to
+ */
+async function address () {
+  const { markAddress } = await import('./lib/history.js');
+  const result = markAddress({ commit: ARGS.options['--commit'] });
+  logger.result(result, ({ current, next }) => {
+    logger.print(`Current: ${current.address} (${current.amount} sats, entry #${current.index})`);
+    if (next) logger.print(`Next:    ${next.address} (marking ${next.commit})`);
+    else logger.print('Next:    depends on the next commit (HEAD is already marked)');
+  });
+}
+
+/**
+ * git mark proof [<rev>] [--out <file>] - write a self-contained proof that
+ * <rev> (default HEAD) was marked, for `git mark verify-proof`
+ */
+async function proof () {
+  const { createProof } = await import('./lib/proof.js');
+  const result = await createProof({ commit: ARGS.positionals[1] });
+  if (!result.block) logger.warn('The mark transaction is unconfirmed: the proof has no block data and will not verify until it is remade after confirmation');
+
+  const json = `${JSON.stringify(result, null, 2)}\n`;
+  const out = ARGS.options['--out'];
+  if (!out) {
+    process.stdout.write(json);
+    return;
+  }
+  fs.writeFileSync(out, json);
+  logger.result({ file: out, commit: result.commit, block: result.block?.hash ?? null }, () => logger.print(`Wrote proof for ${result.commit} to ${out}`));
+}
+
+/**
+ * git mark verify-proof <file> - check a proof from `git mark proof` offline
+ */
+async function verifyProofFile () {
+  const { verifyProof } = await import('./lib/proof.js');
+  const file = ARGS.positionals[1];
+  if (!file) throw new Error('Usage: git mark verify-proof <file>');
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(file === '-' ? 0 : file, 'utf8'));
   } catch (error) {
-    const scriptEnd = performance.now();
-    const totalDuration = scriptEnd - scriptStart;
-    console.error('=== GITMARK DEBUG ERROR ===');
-    console.error(`Fatal error: ${error.message}`);
-    console.error('Error stack trace:');
-    console.error(error.stack);
-    if (error.stdout) console.error(`Command output: ${error.stdout.toString()}`);
-    if (error.stderr) console.error(`Command stderr: ${error.stderr.toString()}`);
-    console.error(`BENCHMARK: SCRIPT FAILED AFTER: ${formatTime(totalDuration)}`);
-    if (VERBOSE) console.error('=== GITMARK DEBUG END WITH ERROR ===');
-    process.exit(1);
+    throw new Error(`Cannot read proof from ${file}: ${error.message}`, { cause: error });
   }
+
+  const result = verifyProof(document);
+  logger.result(result, () => {
+    for (const check of result.checks) logger.print(`${check.ok ? 'ok  ' : 'FAIL'} ${check.name}: ${check.detail}`);
+    if (result.valid) {
+      const { block } = result;
+      const height = block.height === null ? 'an unstated height' : `height ${block.height}`;
+      logger.print(`Provisionally: commit ${result.commit} is marked by ${result.txid}:${result.vout} on ${result.network},`);
+      logger.print(`in block ${block.hash} claimed at ${height} (${new Date(block.time * 1000).toISOString()}, ${block.work} expected hashes).`);
+      logger.print(`This holds only once a node or explorer you trust shows block ${block.hash} at ${height} of the ${result.network} chain.`);
+    } else {
+      logger.error(new ChainError('Proof verification FAILED'));
+    }
+  });
+  if (!result.valid) process.exitCode = 1;
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('Unhandled error in main function:', error);
-  process.exit(1);
-}); 
\ No newline at end of file
+/**
+ * Run a command, reporting any error on stderr (and as JSON with --json)
+ */
+function run (command, ...args) {
+  command(...args).then(() => logger.done(), error => {
+    logger.error(error);
+    logger.done(true);
+    process.exit(1);
+  });
+}
+
+const COMMAND = ARGS.positionals[0];
+
+if (COMMAND === 'repair' || RESUME) {
+  run(repairMark);
+} else if (COMMAND === 'pre-push') {
+  prePush().catch(error => {
+    hookLogger.error(error);
+    process.exit(1);
+  });
+} else if (COMMAND === 'push' || COMMAND === 'fetch') {
+  run(syncNotes, COMMAND);
+} else if (COMMAND === 'rebuild') {
+  run(rebuildTxo);
+} else if (COMMAND === 'log') {
+  run(log);
+} else if (COMMAND === 'status') {
+  run(status);
+} else if (COMMAND === 'address') {
+  run(address);
+} else if (COMMAND === 'proof') {
+  run(proof);
+} else if (COMMAND === 'verify-proof') {
+  run(verifyProofFile);
+} else if (COMMAND === 'export') {
+  run(exportTxo);
+} else if (COMMAND === 'config') {
+  run(config);
+} else if (COMMAND === 'voucher') {
+  run(voucher);
+} else if (COMMAND === 'key') {
+  run(manageKey);
+} else if (COMMAND === 'bump') {
+  run(bumpMark);
+} else if (COMMAND === 'broadcast') {
+  run(broadcast);
+} else if (COMMAND === 'mock') {
+  run(mock);
+} else if (COMMAND === 'verify') {
+  run(verify);
+} else {
+  run(main);
+}
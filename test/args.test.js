@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs } from '../lib/args.js';
+
+test('value flags take the next argument or =value', () => {
+  const { options, positionals } = parseArgs(['--fee-rate', '5', '--max-fee=900', '--json', 'status'], ['--fee-rate', '--max-fee']);
+  assert.deepEqual(options, { '--fee-rate': '5', '--max-fee': '900', '--json': true });
+  assert.deepEqual(positionals, ['status']);
+  assert.throws(() => parseArgs(['--fee-rate'], ['--fee-rate']), /Missing value for --fee-rate/);
+});
+
+test('arguments after -- are kept out of the positionals', () => {
+  const { options, positionals, rest } = parseArgs(['--dry-run', '--', 'status', '--json'], []);
+  assert.deepEqual(options, { '--dry-run': true });
+  assert.deepEqual(positionals, []);
+  assert.deepEqual(rest, ['status', '--json']);
+  assert.equal(parseArgs(['status'], []).rest, null);
+});
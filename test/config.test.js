@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSetting, setSetting, unsetSetting, listSettings } from '../lib/config.js';
+import { ConfigError } from '../lib/errors.js';
+import { createRepo, git } from './helpers.js';
+
+test('a flag beats the environment, which beats local, global and the default', () => {
+  const cwd = createRepo();
+  const layers = () => {
+    const { value, source, origin } = resolveSetting('feerate', { cwd });
+    return [value, source, origin];
+  };
+  assert.deepEqual(layers(), [null, null, null]);
+  assert.equal(resolveSetting('network', { cwd }).source, 'default');
+
+  setSetting('feerate', '2', { global: true, cwd });
+  try {
+    assert.deepEqual(layers(), ['2', 'global', 'gitmark.feerate (global)']);
+    setSetting('gitmark.feerate', '3', { cwd });
+    assert.deepEqual(layers(), ['3', 'local', 'gitmark.feerate']);
+
+    process.env.GITMARK_FEERATE = '4';
+    try {
+      assert.deepEqual(layers(), ['4', 'env', 'GITMARK_FEERATE']);
+      assert.equal(resolveSetting('feerate', { cwd, flag: 5 }).value, '5');
+      assert.equal(resolveSetting('feerate', { cwd, flag: 5 }).origin, '--fee-rate');
+      // An empty flag is not given
+      assert.equal(resolveSetting('feerate', { cwd, flag: '' }).source, 'env');
+    } finally {
+      delete process.env.GITMARK_FEERATE;
+    }
+  } finally {
+    unsetSetting('feerate', { global: true, cwd });
+  }
+  assert.deepEqual(layers(), ['3', 'local', 'gitmark.feerate']);
+});
+
+test('values are stored exactly as given, without a shell', () => {
+  const cwd = createRepo();
+  const url = 'https://example.com/api?a=1&b=$(touch pwned)';
+  setSetting('esplora', url, { cwd });
+  assert.equal(git(cwd, 'config', '--local', 'gitmark.esplora'), url);
+  assert.equal(resolveSetting('esplora', { cwd }).value, url);
+});
+
+test('setSetting refuses values a setting does not accept', () => {
+  const cwd = createRepo();
+  assert.throws(() => setSetting('storage', 'cloud', { cwd }), ConfigError);
+  assert.throws(() => setSetting('feerate', '-1', { cwd }), ConfigError);
+  assert.throws(() => resolveSetting('colour', { cwd }), ConfigError);
+  assert.equal(unsetSetting('storage', { cwd }).removed, false);
+});
+
+test('listSettings marks secrets and applies command line flags', () => {
+  const cwd = createRepo();
+  const settings = Object.fromEntries(listSettings({ cwd, flags: { '--fee-rate': '7' } }).map(setting => [setting.name, setting]));
+  assert.equal(settings.privkey.secret, true);
+  assert.equal(settings.feerate.value, '7');
+  assert.equal(settings.feerate.source, 'flag');
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWithFeeRate, assertAboveDust, estimateVsize, resolveFeeRate, DEFAULT_FEE_RATE } from '../lib/fee.js';
+import { ConfigError } from '../lib/errors.js';
+import { getPublicKey } from '../lib/keys.js';
+import { buildSpend, createRepo } from './helpers.js';
+
+const KEY = '55'.repeat(32);
+const PUBKEY = getPublicKey(KEY);
+const INPUT = { txid: 'bb'.repeat(32), vout: 0, privateKey: KEY };
+
+// The callback shape mark() and sendSpend() use: refuse dust, then sign
+function spendAll(amount) {
+  return fee => {
+    assertAboveDust(amount - fee);
+    return buildSpend({ inputs: [{ ...INPUT, amount }], outputs: [{ pubkey: PUBKEY, amount: amount - fee }] });
+  };
+}
+
+test('a small input is spent when the real fee leaves it above dust', async () => {
+  const built = await buildWithFeeRate({ build: spendAll(1200), feeRate: 1, maxFee: 50000 });
+  assert.equal(built.vsize, estimateVsize(1, 1));
+  assert.equal(built.fee, built.vsize);
+});
+
+test('dust is refused at the real fee', async () => {
+  await assert.rejects(buildWithFeeRate({ build: spendAll(400), feeRate: 1, maxFee: 50000 }), /below the dust limit/);
+});
+
+test('the fee cap is enforced', async () => {
+  await assert.rejects(buildWithFeeRate({ build: spendAll(100000), feeRate: 100, maxFee: 1000 }), /exceeds the maximum/);
+});
+
+// A backend whose fee estimate is unavailable
+function unreachable(network) {
+  return { name: 'esplora', network, estimateFeeRate: async () => { throw new Error('connection refused'); } };
+}
+
+test('a failed fee estimate falls back to the default rate on test networks, and says so', async () => {
+  const cwd = createRepo();
+  const logged = [];
+  const resolved = await resolveFeeRate({ backend: unreachable('tbtc4'), cwd, log: message => logged.push(message) });
+  assert.deepEqual(resolved, { rate: DEFAULT_FEE_RATE, source: 'default' });
+  assert.match(logged[0], /connection refused/);
+});
+
+test('a failed fee estimate is refused on mainnet', async () => {
+  const cwd = createRepo();
+  await assert.rejects(resolveFeeRate({ backend: unreachable('btc'), cwd }), error => {
+    assert.ok(error instanceof ConfigError);
+    assert.match(error.message, /--fee-rate/);
+    return true;
+  });
+  assert.deepEqual(await resolveFeeRate({ backend: unreachable('btc'), cwd, feeRate: 3 }), { rate: 3, source: '--fee-rate' });
+});
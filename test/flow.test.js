@@ -0,0 +1,246 @@
+/**
+ * End-to-end: init -> mark -> mark, bump and repair against the mock chain
+ *
+ * Every transaction is signed by btctx and checked by the mock chain, so a
+ * mark signed with the wrong derived key fails here. btctx is a pinned
+ * dependency: without it the suite fails rather than passing untested.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { init } from '../lib/init.js';
+import { mark, bump, repair } from '../lib/mark.js';
+import { readChain } from '../lib/txo.js';
+import { verifyChain } from '../lib/verify.js';
+import { loadJournal } from '../lib/journal.js';
+import { parseTx, verifyTaprootKeySpend } from '../lib/tx.js';
+import { createMockBackend } from '../lib/mockchain.js';
+import { createFaucet } from '../lib/faucet.js';
+import { splitVoucher, mergeVouchers, mintVoucher } from '../lib/vouchertx.js';
+import { createVoucher, saveVoucher } from '../lib/voucher.js';
+import { generateKeypair, getPublicKey, deriveMarkPrivateKey, toTaprootAddress } from '../lib/keys.js';
+import { getPrivateKey } from '../lib/config.js';
+import { BroadcastError, BuildError, ChainError, ConfigError } from '../lib/errors.js';
+import { createRepo, writeFile, tempDir, git, HAS_BTCTX } from './helpers.js';
+
+/**
+ * A funded voucher saved to a file outside the repository
+ */
+async function fundedVoucherFile(chain, amount) {
+  const { privateKey, publicKey } = generateKeypair();
+  const funding = await chain.fund(publicKey, amount);
+  const file = path.join(tempDir('topup'), 'voucher.txt');
+  saveVoucher(createVoucher({ chain: 'tbtc4', ...funding, privateKey }), file);
+  return { file, funding };
+}
+
+/**
+ * A repository initialized from a voucher on a fresh mock chain
+ */
+async function setup() {
+  const cwd = createRepo();
+  const chain = createMockBackend({ file: path.join(tempDir('mock'), 'chain.json'), network: 'tbtc4' });
+  const { privateKey, publicKey } = generateKeypair();
+  const funding = await chain.fund(publicKey, 100000);
+  const voucher = createVoucher({ chain: 'tbtc4', ...funding, privateKey });
+  const initialized = await init({ cwd, voucher, backend: chain, feeRate: 1 });
+  return { cwd, chain, initialized };
+}
+
+function initialAmount(cwd) {
+  return readChain({ cwd }).entries[0].amount;
+}
+
+/**
+ * Parse a transaction from the mock chain and check every input carries the
+ * given sequence and a key-path signature valid for the output it spends
+ */
+async function assertSignedInputs(chain, txid, { inputs, sequence }) {
+  const tx = parseTx((await chain.getTx(txid)).hex);
+  assert.equal(tx.inputs.length, inputs);
+  const prevouts = await Promise.all(tx.inputs.map(async input => parseTx((await chain.getTx(input.txid)).hex).outputs[input.vout]));
+  tx.inputs.forEach((input, index) => {
+    assert.equal(input.sequence, sequence);
+    assert.equal(input.witness.length, 1);
+    assert.equal(input.witness[0].length, 128);
+    verifyTaprootKeySpend(tx, index, prevouts);
+  });
+  return tx;
+}
+
+function assertChainValid(cwd) {
+  const { entries } = readChain({ cwd });
+  const result = verifyChain(entries.map(entry => entry.uri), { cwd });
+  assert.equal(result.valid, true, result.error?.reason);
+  return entries;
+}
+
+test('btctx is installed', () => {
+  assert.ok(HAS_BTCTX, 'btctx is not installed; run npm install to run the mock chain flow');
+});
+
+describe('mock chain flow', { skip: !HAS_BTCTX && 'btctx is not installed' }, () => {
+  test('init -> mark -> mark', async () => {
+    const { cwd, chain, initialized } = await setup();
+    assert.equal(initialized.funded, true);
+    assert.equal((await chain.getUtxos(initialized.publicKey)).length, 1);
+
+    const first = await mark({ cwd, message: 'first', backend: chain, feeRate: 1 });
+    assert.equal(first.broadcast, true);
+    assert.equal(first.commit, git(cwd, 'rev-parse', 'HEAD'));
+
+    writeFile(cwd, 'README', 'second\n');
+    const second = await mark({ cwd, message: 'second', backend: chain, feeRate: 1 });
+    assert.equal(second.input.txid, first.txid);
+
+    const entries = assertChainValid(cwd);
+    assert.equal(entries.length, 3);
+    assert.deepEqual((await chain.getUtxos(second.pubkey)).map(utxo => utxo.txid), [second.txid]);
+    assert.deepEqual(await chain.getUtxos(first.pubkey), []);
+  });
+
+  test('a dry run previews the commit without creating one', async () => {
+    const { cwd, chain } = await setup();
+    const preview = await mark({ cwd, message: 'first', backend: chain, feeRate: 1, dryRun: true });
+    assert.equal(preview.commit, preview.preview.hash);
+    assert.equal(git(cwd, 'cat-file', '-t', preview.commit), 'commit');
+    assert.equal(preview.pubkey, getPublicKey(deriveMarkPrivateKey(getPrivateKey(cwd), [...readChain({ cwd }).commits, preview.commit])));
+    assert.equal(preview.address, toTaprootAddress(preview.pubkey, 'tbtc4'));
+    assert.ok(preview.preview.files.length > 0);
+    assert.equal(git(cwd, 'rev-list', '--all'), '');
+
+    await mark({ cwd, message: 'first', backend: chain, feeRate: 1 });
+    // Recording the mark changed txo.json; commit that so the tree is clean
+    git(cwd, 'commit', '-q', '-a', '-m', 'record');
+    await assert.rejects(mark({ cwd, message: 'again', backend: chain, feeRate: 1, dryRun: true }), /nothing to commit/);
+  });
+
+  test('bump replaces an unconfirmed mark', async () => {
+    const { cwd, chain } = await setup();
+    const marked = await mark({ cwd, message: 'first', backend: chain, feeRate: 1 });
+    const bumped = await bump({ cwd, backend: chain, feeRate: 5 });
+
+    assert.equal(bumped.method, 'rbf');
+    assert.equal(bumped.oldTxid, marked.txid);
+    assert.ok(bumped.fee > marked.fee);
+    assert.equal(readChain({ cwd }).latest.txid, bumped.txid);
+    assert.equal(await chain.getTx(marked.txid), null);
+    await assertSignedInputs(chain, bumped.txid, { inputs: 1, sequence: 0xfffffffd });
+    assertChainValid(cwd);
+  });
+
+  test('repair rebroadcasts a mark whose broadcast failed', async () => {
+    const { cwd, chain } = await setup();
+    const failing = { ...chain, broadcast: async () => { throw new Error('connection reset'); } };
+    await assert.rejects(mark({ cwd, message: 'first', backend: failing, feeRate: 1 }), BroadcastError);
+    assert.equal(loadJournal(cwd).phase, 'built');
+
+    const repaired = await repair({ cwd, backend: chain });
+    assert.equal(repaired.action, 'completed');
+    assert.equal(repaired.rebroadcast, true);
+    assert.equal(loadJournal(cwd), null);
+    assert.ok(await chain.getTx(repaired.txid));
+    assertChainValid(cwd);
+  });
+
+  test('repair builds the transaction for a mark interrupted after committing', async () => {
+    const { cwd, chain } = await setup();
+    await assert.rejects(mark({ cwd, message: 'first', backend: chain, feeRate: 1, maxFee: 1 }), BuildError);
+    assert.equal(loadJournal(cwd).phase, 'committed');
+
+    const repaired = await repair({ cwd, backend: chain, feeRate: 1 });
+    assert.equal(repaired.action, 'completed');
+    assert.equal(repaired.commit, git(cwd, 'rev-parse', 'HEAD'));
+    assertChainValid(cwd);
+  });
+
+  test('a spent top-up voucher file is set aside', async () => {
+    const { cwd, chain } = await setup();
+    const topup = await fundedVoucherFile(chain, 20000);
+    const marked = await mark({ cwd, message: 'first', backend: chain, feeRate: 1, topup: topup.file });
+
+    assert.deepEqual(marked.extraInputs.map(extra => extra.source), ['topup']);
+    assert.equal(marked.topupSpentFile, `${topup.file}.spent`);
+    assert.equal(fs.existsSync(topup.file), false);
+    assert.ok(fs.existsSync(marked.topupSpentFile));
+    assert.equal(marked.inputAmount, initialAmount(cwd) + 20000);
+    await assertSignedInputs(chain, marked.txid, { inputs: 2, sequence: 0xfffffffd });
+  });
+
+  test('a mark without RBF gives every input a final sequence', async () => {
+    const { cwd, chain } = await setup();
+    git(cwd, 'config', 'gitmark.rbf', 'false');
+    const topup = await fundedVoucherFile(chain, 20000);
+    const marked = await mark({ cwd, message: 'first', backend: chain, feeRate: 1, topup: topup.file });
+    await assertSignedInputs(chain, marked.txid, { inputs: 2, sequence: 0xffffffff });
+  });
+
+  test('merge spends every voucher into one', async () => {
+    const chain = createMockBackend({ file: path.join(tempDir('mock'), 'chain.json'), network: 'tbtc4' });
+    const first = await fundedVoucherFile(chain, 10000);
+    const second = await fundedVoucherFile(chain, 20000);
+    const out = path.join(tempDir('merge'), 'voucher.txt');
+    const merged = await mergeVouchers({ vouchers: [first.file, second.file], out, backend: chain, feeRate: 1 });
+
+    const tx = await assertSignedInputs(chain, merged.txid, { inputs: 2, sequence: 0xfffffffd });
+    assert.deepEqual(tx.inputs.map(input => input.txid), [first.funding.txid, second.funding.txid]);
+    assert.equal(merged.amount, 30000 - merged.fee);
+    assert.deepEqual(merged.spent, [`${first.file}.spent`, `${second.file}.spent`]);
+    assert.ok(fs.existsSync(out));
+  });
+
+  test('repair rebuilds a mark with the extra inputs it was started with', async () => {
+    const { cwd, chain } = await setup();
+    const topup = await fundedVoucherFile(chain, 20000);
+    await assert.rejects(mark({ cwd, message: 'first', backend: chain, feeRate: 1, maxFee: 1, topup: topup.file }), BuildError);
+    assert.deepEqual(loadJournal(cwd).extraInputs.map(extra => extra.txid), [topup.funding.txid]);
+
+    const repaired = await repair({ cwd, backend: chain, feeRate: 1 });
+    assert.equal(repaired.action, 'completed');
+    assert.equal(fs.existsSync(topup.file), false);
+    assert.equal(parseTx((await chain.getTx(repaired.txid)).hex).inputs.length, 2);
+    assertChainValid(cwd);
+  });
+
+  test('a faucet sets its voucher file aside once it is used up', async () => {
+    const chain = createMockBackend({ file: path.join(tempDir('mock'), 'chain.json'), network: 'tbtc4' });
+    const topup = await fundedVoucherFile(chain, 10000);
+    const faucet = createFaucet({ voucherFile: topup.file, backend: chain, amount: 9990, feeRate: 1, interval: 0 });
+
+    const paid = await faucet.fund(generateKeypair().publicKey);
+    assert.ok(paid.amount < 10000);
+    assert.equal(fs.existsSync(topup.file), false);
+    assert.ok(fs.existsSync(`${topup.file}.spent`));
+    assert.throws(() => createFaucet({ voucherFile: topup.file, backend: chain }), /is spent/);
+  });
+
+  test('split keeps voucher keys out of the work tree and retires a used-up voucher', async () => {
+    const { cwd, chain } = await setup();
+    const source = await fundedVoucherFile(chain, 20000);
+    const options = { cwd, voucher: source.file, count: 2, amount: 9900, backend: chain, feeRate: 1 };
+    await assert.rejects(splitVoucher({ ...options, outDir: path.join(cwd, 'vouchers') }), ConfigError);
+    assert.ok(fs.existsSync(source.file));
+
+    const outDir = tempDir('vouchers');
+    const split = await splitVoucher({ ...options, outDir });
+    assert.equal(split.changeVoucher, null);
+    assert.deepEqual(split.vouchers.map(({ file }) => fs.existsSync(file)), [true, true]);
+    assert.equal(split.voucherFileSpent, `${source.file}.spent`);
+    assert.equal(fs.existsSync(source.file), false);
+  });
+
+  test('mark refuses a chain swept by mint before committing', async () => {
+    const { cwd, chain } = await setup();
+    const out = path.join(tempDir('mint'), 'voucher.txt');
+    const minted = await mintVoucher({ cwd, out, backend: chain, feeRate: 1 });
+    assert.equal(minted.file, out);
+    assert.ok(fs.existsSync(out));
+
+    const head = git(cwd, 'rev-list', '--all');
+    await assert.rejects(mark({ cwd, message: 'first', backend: chain, feeRate: 1 }), ChainError);
+    assert.equal(git(cwd, 'rev-list', '--all'), head);
+    assert.equal(loadJournal(cwd), null);
+  });
+});
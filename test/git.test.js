@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { previewCommit } from '../lib/git.js';
+import { createRepo, writeFile, git } from './helpers.js';
+
+function objectCount(cwd) {
+  return git(cwd, 'count-objects', '-v').match(/^count: (\d+)/m)[1];
+}
+
+test('previewCommit lists the changes without moving any ref', () => {
+  const cwd = createRepo();
+  writeFile(cwd, 'a.txt', 'a\n');
+  const first = previewCommit('first', cwd);
+  assert.equal(first.parent, null);
+  assert.deepEqual(first.files, ['A\ta.txt']);
+
+  git(cwd, 'add', '.');
+  git(cwd, 'commit', '-q', '-m', 'first');
+  writeFile(cwd, 'a.txt', 'changed\n');
+  writeFile(cwd, 'b.txt', 'b\n');
+  const before = objectCount(cwd);
+  const preview = previewCommit('second', cwd);
+  assert.equal(preview.parent, git(cwd, 'rev-parse', 'HEAD'));
+  assert.deepEqual(preview.files, ['M\ta.txt', 'A\tb.txt']);
+  assert.equal(git(cwd, 'rev-parse', `${preview.hash}^{tree}`), preview.tree);
+  assert.equal(git(cwd, 'rev-parse', `${preview.hash}^`), preview.parent);
+
+  // Two blobs, the tree and the commit are written unreferenced; nothing is staged
+  assert.equal(Number(objectCount(cwd)) - Number(before), 4);
+  assert.equal(git(cwd, 'rev-parse', 'HEAD'), preview.parent);
+  assert.equal(git(cwd, 'diff', '--cached', '--name-only'), '');
+});
+
+test('previewCommit refuses when nothing changed', () => {
+  const cwd = createRepo();
+  assert.throws(() => previewCommit('empty', cwd), /nothing to commit/);
+  writeFile(cwd, 'a.txt', 'a\n');
+  git(cwd, 'add', '.');
+  git(cwd, 'commit', '-q', '-m', 'first');
+  assert.throws(() => previewCommit('again', cwd), /nothing to commit/);
+});
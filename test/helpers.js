@@ -0,0 +1,125 @@
+/**
+ * Shared fixtures for the node:test suites
+ *
+ * Importing this module points git at an empty global config so the tests
+ * never read or write the developer's keys and settings.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { Point, CURVE } from '@noble/secp256k1';
+import { parseTx, serializeTx, p2trScript, taprootSighash } from '../lib/tx.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'gitmark-test-'));
+fs.writeFileSync(path.join(root, 'gitconfig'), '');
+process.env.GIT_CONFIG_GLOBAL = path.join(root, 'gitconfig');
+process.env.GIT_CONFIG_NOSYSTEM = '1';
+delete process.env.GIT_CONFIG_COUNT;
+for (const name of Object.keys(process.env)) {
+  if (name.startsWith('GITMARK_')) delete process.env[name];
+}
+process.on('exit', () => fs.rmSync(root, { recursive: true, force: true }));
+
+/**
+ * Make a temporary directory that is removed when the test process exits
+ * @param {string} [name]
+ * @returns {string}
+ */
+export function tempDir(name = 'dir') {
+  return fs.mkdtempSync(path.join(root, `${name}-`));
+}
+
+/**
+ * Run git in a directory
+ * @returns {string} Trimmed stdout
+ */
+export function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+/**
+ * Create an empty git repository with a committer identity
+ * @returns {string} Repository directory
+ */
+export function createRepo() {
+  const dir = tempDir('repo');
+  git(dir, 'init', '-q');
+  git(dir, 'config', 'user.name', 'Test');
+  git(dir, 'config', 'user.email', 'test@example.com');
+  git(dir, 'config', 'commit.gpgsign', 'false');
+  return dir;
+}
+
+/**
+ * Write a file in a repository (relative path)
+ */
+export function writeFile(dir, name, content) {
+  fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+  fs.writeFileSync(path.join(dir, name), content);
+}
+
+function taggedHash(tag, ...parts) {
+  const tagHash = crypto.createHash('sha256').update(tag).digest();
+  const hash = crypto.createHash('sha256').update(tagHash).update(tagHash);
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+}
+
+const toBytes = n => Buffer.from(n.toString(16).padStart(64, '0'), 'hex');
+const toInt = buf => BigInt(`0x${buf.toString('hex')}`);
+
+/**
+ * BIP-340 sign with zero auxiliary randomness (deterministic, tests only)
+ * @param {Buffer} message - 32-byte message
+ * @param {string} privateKey - 64-char hex private key
+ * @returns {Buffer} 64-byte signature
+ */
+export function signSchnorr(message, privateKey) {
+  const n = CURVE.n;
+  const d0 = BigInt(`0x${privateKey}`);
+  const P = Point.BASE.multiply(d0).toAffine();
+  const d = P.y % 2n === 0n ? d0 : n - d0;
+  const px = toBytes(P.x);
+  const t = toBytes(d ^ toInt(taggedHash('BIP0340/aux', Buffer.alloc(32))));
+  const k0 = toInt(taggedHash('BIP0340/nonce', t, px, message)) % n;
+  const R = Point.BASE.multiply(k0).toAffine();
+  const k = R.y % 2n === 0n ? k0 : n - k0;
+  const rx = toBytes(R.x);
+  const e = toInt(taggedHash('BIP0340/challenge', rx, px, message)) % n;
+  return Buffer.concat([rx, toBytes((k + e * d) % n)]);
+}
+
+/**
+ * Build a Taproot key-path spend, signing each input with the given key
+ * @param {Object} options
+ * @param {Array<{txid: string, vout: number, amount: number, privateKey: string, pubkey?: string}>} options.inputs
+ *   pubkey is the spent output's key (default: the signing key's)
+ * @param {Array<{pubkey: string, amount: number}>} options.outputs
+ * @param {number} [options.sequence=0xfffffffd]
+ * @returns {{txid: string, hex: string}}
+ */
+export function buildSpend({ inputs, outputs, sequence = 0xfffffffd }) {
+  const tx = {
+    version: 2,
+    locktime: 0,
+    inputs: inputs.map(({ txid, vout }) => ({ txid, vout, scriptSig: '', sequence, witness: [] })),
+    outputs: outputs.map(({ pubkey, amount }) => ({ amount, script: p2trScript(pubkey) })),
+  };
+  const prevouts = inputs.map(input => ({
+    amount: input.amount,
+    script: p2trScript(input.pubkey || Point.BASE.multiply(BigInt(`0x${input.privateKey}`)).toHex(true).slice(2)),
+  }));
+  inputs.forEach((input, index) => {
+    tx.inputs[index].witness = [signSchnorr(taprootSighash(tx, index, prevouts), input.privateKey).toString('hex')];
+  });
+  const hex = serializeTx(tx, { witness: true }).toString('hex');
+  return { txid: parseTx(hex).txid, hex };
+}
+
+/**
+ * Whether btctx (the transaction builder mark and init sign with) is installed
+ */
+export const HAS_BTCTX = await import('btctx').then(() => true, () => false);
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { markLog, markStatus } from '../lib/history.js';
+import { writeTxoFile, TXO_FILE } from '../lib/txo.js';
+import { createMockBackend } from '../lib/mockchain.js';
+import { getPublicKey, deriveMarkPrivateKey, toNpub } from '../lib/keys.js';
+import { createRepo, writeFile, tempDir, git, buildSpend } from './helpers.js';
+
+const BASE = '22'.repeat(32);
+const ROOT = getPublicKey(BASE);
+
+/**
+ * A repository with one commit marked on a mock chain, the mark unconfirmed
+ */
+async function markedRepo() {
+  const cwd = createRepo();
+  writeFile(cwd, 'a.txt', 'a\n');
+  git(cwd, 'add', '.');
+  git(cwd, 'commit', '-q', '-m', 'first mark');
+  const commit = git(cwd, 'rev-parse', 'HEAD');
+
+  const chain = createMockBackend({ file: path.join(tempDir('mock'), 'chain.json'), network: 'tbtc4' });
+  const funding = await chain.fund(ROOT, 10000);
+  const pubkey = getPublicKey(deriveMarkPrivateKey(BASE, [commit]));
+  const spend = buildSpend({ inputs: [{ ...funding, privateKey: BASE }], outputs: [{ pubkey, amount: 9800 }] });
+  await chain.broadcast(spend.hex);
+  writeTxoFile([
+    `txo:tbtc4:${funding.txid}:0?amount=10000&pubkey=${ROOT}`,
+    `txo:tbtc4:${spend.txid}:0?amount=9800&pubkey=${pubkey}&commit=${commit}`,
+  ], path.join(cwd, TXO_FILE), cwd);
+  return { cwd, chain, commit, txid: spend.txid };
+}
+
+test('the log joins every entry with its commit', async () => {
+  const { cwd, commit, txid } = await markedRepo();
+  const { network, entries } = markLog({ cwd });
+  assert.equal(network, 'tbtc4');
+  assert.deepEqual(entries.map(entry => entry.commit), [null, commit]);
+  assert.equal(entries[1].txid, txid);
+  assert.equal(entries[1].subject, 'first mark');
+  assert.equal(entries[1].short, commit.slice(0, entries[1].short.length));
+  assert.match(entries[1].address, /^tb1p/);
+});
+
+test('a commit missing from the local repository is logged without git details', async () => {
+  const { cwd } = await markedRepo();
+  const other = 'ab'.repeat(20);
+  const file = path.join(cwd, TXO_FILE);
+  writeTxoFile([
+    ...markLog({ cwd }).entries.map(entry => entry.uri),
+    `txo:tbtc4:${'cd'.repeat(32)}:0?amount=9600&pubkey=${ROOT}&commit=${other}`,
+  ], file, cwd);
+  const last = markLog({ cwd }).entries[2];
+  assert.equal(last.commit, other);
+  assert.deepEqual([last.short, last.subject, last.author, last.date], [null, null, null, null]);
+});
+
+test('status follows the latest mark from mempool to confirmed', async () => {
+  const { cwd, chain, txid } = await markedRepo();
+  const before = await markStatus({ cwd, backend: chain });
+  assert.equal(before.npub, toNpub(ROOT));
+  assert.equal(before.marks, 1);
+  assert.equal(before.latest.txid, txid);
+  assert.equal(before.state, 'mempool');
+  assert.equal(before.spent, false);
+  assert.deepEqual([before.balance, before.utxos], [9800, 1]);
+  assert.equal(before.pending, null);
+
+  await chain.mine(2);
+  const after = await markStatus({ cwd, backend: chain });
+  assert.equal(after.state, 'confirmed');
+  assert.equal(after.confirmations, 2);
+});
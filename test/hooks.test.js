@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { installHooks, uninstallHooks, checkPush, CHAINED_SUFFIX } from '../lib/hooks.js';
+import { writeTxoFile, TXO_FILE } from '../lib/txo.js';
+import { getPublicKey } from '../lib/keys.js';
+import { createRepo, writeFile, git } from './helpers.js';
+
+const PUBKEY = getPublicKey('66'.repeat(32));
+const ZERO = '0'.repeat(40);
+
+function uri(n, commit) {
+  const txid = n.toString(16).padStart(64, '0');
+  return `txo:regtest:${txid}:0?amount=${10000 - n}&pubkey=${PUBKEY}${commit ? `&commit=${commit}` : ''}`;
+}
+
+function commit(cwd, name) {
+  writeFile(cwd, name, `${name}\n`);
+  git(cwd, 'add', '.');
+  // As git mark commits, so the post-commit hook does not call git mark
+  execFileSync('git', ['commit', '-q', '-m', name], { cwd, env: { ...process.env, GITMARK_COMMITTING: '1' } });
+  return git(cwd, 'rev-parse', 'HEAD');
+}
+
+test('an existing hook is chained and restored on uninstall', () => {
+  const cwd = createRepo();
+  const hooks = path.join(cwd, '.git', 'hooks');
+  const own = path.join(hooks, 'post-commit');
+  fs.mkdirSync(hooks, { recursive: true });
+  fs.writeFileSync(own, '#!/bin/sh\necho ran >> "$(git rev-parse --git-dir)/own-hook"\n', { mode: 0o755 });
+
+  const installed = installHooks({ cwd });
+  assert.deepEqual(installed.map(({ hook, chained, updated }) => [hook, chained, updated]),
+    [['post-commit', true, false], ['pre-push', false, false]]);
+  assert.ok(fs.existsSync(own + CHAINED_SUFFIX));
+
+  // The chained hook still runs, and installing again only updates
+  commit(cwd, 'a');
+  assert.equal(fs.readFileSync(path.join(cwd, '.git', 'own-hook'), 'utf8'), 'ran\n');
+  assert.deepEqual(installHooks({ cwd }).map(({ updated }) => updated), [true, true]);
+
+  const removed = uninstallHooks({ cwd });
+  assert.deepEqual(removed.map(({ removed, restored }) => [removed, restored]), [[true, true], [true, false]]);
+  assert.match(fs.readFileSync(own, 'utf8'), /own-hook/);
+  assert.equal(fs.existsSync(path.join(hooks, 'pre-push')), false);
+});
+
+test('a hook not written by gitmark is left alone on uninstall', () => {
+  const cwd = createRepo();
+  const file = path.join(cwd, '.git', 'hooks', 'pre-push');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+  assert.deepEqual(uninstallHooks({ cwd }).map(({ removed }) => removed), [false, false]);
+  assert.ok(fs.existsSync(file));
+});
+
+test('checkPush refuses unmarked branch tips only', () => {
+  const cwd = createRepo();
+  const marked = commit(cwd, 'a');
+  const unmarked = commit(cwd, 'b');
+  writeTxoFile([uri(0), uri(1, marked)], path.join(cwd, TXO_FILE), cwd);
+
+  const input = [
+    `refs/heads/main ${marked} refs/heads/main ${ZERO}`,
+    `refs/heads/topic ${unmarked} refs/heads/topic ${ZERO}`,
+    `refs/tags/v1 ${unmarked} refs/tags/v1 ${ZERO}`,
+    `(delete) ${ZERO} refs/heads/old ${marked}`,
+    '',
+  ].join('\n');
+  assert.deepEqual(checkPush(input, { cwd }), { ok: false, unmarked: [{ ref: 'refs/heads/topic', commit: unmarked }] });
+  assert.equal(checkPush(input.split('\n')[0], { cwd }).ok, true);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPublicKey, deriveMarkPrivateKey, deriveMarkPublicKey, detectDerivationScheme, toTaprootAddress } from '../lib/keys.js';
+import { encode, convertBits, decodeSegwitAddress, BECH32 } from '../lib/bech32.js';
+
+// Base keys whose public points have even and odd Y
+const EVEN = '22'.repeat(32);
+const ODD = '11'.repeat(32);
+const COMMITS = ['a1'.repeat(20), 'b2'.repeat(20)];
+
+test('both schemes agree for a base key with even Y', () => {
+  assert.equal(
+    deriveMarkPrivateKey(EVEN, COMMITS, { scheme: 'taproot' }),
+    deriveMarkPrivateKey(EVEN, COMMITS, { scheme: 'legacy' })
+  );
+});
+
+test('the taproot scheme follows the x-only root pubkey for a base key with odd Y', () => {
+  const root = getPublicKey(ODD);
+  const taproot = getPublicKey(deriveMarkPrivateKey(ODD, COMMITS));
+  const legacy = getPublicKey(deriveMarkPrivateKey(ODD, COMMITS, { scheme: 'legacy' }));
+  assert.notEqual(taproot, legacy);
+  assert.equal(deriveMarkPublicKey(root, COMMITS), taproot);
+  assert.equal(deriveMarkPublicKey(`03${root}`, COMMITS), legacy);
+});
+
+test('the scheme of a chain is detected from its last pubkey', () => {
+  const legacy = getPublicKey(deriveMarkPrivateKey(ODD, COMMITS, { scheme: 'legacy' }));
+  assert.equal(detectDerivationScheme(ODD, COMMITS, getPublicKey(deriveMarkPrivateKey(ODD, COMMITS))), 'taproot');
+  assert.equal(detectDerivationScheme(ODD, COMMITS, legacy.toUpperCase()), 'legacy');
+  assert.equal(detectDerivationScheme(EVEN, COMMITS, getPublicKey(EVEN)), null);
+  assert.throws(() => deriveMarkPrivateKey(ODD, COMMITS, { scheme: 'other' }), /Unknown derivation scheme/);
+});
+
+// BIP-350 test vector: witness v1 program 79be66...1798 on mainnet
+const G_X = '79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798';
+
+test('taproot addresses are bech32m with the network prefix', () => {
+  assert.equal(toTaprootAddress(G_X, 'btc'), 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0');
+  for (const [network, hrp] of [['tbtc4', 'tb'], ['signet', 'tb'], ['regtest', 'bcrt']]) {
+    const decoded = decodeSegwitAddress(toTaprootAddress(G_X, network));
+    assert.deepEqual([decoded.hrp, decoded.version, decoded.program.toString('hex')], [hrp, 1, G_X]);
+  }
+  assert.throws(() => toTaprootAddress(`02${G_X}`, 'btc'), /Invalid public key/);
+});
+
+test('a witness v1 address with a bech32 checksum is refused', () => {
+  const bech32 = encode('bc', [1, ...convertBits(Buffer.from(G_X, 'hex'), 8, 5, true)], BECH32);
+  assert.throws(() => decodeSegwitAddress(bech32), /wrong checksum variant/);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptPrivateKey, decryptPrivateKey, MAX_LOG_N } from '../lib/keystore.js';
+import { encode, decode, convertBits, BECH32 } from '../lib/bech32.js';
+
+const KEY = '3b'.repeat(32);
+
+// Rewrite the log_n byte of an ncryptsec without re-encrypting
+function withLogN(ncryptsec, logN) {
+  const payload = Buffer.from(convertBits(decode(ncryptsec, 200).words, 5, 8, false));
+  payload[1] = logN;
+  return encode('ncryptsec', convertBits(payload, 8, 5, true), BECH32);
+}
+
+test('an encrypted key round-trips with its passphrase', () => {
+  const encrypted = encryptPrivateKey(KEY, 'secret', { logN: 4 });
+  assert.equal(decryptPrivateKey(encrypted, 'secret'), KEY);
+  assert.throws(() => decryptPrivateKey(encrypted, 'wrong'), { code: 'EPASSPHRASE' });
+});
+
+test('a scrypt cost above the ceiling is refused before deriving', () => {
+  const encrypted = withLogN(encryptPrivateKey(KEY, 'secret', { logN: 4 }), 255);
+  assert.throws(() => decryptPrivateKey(encrypted, 'secret'), /log_n 255 is outside 1 to 22/);
+  assert.throws(() => encryptPrivateKey(KEY, 'secret', { logN: MAX_LOG_N + 1 }), /Invalid scrypt cost/);
+});
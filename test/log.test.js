@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact, createLogger } from '../lib/log.js';
+import { toNsec } from '../lib/keys.js';
+import { ChainError } from '../lib/errors.js';
+
+const KEY = '4b'.repeat(32);
+const TXID = 'aa'.repeat(32);
+
+test('private keys are redacted, public data is not', () => {
+  assert.equal(redact(`key ${toNsec(KEY)} done`), 'key [REDACTED] done');
+  assert.equal(redact(`txo:tbtc4:${TXID}:0?amount=5&key=${KEY}&label=x`), `txo:tbtc4:${TXID}:0?amount=5&key=[REDACTED]&label=x`);
+  assert.equal(redact(`privkey: ${KEY}`), 'privkey: [REDACTED]');
+  assert.equal(redact(`"private_key":"${KEY}"`), '"private_key":"[REDACTED]"');
+  // A txid or pubkey is the same shape as a hex key but carries no label
+  assert.equal(redact(`txid ${TXID}`), `txid ${TXID}`);
+  assert.equal(redact(`using ${KEY}`, [KEY]), 'using [REDACTED]');
+});
+
+test('diagnostics are filtered by level and go to stderr only', () => {
+  const out = [];
+  const err = [];
+  const sink = lines => ({ write: text => lines.push(text) });
+  const logger = createLogger({ level: 'info', prefix: 'gitmark: ', stdout: sink(out), stderr: sink(err) });
+  logger.secret(KEY);
+  logger.info(`loaded ${KEY}`);
+  logger.debug('hidden');
+  logger.error(new ChainError('two\nlines'));
+  logger.print('result');
+
+  assert.deepEqual(out, ['result\n']);
+  assert.deepEqual(err, ['gitmark: loaded [REDACTED]\n', 'gitmark: Error: two\n', 'gitmark: lines\n']);
+});
+
+test('--json prints the result and errors as JSON and nothing else on stdout', () => {
+  const out = [];
+  const sink = { write: text => out.push(text) };
+  const logger = createLogger({ level: 'quiet', json: true, stdout: sink, stderr: { write: () => {} } });
+  logger.print('text only');
+  logger.result({ ok: true }, () => assert.fail('printText runs only without --json'));
+  logger.error(Object.assign(new ChainError('bad'), { code: 'EBAD' }));
+  assert.deepEqual(out.map(text => JSON.parse(text)), [{ ok: true }, { error: { message: 'bad', code: 'EBAD' } }]);
+});
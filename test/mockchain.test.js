@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createMockBackend } from '../lib/mockchain.js';
+import { parseBlockHeader, merkleRootFromBranch, checkProofOfWork } from '../lib/tx.js';
+import { getPublicKey } from '../lib/keys.js';
+import { tempDir, buildSpend } from './helpers.js';
+
+const KEY = '11'.repeat(32);
+const PUBKEY = getPublicKey(KEY);
+const OTHER_KEY = '22'.repeat(32);
+const OTHER_PUBKEY = getPublicKey(OTHER_KEY);
+
+function createChain() {
+  return createMockBackend({ file: path.join(tempDir('mock'), 'chain.json'), network: 'tbtc4' });
+}
+
+test('accepts a correctly signed spend and moves the UTXO', async () => {
+  const chain = createChain();
+  const funding = await chain.fund(PUBKEY, 10000);
+  const spend = buildSpend({ inputs: [{ ...funding, privateKey: KEY }], outputs: [{ pubkey: OTHER_PUBKEY, amount: 9800 }] });
+
+  assert.equal(await chain.broadcast(spend.hex), spend.txid);
+  assert.deepEqual(await chain.getUtxos(PUBKEY), []);
+  assert.deepEqual((await chain.getUtxos(OTHER_PUBKEY)).map(utxo => utxo.amount), [9800]);
+  assert.deepEqual(await chain.getOutspend(funding.txid, 0), { spent: true, txid: spend.txid, vin: 0 });
+});
+
+test('refuses a spend signed with the wrong key', async () => {
+  const chain = createChain();
+  const funding = await chain.fund(PUBKEY, 10000);
+  const spend = buildSpend({
+    inputs: [{ ...funding, privateKey: OTHER_KEY, pubkey: PUBKEY }],
+    outputs: [{ pubkey: OTHER_PUBKEY, amount: 9800 }],
+  });
+
+  await assert.rejects(chain.broadcast(spend.hex), /does not verify against output key/);
+  assert.equal((await chain.getUtxos(PUBKEY)).length, 1);
+});
+
+test('refuses a spend whose signature covers a different amount', async () => {
+  const chain = createChain();
+  const funding = await chain.fund(PUBKEY, 10000);
+  const spend = buildSpend({
+    inputs: [{ ...funding, amount: 20000, privateKey: KEY }],
+    outputs: [{ pubkey: OTHER_PUBKEY, amount: 9800 }],
+  });
+
+  await assert.rejects(chain.broadcast(spend.hex), /does not verify/);
+});
+
+test('refuses double spends and outputs above inputs', async () => {
+  const chain = createChain();
+  const funding = await chain.fund(PUBKEY, 10000);
+  const first = buildSpend({ inputs: [{ ...funding, privateKey: KEY }], outputs: [{ pubkey: OTHER_PUBKEY, amount: 9800 }], sequence: 0xffffffff });
+  await chain.broadcast(first.hex);
+  const second = buildSpend({ inputs: [{ ...funding, privateKey: KEY }], outputs: [{ pubkey: OTHER_PUBKEY, amount: 9700 }] });
+  await assert.rejects(chain.broadcast(second.hex), /unknown or already spent/);
+
+  const other = await chain.fund(PUBKEY, 1000);
+  const tooMuch = buildSpend({ inputs: [{ ...other, privateKey: KEY }], outputs: [{ pubkey: OTHER_PUBKEY, amount: 1001 }] });
+  await assert.rejects(chain.broadcast(tooMuch.hex), /exceed inputs/);
+});
+
+test('replaces an RBF transaction paying a higher fee', async () => {
+  const chain = createChain();
+  const funding = await chain.fund(PUBKEY, 10000);
+  const first = buildSpend({ inputs: [{ ...funding, privateKey: KEY }], outputs: [{ pubkey: OTHER_PUBKEY, amount: 9800 }] });
+  await chain.broadcast(first.hex);
+  const replacement = buildSpend({ inputs: [{ ...funding, privateKey: KEY }], outputs: [{ pubkey: OTHER_PUBKEY, amount: 9500 }] });
+
+  assert.equal(await chain.broadcast(replacement.hex), replacement.txid);
+  assert.equal(await chain.getTx(first.txid), null);
+});
+
+test('serves merkle proofs for mined transactions', async () => {
+  const chain = createChain();
+  const funding = await chain.fund(PUBKEY, 10000);
+  const spend = buildSpend({ inputs: [{ ...funding, privateKey: KEY }], outputs: [{ pubkey: OTHER_PUBKEY, amount: 9800 }] });
+  await chain.broadcast(spend.hex);
+  assert.equal(await chain.getMerkleProof(spend.txid), null);
+
+  await chain.mine();
+  const proof = await chain.getMerkleProof(spend.txid);
+  const header = parseBlockHeader(proof.header);
+  assert.equal(proof.blockHeight, 2);
+  assert.equal(header.hash, proof.blockHash);
+  assert.equal(merkleRootFromBranch(spend.txid, proof.merkle, proof.pos), header.merkleRoot);
+  assert.equal(checkProofOfWork(header.hash, header.bits), true);
+});
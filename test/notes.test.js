@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { readChain, appendTxoEntry, replaceLastTxoEntry, writeTxoFile, TXO_FILE } from '../lib/txo.js';
+import { readChainNote, readNoteChain, readNoteTip, writeNote, writeChainNote } from '../lib/notes.js';
+import { getPublicKey } from '../lib/keys.js';
+import { createRepo, writeFile, git } from './helpers.js';
+
+const PUBKEY = getPublicKey('66'.repeat(32));
+
+function uri(n, commit) {
+  const txid = n.toString(16).padStart(64, '0');
+  return `txo:regtest:${txid}:0?amount=${10000 - n}&pubkey=${PUBKEY}${commit ? `&commit=${commit}` : ''}`;
+}
+
+function commit(cwd, name) {
+  writeFile(cwd, name, `${name}\n`);
+  git(cwd, 'add', '.');
+  git(cwd, 'commit', '-q', '-m', name);
+  return git(cwd, 'rev-parse', 'HEAD');
+}
+
+/**
+ * A notes-storage repository with three marked commits
+ */
+function notedRepo() {
+  const cwd = createRepo();
+  git(cwd, 'config', 'gitmark.storage', 'notes');
+  writeTxoFile([uri(0)], path.join(cwd, TXO_FILE), cwd);
+  const commits = [];
+  for (let n = 1; n <= 3; n++) {
+    commits.push(commit(cwd, `file${n}`));
+    appendTxoEntry(uri(n, commits[n - 1]), { cwd });
+  }
+  return { cwd, commits };
+}
+
+test('each note holds only its own mark and links to the previous one', () => {
+  const { cwd, commits } = notedRepo();
+  assert.deepEqual(readChainNote(commits[0], cwd), { previous: null, entries: [uri(0), uri(1, commits[0])] });
+  assert.deepEqual(readChainNote(commits[2], cwd), { previous: commits[1], entries: [uri(3, commits[2])] });
+
+  const chain = readChain({ cwd });
+  assert.equal(chain.noteCommit, commits[2]);
+  assert.deepEqual(chain.entries.map(entry => entry.uri), [uri(0), ...commits.map((hash, i) => uri(i + 1, hash))]);
+});
+
+test('the chain of a revision is read from its nearest marked ancestor', () => {
+  const { cwd, commits } = notedRepo();
+  const unmarked = commit(cwd, 'file4');
+  assert.equal(readNoteChain(unmarked, cwd).commit, commits[2]);
+  git(cwd, 'checkout', '-q', '-b', 'side', commits[0]);
+  const side = commit(cwd, 'side');
+  assert.equal(readNoteChain(side, cwd).commit, commits[0]);
+});
+
+test('the current chain ends at the newest note whatever is checked out', () => {
+  const { cwd, commits } = notedRepo();
+  git(cwd, 'checkout', '-q', commits[1]);
+  assert.equal(readChain({ cwd }).noteCommit, commits[2]);
+  git(cwd, 'checkout', '-q', '-b', 'side', commits[0]);
+  const side = commit(cwd, 'side');
+  assert.equal(readChain({ cwd }).entries.length, 4);
+
+  // Marking here links back to the newest note, not to side's ancestor
+  appendTxoEntry(uri(4, side), { cwd });
+  assert.deepEqual(readChainNote(side, cwd), { previous: commits[2], entries: [uri(4, side)] });
+  assert.equal(readNoteTip(cwd).commit, side);
+});
+
+test('two chains of the same length are refused', () => {
+  const { cwd, commits } = notedRepo();
+  const fork = commit(cwd, 'fork');
+  writeChainNote(fork, { previous: commits[1], entries: [uri(5, fork)] }, cwd);
+  assert.throws(() => readChain({ cwd }), /two chains of 4 entries/);
+});
+
+test('replacing the latest entry keeps its link', () => {
+  const { cwd, commits } = notedRepo();
+  replaceLastTxoEntry(uri(9, commits[2]), { cwd });
+  assert.deepEqual(readChainNote(commits[2], cwd), { previous: commits[1], entries: [uri(9, commits[2])] });
+  assert.equal(readChain({ cwd }).latest.uri, uri(9, commits[2]));
+});
+
+test('whole-chain notes are still read', () => {
+  const { cwd, commits } = notedRepo();
+  const whole = [uri(0), uri(1, commits[0]), uri(2, commits[1])];
+  writeNote(commits[1], JSON.stringify(whole), cwd);
+  assert.deepEqual(readChain({ cwd }).entries.map(entry => entry.uri), [...whole, uri(3, commits[2])]);
+});
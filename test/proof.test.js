@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createProof, verifyProof } from '../lib/proof.js';
+import { createMockBackend } from '../lib/mockchain.js';
+import { writeTxoFile, TXO_FILE } from '../lib/txo.js';
+import { getPublicKey, deriveMarkPrivateKey } from '../lib/keys.js';
+import { createRepo, writeFile, tempDir, git, buildSpend } from './helpers.js';
+
+const ROOT_KEY = '33'.repeat(32);
+
+/**
+ * A repository with one mark on a mock regtest chain, built by hand
+ */
+async function markedRepo(network = 'regtest') {
+  const cwd = createRepo();
+  const chain = createMockBackend({ file: path.join(tempDir('mock'), 'chain.json'), network });
+  writeFile(cwd, 'file.txt', 'hello\n');
+  git(cwd, 'add', '.');
+  git(cwd, 'commit', '-q', '-m', 'first');
+  const commit = git(cwd, 'rev-parse', 'HEAD');
+
+  const rootPubkey = getPublicKey(ROOT_KEY);
+  const funding = await chain.fund(rootPubkey, 50000);
+  const markPubkey = getPublicKey(deriveMarkPrivateKey(ROOT_KEY, [commit]));
+  const spend = buildSpend({ inputs: [{ ...funding, privateKey: ROOT_KEY }], outputs: [{ pubkey: markPubkey, amount: 49800 }] });
+  await chain.broadcast(spend.hex);
+  writeTxoFile([
+    `txo:${network}:${funding.txid}:0?amount=50000&pubkey=${rootPubkey}`,
+    `txo:${network}:${spend.txid}:0?amount=49800&pubkey=${markPubkey}&commit=${commit}`,
+  ], path.join(cwd, TXO_FILE), cwd);
+  return { cwd, chain, commit };
+}
+
+function failedCheck(result) {
+  return result.checks.find(check => !check.ok);
+}
+
+test('a proof of a confirmed mark verifies offline', async () => {
+  const { cwd, chain, commit } = await markedRepo();
+  await chain.mine();
+  const proof = await createProof({ cwd, commit, backend: chain });
+  const result = verifyProof(JSON.parse(JSON.stringify(proof)));
+
+  assert.equal(result.valid, true, failedCheck(result)?.detail);
+  assert.equal(result.commit, commit);
+  assert.equal(result.block.height, 2);
+  assert.equal(result.block.work, '2');
+  assert.deepEqual(result.checks.map(check => check.name), ['format', 'txo-uri', 'key', 'transaction', 'merkle', 'proof-of-work']);
+});
+
+test('a proof of an unconfirmed mark does not verify', async () => {
+  const { cwd, chain, commit } = await markedRepo();
+  const proof = await createProof({ cwd, commit, backend: chain });
+  assert.equal(proof.block, null);
+
+  const result = verifyProof(proof);
+  assert.equal(result.valid, false);
+  assert.equal(failedCheck(result).name, 'merkle');
+});
+
+test('headers easier than the network limit are refused', async () => {
+  const { cwd, chain, commit } = await markedRepo();
+  await chain.mine();
+  const proof = await createProof({ cwd, commit, backend: chain });
+
+  // The same self-made header presented as a mainnet block
+  const forged = {
+    ...proof,
+    network: 'btc',
+    txoUri: proof.txoUri.replace('txo:regtest:', 'txo:btc:'),
+  };
+  const result = verifyProof(forged);
+  assert.equal(result.valid, false);
+  assert.equal(failedCheck(result).name, 'proof-of-work');
+  assert.match(failedCheck(result).detail, /easier than the btc limit/);
+});
+
+test('tampered proofs fail the matching check', async () => {
+  const { cwd, chain, commit } = await markedRepo();
+  await chain.mine();
+  const proof = await createProof({ cwd, commit, backend: chain });
+  const tamper = (mutate, name) => {
+    const copy = structuredClone(proof);
+    mutate(copy);
+    const result = verifyProof(copy);
+    assert.equal(result.valid, false);
+    assert.equal(failedCheck(result).name, name);
+  };
+
+  tamper(copy => { copy.version = 2; }, 'format');
+  tamper(copy => { copy.priorCommits = [commit]; }, 'key');
+  tamper(copy => { copy.rootPubkey = getPublicKey('44'.repeat(32)); }, 'key');
+  tamper(copy => { copy.tx = copy.tx.replace(/..$/, '01'); }, 'transaction');
+  tamper(copy => { copy.block.pos = 1; }, 'merkle');
+  tamper(copy => { copy.block.hash = '11'.repeat(32); }, 'merkle');
+});
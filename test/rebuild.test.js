@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { rebuildChain, rebuild } from '../lib/rebuild.js';
+import { readTxoFile, parseTxoEntry, TXO_FILE } from '../lib/txo.js';
+import { createMockBackend } from '../lib/mockchain.js';
+import { getPublicKey, deriveMarkPrivateKey } from '../lib/keys.js';
+import { createRepo, writeFile, tempDir, git, buildSpend } from './helpers.js';
+
+function commit(cwd, name) {
+  writeFile(cwd, name, `${name}\n`);
+  git(cwd, 'add', '.');
+  git(cwd, 'commit', '-q', '-m', name);
+  return git(cwd, 'rev-parse', 'HEAD');
+}
+
+/**
+ * Fund a base key and spend it through a mark per commit, signing by hand
+ */
+async function markedChain(base, commits, { scheme = 'taproot' } = {}) {
+  const chain = createMockBackend({ file: path.join(tempDir('mock'), 'chain.json'), network: 'tbtc4' });
+  const rootPubkey = getPublicKey(base);
+  const funding = await chain.fund(rootPubkey, 10000);
+  let output = { ...funding, privateKey: base };
+  for (let i = 0; i < commits.length; i++) {
+    const privateKey = deriveMarkPrivateKey(base, commits.slice(0, i + 1), { scheme });
+    // The first spend signs for the root key as recorded, whatever the scheme
+    const spend = buildSpend({
+      inputs: [{ ...output, pubkey: i ? undefined : rootPubkey }],
+      outputs: [{ pubkey: getPublicKey(privateKey), amount: output.amount - 200 }],
+    });
+    await chain.broadcast(spend.hex);
+    output = { txid: spend.txid, vout: 0, amount: output.amount - 200, privateKey };
+  }
+  return { chain, funding: `txo:tbtc4:${funding.txid}:0?amount=10000&pubkey=${rootPubkey}` };
+}
+
+test('the chain is rebuilt from the funding output and the commits', async () => {
+  const cwd = createRepo();
+  const commits = [commit(cwd, 'a'), commit(cwd, 'b')];
+  commit(cwd, 'unmarked');
+  const { chain, funding } = await markedChain('22'.repeat(32), commits);
+
+  const rebuilt = await rebuildChain({ cwd, funding, backend: chain });
+  assert.equal(rebuilt.entries[0], funding);
+  assert.deepEqual(rebuilt.entries.slice(1).map(entry => parseTxoEntry(entry).commit), commits);
+  assert.equal(rebuilt.scheme, 'taproot');
+  assert.match(rebuilt.stop.reason, /is unspent/);
+});
+
+test('a legacy chain with an odd-Y root is recognized', async () => {
+  const cwd = createRepo();
+  const commits = [commit(cwd, 'a'), commit(cwd, 'b')];
+  const { chain, funding } = await markedChain('11'.repeat(32), commits, { scheme: 'legacy' });
+
+  const rebuilt = await rebuildChain({ cwd, funding, backend: chain });
+  assert.equal(rebuilt.scheme, 'legacy');
+  assert.equal(rebuilt.entries.length, 3);
+});
+
+test('rebuild writes txo.json, and check compares without writing', async () => {
+  const cwd = createRepo();
+  const commits = [commit(cwd, 'a')];
+  const { chain, funding } = await markedChain('22'.repeat(32), commits);
+  const file = path.join(cwd, TXO_FILE);
+
+  const checked = await rebuild({ cwd, funding, backend: chain, check: true });
+  assert.equal(checked.comparisons[file].missing, true);
+
+  const written = await rebuild({ cwd, funding, backend: chain });
+  assert.deepEqual(readTxoFile(file), written.entries);
+  const again = await rebuild({ cwd, funding, backend: chain, check: true });
+  assert.equal(again.comparisons[file].same, true);
+});
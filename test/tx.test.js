@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTx,
+  verifySchnorr,
+  verifyTaprootKeySpend,
+  parseBlockHeader,
+  serializeBlockHeader,
+  checkProofOfWork,
+  blockWork,
+  computeMerkleBranch,
+  merkleRootFromBranch,
+} from '../lib/tx.js';
+import { buildSpend } from './helpers.js';
+
+const KEY = '0000000000000000000000000000000000000000000000000000000000000003';
+const PUBKEY = 'f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9';
+const OTHER_KEY = '0000000000000000000000000000000000000000000000000000000000000007';
+
+test('verifySchnorr accepts the BIP-340 test vectors', () => {
+  assert.equal(verifySchnorr(
+    'e907831f80848d1069a5371b402410364bdf1c5f8307b0084c55f1ce2dca821525f66a4a85ea8b71e482a74f382d2ce5ebeee8fdb2172f477df4900d310536c0',
+    Buffer.alloc(32),
+    PUBKEY
+  ), true);
+  assert.equal(verifySchnorr(
+    '6896bd60eeae296db48a229ff71dfe071bde413e6d43f917dc8dcf8c78de33418906d11ac976abccb20b091292bff4ea897efcb639ea871cfa95f6de339e4b0a',
+    Buffer.from('243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89', 'hex'),
+    'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659'
+  ), true);
+});
+
+test('verifySchnorr rejects a tampered signature or message', () => {
+  const sig = 'e907831f80848d1069a5371b402410364bdf1c5f8307b0084c55f1ce2dca821525f66a4a85ea8b71e482a74f382d2ce5ebeee8fdb2172f477df4900d310536c1';
+  assert.equal(verifySchnorr(sig, Buffer.alloc(32), PUBKEY), false);
+  assert.equal(verifySchnorr(sig.replace(/1$/, '0'), Buffer.alloc(32, 1), PUBKEY), false);
+});
+
+test('verifyTaprootKeySpend checks the signature against the spent output key', () => {
+  const input = { txid: 'aa'.repeat(32), vout: 1, amount: 5000 };
+  const { hex } = buildSpend({ inputs: [{ ...input, privateKey: KEY }], outputs: [{ pubkey: PUBKEY, amount: 4800 }] });
+  const prevouts = [{ amount: 5000, script: `5120${PUBKEY}` }];
+  assert.doesNotThrow(() => verifyTaprootKeySpend(parseTx(hex), 0, prevouts));
+
+  // The amount is committed to by the sighash
+  assert.throws(() => verifyTaprootKeySpend(parseTx(hex), 0, [{ ...prevouts[0], amount: 5001 }]), /does not verify/);
+
+  const wrong = buildSpend({ inputs: [{ ...input, privateKey: OTHER_KEY, pubkey: PUBKEY }], outputs: [{ pubkey: PUBKEY, amount: 4800 }] });
+  assert.throws(() => verifyTaprootKeySpend(parseTx(wrong.hex), 0, prevouts), /does not verify/);
+});
+
+test('block headers round-trip and meet their target', () => {
+  const genesis = '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c';
+  const header = parseBlockHeader(genesis);
+  assert.equal(header.hash, '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f');
+  assert.equal(header.bits, 0x1d00ffff);
+  assert.equal(serializeBlockHeader(header), genesis);
+  assert.equal(checkProofOfWork(header.hash, header.bits), true);
+  assert.equal(checkProofOfWork('f'.repeat(64), header.bits), false);
+  assert.equal(blockWork(header.bits), 4295032833n);
+});
+
+test('checkProofOfWork refuses targets easier than the network limit', () => {
+  const hash = '00'.repeat(31) + '01';
+  assert.equal(checkProofOfWork(hash, 0x207fffff), true);
+  assert.equal(checkProofOfWork(hash, 0x207fffff, 0x207fffff), true);
+  assert.equal(checkProofOfWork(hash, 0x207fffff, 0x1d00ffff), false);
+  assert.equal(checkProofOfWork(hash, 0x1d00ffff, 0x1d00ffff), true);
+});
+
+test('merkle branches fold back to the block root (block 100000)', () => {
+  const txids = [
+    '8c14f0db3df150123e6f3dbbf30f8b955a8249b62ac1d1ff16284aefa3d06d87',
+    'fff2525b8931402dd09222c50775608f75787bd2b87e56995a7bdd30f79702c4',
+    '6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4',
+    'e9a66845e05d5abc0ad04ec80f774a7e585c6e8db975962d069a522137b80c1d',
+  ];
+  for (let pos = 0; pos < txids.length; pos++) {
+    const { root, branch } = computeMerkleBranch(txids, pos);
+    assert.equal(root, 'f3e94742aca4b5ef85488dc37c06c3282295ffec960994b2c0d5ac2a25a95766');
+    assert.equal(merkleRootFromBranch(txids[pos], branch, pos), root);
+  }
+  const odd = txids.slice(0, 3);
+  const { root, branch } = computeMerkleBranch(odd, 2);
+  assert.equal(merkleRootFromBranch(odd[2], branch, 2), root);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVoucher, createVoucher, describeVoucher } from '../lib/voucher.js';
+import { VoucherError } from '../lib/errors.js';
+import { getPublicKey, toNsec } from '../lib/keys.js';
+
+const KEY = '4b'.repeat(32);
+const TXID = 'aa'.repeat(32);
+const OTHER = 'bb'.repeat(32);
+const BASE = `txo:tbtc4:${TXID}:1?amount=5000&key=${KEY}`;
+
+test('a voucher written by createVoucher reads back unchanged', () => {
+  const uri = createVoucher({
+    chain: 'tbtc4',
+    utxos: [{ txid: TXID, vout: 1, amount: 5000 }, { txid: OTHER, vout: 0, amount: 700 }],
+    privateKey: KEY,
+    keyFormat: 'nsec',
+    label: 'gift 1/2',
+    memo: 'a&b=c',
+    expiry: 1800000000,
+    urn: true,
+  });
+  const voucher = parseVoucher(uri);
+  assert.equal(voucher.privateKey, KEY);
+  assert.equal(voucher.keyFormat, 'nsec');
+  assert.equal(voucher.total, 5700);
+  assert.equal(voucher.memo, 'a&b=c');
+  assert.equal(createVoucher(voucher), uri);
+});
+
+test('a watch-only voucher carries a pubkey and no key', () => {
+  const pubkey = getPublicKey(KEY);
+  const voucher = parseVoucher(`txo:tbtc4:${TXID}:1?amount=5000&pubkey=${pubkey}`);
+  assert.equal(voucher.watchOnly, true);
+  assert.equal(voucher.privateKey, null);
+  assert.equal(voucher.pubkey, pubkey);
+  assert.equal(describeVoucher(voucher).watchOnly, true);
+});
+
+test('malformed vouchers are refused with the reason', () => {
+  const cases = [
+    [`${BASE}&amount=6000`, /repeated parameter "amount"/],
+    [`${BASE}&colour=red`, /unknown parameter "colour"/],
+    [`txo:tbtc4:${TXID}:1?amount=05000&key=${KEY}`, /amount must be a non-negative integer/],
+    [`txo:tbtc4:${TXID}:1?amount=0&key=${KEY}`, /amount must be positive/],
+    [`txo:nope:${TXID}:1?amount=5000&key=${KEY}`, /unknown chain "nope"/],
+    [`txo:tbtc4:${TXID.toUpperCase()}:1?amount=5000&key=${KEY}`, /txid must be 64 lowercase hex/],
+    [`txo:tbtc4:${TXID}:1?amount=5000&key=${KEY.toUpperCase()}`, /expected 64 lowercase hex characters or an nsec/],
+    [`txo:tbtc4:${TXID}:1?amount=5000`, /missing key parameter/],
+    [`${BASE}&pubkey=${getPublicKey(KEY)}`, /key and pubkey are exclusive/],
+    [`${BASE}&utxo=${TXID}:1:100`, /listed twice/],
+    [`${BASE}&utxo=${OTHER}:0`, /utxo must be <txid>:<vout>:<amount>/],
+    [`${BASE}&memo=%E0%A4%A`, /bad percent-encoding in memo/],
+    [`txo:tbtc4:${TXID}:1?amount=5000&key=${toNsec(KEY)}x`, /Invalid voucher key/],
+  ];
+  for (const [uri, reason] of cases) {
+    assert.throws(() => parseVoucher(uri), error => error instanceof VoucherError && reason.test(error.message), uri);
+  }
+});